@@ -1,11 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import DownloadForm from './components/DownloadForm';
+import DownloadDashboard from './components/DownloadDashboard';
+import { DownloadJob } from './components/DownloadCard';
+import HistoryPanel from './components/HistoryPanel';
+import SettingsPanel from './components/SettingsPanel';
 import { checkAllBackendsHealth } from './api/backend';
 
 const App: React.FC = () => {
     const [status, setStatus] = useState<string>('');
     const [audioStatus, setAudioStatus] = useState<'checking' | 'online' | 'offline'>('checking');
     const [videoStatus, setVideoStatus] = useState<'checking' | 'online' | 'offline'>('checking');
+    const [historyVersion, setHistoryVersion] = useState(0);
+    const [jobs, setJobs] = useState<DownloadJob[]>([]);
+    const [showSettings, setShowSettings] = useState(false);
 
     useEffect(() => {
         checkBackends();
@@ -26,6 +33,18 @@ const App: React.FC = () => {
         setStatus(message);
     };
 
+    const handleHistoryChange = () => {
+        setHistoryVersion(version => version + 1);
+    };
+
+    // New backend URLs or keys: check the backends again and reload the history from them
+    const handleSettingsSaved = () => {
+        setAudioStatus('checking');
+        setVideoStatus('checking');
+        checkBackends();
+        handleHistoryChange();
+    };
+
     return (
         <div className="app">
             <header className="app-header">
@@ -48,20 +67,44 @@ const App: React.FC = () => {
                             Retry Connection
                         </button>
                     )}
+                    <button onClick={() => setShowSettings(show => !show)} className="retry-btn">
+                        ⚙️ Settings
+                    </button>
                 </div>
             </header>
 
             <main className="app-main">
+                {showSettings && (
+                    <SettingsPanel onSaved={handleSettingsSaved} onClose={() => setShowSettings(false)} />
+                )}
                 {(audioStatus === 'offline' && videoStatus === 'offline') ? (
                     <div className="offline-message">
                         <h2>All Backends Offline</h2>
                         <p>Please ensure your backend servers are running:</p>
                         <p>Audio: <code>docker-compose up -d</code> or MP3 backend on port 8088</p>
                         <p>Video: <code>./video-backend/start.sh start</code> or video backend on port 3003</p>
+                        {!showSettings && (
+                            <button onClick={() => setShowSettings(true)} className="retry-btn">
+                                Change backend URLs
+                            </button>
+                        )}
                     </div>
                 ) : (
-                    <DownloadForm onStatusChange={handleDownloadStatus} />
+                    <>
+                        <DownloadForm
+                            onStatusChange={handleDownloadStatus}
+                            onHistoryChange={handleHistoryChange}
+                            onJobStarted={(job) => setJobs(current => [job, ...current])}
+                        />
+                        <DownloadDashboard
+                            jobs={jobs}
+                            onDismiss={(taskIds) => setJobs(current => current.filter(job => !taskIds.includes(job.taskId)))}
+                            onStatusChange={handleDownloadStatus}
+                            onHistoryChange={handleHistoryChange}
+                        />
+                    </>
                 )}
+                <HistoryPanel refreshKey={historyVersion} onStatusChange={handleDownloadStatus} />
             </main>
 
             {status && (
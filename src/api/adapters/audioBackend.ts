@@ -0,0 +1,80 @@
+import { config, Settings } from '../../config';
+import { createRestClient, checkRestHealth, openRestEventStream, RestConnection } from './rest';
+import type { BackendAdapter, DownloadOptions, TaskStatus, TaskResult } from '../types';
+
+const connection = (settings: Settings = config): RestConnection => ({
+    url: settings.audioBackendUrl,
+    apiKey: settings.audioApiKey,
+});
+
+const client = createRestClient(() => connection());
+
+// Statuses the MP3 backend uses for running tasks
+const RUNNING_STATUSES = ['active', 'in_progress'];
+
+// The MP3 backend reports the file as filename, file or result.filename, and errors in result.error
+const normalizeTask = <T extends TaskStatus>(raw: any): T => {
+    const { file, result, ...task } = raw;
+    return {
+        ...task,
+        type: task.type || 'audio',
+        status: RUNNING_STATUSES.includes(task.status) ? 'processing' : task.status,
+        filename: task.filename || file || result?.filename,
+        downloadUrl: task.downloadUrl || result?.downloadUrl,
+        error: task.error ?? result?.error ?? null,
+    };
+};
+
+// The only setting the MP3 backend takes besides the URL; it silently ignores the others
+const SUPPORTED_OPTIONS: (keyof DownloadOptions)[] = ['priority'];
+
+// The MP3 backend (Discord bot). It has no video info, playlist or result management endpoints.
+export const audioBackendAdapter: BackendAdapter = {
+    id: 'audio',
+    label: 'Audio backend',
+    mediaTypes: ['audio'],
+    priority: 1,
+
+    // Only plain MP3 downloads, so no format, bitrate or other setting is dropped
+    supports: (mediaType, format, options) => format === 'mp3'
+        && Object.entries(options).every(([key, value]) => value === undefined || value === false
+            || SUPPORTED_OPTIONS.includes(key as keyof DownloadOptions)),
+
+    download: async (url, mediaType, format, options) => {
+        const response = await client.post('/download', { url, format, ...options });
+        return response.data;
+    },
+
+    getTask: async (taskId) => {
+        const response = await client.get(`/task/${taskId}`);
+        return normalizeTask(response.data);
+    },
+
+    cancelTask: async (taskId) => {
+        const response = await client.delete(`/task/${taskId}`);
+        return response.data;
+    },
+
+    // No signed links here and a browser link can't send the API key, so the file is fetched into a blob URL
+    getFileUrl: async (filename) => {
+        const response = await client.get(`/download/${encodeURIComponent(filename)}`, {
+            responseType: 'blob',
+        });
+        return window.URL.createObjectURL(response.data);
+    },
+
+    checkHealth: (settings) => checkRestHealth(connection(settings)),
+
+    subscribeToTask: (taskId, onEvent, onError) => {
+        return openRestEventStream(connection(), `/task/${taskId}/events`, (event, task) => onEvent(event, normalizeTask(task)), onError);
+    },
+
+    subscribeToAll: (onEvent, onError) => {
+        return openRestEventStream(connection(), '/events', (event, task) => onEvent(event, normalizeTask(task)), onError);
+    },
+
+    getRecentResults: async (limit) => {
+        const response = await client.get('/results', { params: limit ? { limit } : {} });
+        return Array.isArray(response.data) ? response.data.map((task: any) => normalizeTask<TaskResult>(task)) : [];
+    },
+};
@@ -0,0 +1,109 @@
+import axios, { AxiosInstance } from 'axios';
+import type { TaskEventType, TaskSubscription } from '../types';
+
+export interface RestConnection {
+    url: string;
+    apiKey: string;
+}
+
+// The connection is read on every request, so saved settings apply without a reload
+export const createRestClient = (connection: () => RestConnection): AxiosInstance => {
+    const client = axios.create({
+        headers: {
+            'Content-Type': 'application/json',
+        },
+    });
+    client.interceptors.request.use((request) => {
+        const { url, apiKey } = connection();
+        request.baseURL = `${url}/api`;
+        request.headers.set('X-API-Key', apiKey);
+        return request;
+    });
+    return client;
+};
+
+export const checkRestHealth = async ({ url }: RestConnection) => {
+    try {
+        const response = await axios.get(`${url}/health`, { timeout: 5000 });
+        return response.data;
+    } catch (error: any) {
+        // An unhealthy backend answers 503 with the checks that failed
+        const checks = error.response?.data?.checks || {};
+        const problems = Object.values(checks)
+            .filter((check: any) => check?.available === false)
+            .map((check: any) => check.error);
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+        throw error;
+    }
+};
+
+// No response at all: the server is down or unreachable, as opposed to refusing the request
+export const isUnreachable = (error: any) => {
+    return !error.response && error.code !== 'ERR_CANCELED';
+};
+
+// Reads a Server-Sent Events stream with fetch instead of EventSource so the API key stays in a header
+export const openRestEventStream = <T>(
+    connection: RestConnection,
+    path: string,
+    onEvent: (event: TaskEventType, data: T) => void,
+    onError?: (error: Error) => void
+): TaskSubscription => {
+    const controller = new AbortController();
+
+    const read = async () => {
+        const response = await fetch(`${connection.url}/api${path}`, {
+            headers: { 'X-API-Key': connection.apiKey, Accept: 'text/event-stream' },
+            signal: controller.signal,
+        });
+        if (!response.ok || !response.body) {
+            throw new Error(`Event stream unavailable (HTTP ${response.status})`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+
+            buffer += decoder.decode(value, { stream: true });
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop() || '';
+
+            for (const message of messages) {
+                let event = 'message';
+                let data = '';
+                for (const line of message.split('\n')) {
+                    if (line.startsWith('event:')) {
+                        event = line.slice(6).trim();
+                    } else if (line.startsWith('data:')) {
+                        data += line.slice(5).trim();
+                    }
+                }
+                if (data) {
+                    onEvent(event as TaskEventType, JSON.parse(data));
+                }
+            }
+        }
+    };
+
+    read()
+        .then(() => {
+            if (!controller.signal.aborted) {
+                onError?.(new Error('Event stream closed'));
+            }
+        })
+        .catch((error: any) => {
+            if (!controller.signal.aborted) {
+                onError?.(error);
+            }
+        });
+
+    return { close: () => controller.abort() };
+};
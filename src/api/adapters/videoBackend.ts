@@ -0,0 +1,97 @@
+import axios from 'axios';
+import { config, Settings } from '../../config';
+import { createRestClient, checkRestHealth, openRestEventStream, RestConnection } from './rest';
+import type { BackendAdapter, TaskStatus } from '../types';
+
+const connection = (settings: Settings = config): RestConnection => ({
+    url: settings.videoBackendUrl,
+    apiKey: settings.videoApiKey,
+});
+
+const client = createRestClient(() => connection());
+
+// Tasks already match the model, except that failed batches keep their message in result.error
+const normalizeTask = <T extends TaskStatus>(raw: any): T => {
+    const { result, ...task } = raw;
+    return { ...task, error: task.error ?? result?.error ?? null };
+};
+
+// The video backend in this repository. It also extracts audio in every format and bitrate,
+// so it takes audio downloads before the audio backend.
+export const videoBackendAdapter: BackendAdapter = {
+    id: 'video',
+    label: 'Video backend',
+    mediaTypes: ['video', 'audio'],
+    priority: 0,
+
+    download: async (url, mediaType, format, options) => {
+        // An audio format selects audio extraction, otherwise the format is a video quality
+        const payload = mediaType === 'audio'
+            ? { url, format, ...options }
+            : { url, quality: format, ...options };
+        const response = await client.post('/download', payload);
+        return response.data;
+    },
+
+    getTask: async (taskId) => {
+        const response = await client.get(`/task/${taskId}`);
+        return normalizeTask(response.data);
+    },
+
+    cancelTask: async (taskId) => {
+        const response = await client.delete(`/task/${taskId}`);
+        return response.data;
+    },
+
+    getFileUrl: async (filename) => {
+        const response = await client.get(`/download/${encodeURIComponent(filename)}/link`);
+        return `${connection().url}${response.data.url}`;
+    },
+
+    getBundleUrl: async (taskId) => {
+        const response = await client.get(`/bundle/${taskId}/link`);
+        return `${connection().url}${response.data.url}`;
+    },
+
+    checkHealth: (settings) => checkRestHealth(connection(settings)),
+
+    subscribeToTask: (taskId, onEvent, onError) => {
+        return openRestEventStream(connection(), `/task/${taskId}/events`, (event, task) => onEvent(event, normalizeTask(task)), onError);
+    },
+
+    subscribeToAll: (onEvent, onError) => {
+        return openRestEventStream(connection(), '/events', (event, task) => onEvent(event, normalizeTask(task)), onError);
+    },
+
+    getRecentResults: async (limit) => {
+        const response = await client.get('/results', { params: limit ? { limit } : {} });
+        return response.data.map(normalizeTask);
+    },
+
+    deleteResult: async (taskId) => {
+        await client.delete(`/results/${taskId}`);
+    },
+
+    clearResults: async () => {
+        await client.delete('/results');
+    },
+
+    getVideoInfo: async (url) => {
+        const response = await client.get('/info', { params: { url } });
+        return response.data;
+    },
+
+    getPlaylistInfo: async (url) => {
+        const response = await client.get('/playlist', { params: { url } });
+        return response.data;
+    },
+
+    getConfig: async (settings) => {
+        const { url, apiKey } = connection(settings);
+        const response = await axios.get(`${url}/api/config`, {
+            headers: { 'X-API-Key': apiKey },
+            timeout: 5000,
+        });
+        return response.data;
+    },
+};
@@ -1,64 +1,67 @@
-import axios from 'axios';
-import { config } from '../config';
-
-const API_KEY = config.apiKey;
-
-const audioApiClient = axios.create({
-    baseURL: `${config.audioBackendUrl}/api`,
-    headers: {
-        'X-API-Key': API_KEY,
-        'Content-Type': 'application/json',
-    },
-});
-
-const videoApiClient = axios.create({
-    baseURL: `${config.videoBackendUrl}/api`,
-    headers: {
-        'X-API-Key': API_KEY,
-        'Content-Type': 'application/json',
-    },
-});
-
-export interface DownloadResponse {
-    taskId: string;
-    status: string;
-    message: string;
-}
-
-export interface TaskStatus {
-    taskId: string;
-    status: 'pending' | 'processing' | 'completed' | 'failed' | 'active';
-    progress?: number;
-    downloadUrl?: string;
-    filename?: string;
-    file?: string;
-    error?: string | null;
-    result?: {
-        filename?: string;
-        error?: string;
-        downloadUrl?: string;
-    };
-}
-
-export type MediaType = 'audio' | 'video';
-export type AudioFormat = 'mp3' | 'wav' | 'flac';
-export type VideoQuality = '720p' | '1080p' | '4K';
+import { config, Settings } from '../config';
+import { audioBackendAdapter } from './adapters/audioBackend';
+import { videoBackendAdapter } from './adapters/videoBackend';
+import { registerBackend, getBackend, listBackends, backendsFor, markBackendStatus, withFailover } from './registry';
+import { isUnreachable } from './adapters/rest';
+import type {
+    AudioFormat,
+    BackendAdapter,
+    BackendConfig,
+    BackendId,
+    DownloadOptions,
+    DownloadResponse,
+    MediaType,
+    PlaylistInfo,
+    TaskEventType,
+    TaskResult,
+    TaskStatus,
+    TaskSubscription,
+    VideoInfo,
+    VideoQuality,
+} from './types';
 
+export * from './types';
+export { registerBackend, getBackend, listBackends } from './registry';
+
+// The default backend ids match the media types, so tasks stored before backends were tracked still resolve
+registerBackend(audioBackendAdapter);
+registerBackend(videoBackendAdapter);
+
+const errorMessage = (error: any) => error.response?.data?.message || error.message;
+
+// Records an unreachable backend, so downloads go elsewhere until it answers again
+const trackReachability = (id: BackendId, error: any) => {
+    if (isUnreachable(error)) {
+        markBackendStatus(id, false);
+    }
+};
+
+// Adapters have no event stream or let it drop; report that asynchronously, as a dropped stream would be
+const unsupportedStream = (onError?: (error: Error) => void): TaskSubscription => {
+    let closed = false;
+    queueMicrotask(() => {
+        if (!closed) {
+            onError?.(new Error('Backend has no event stream'));
+        }
+    });
+    return { close: () => { closed = true; } };
+};
+
+// Goes to the preferred backend for the media type, and to the next one if it is offline
 export const downloadMedia = async (
     url: string, 
     mediaType: MediaType, 
-    format: AudioFormat | VideoQuality = 'mp3'
+    format: AudioFormat | VideoQuality = 'mp3',
+    options: DownloadOptions = {}
 ): Promise<DownloadResponse> => {
     try {
-        const client = mediaType === 'audio' ? audioApiClient : videoApiClient;
-        const payload = mediaType === 'audio' 
-            ? { url, format }
-            : { url, quality: format };
-        
-        const response = await client.post('/download', payload);
-        return response.data;
+        const { result, adapter } = await withFailover(
+            backendsFor(mediaType, format, options),
+            (candidate) => candidate.download(url, mediaType, format, options)
+        );
+        return { ...result, backend: adapter.id };
     } catch (error: any) {
-        throw new Error(`Failed to download ${mediaType}: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Failed to download ${mediaType}: ${errorMessage(error)}`);
     }
 };
 
@@ -67,56 +70,176 @@ export const downloadAudio = async (url: string, format: string = 'mp3'): Promis
     return downloadMedia(url, 'audio', format as AudioFormat);
 };
 
-export const getTaskStatus = async (taskId: string, mediaType: MediaType = 'audio'): Promise<TaskStatus> => {
+export const getTaskStatus = async (taskId: string, backend: BackendId = 'audio'): Promise<TaskStatus> => {
     try {
-        const client = mediaType === 'audio' ? audioApiClient : videoApiClient;
-        const response = await client.get(`/task/${taskId}`);
-        return response.data;
+        return await getBackend(backend).getTask(taskId);
     } catch (error: any) {
-        throw new Error(`Failed to get task status: ${error.response?.data?.message || error.message}`);
+        trackReachability(backend, error);
+        throw new Error(`Failed to get task status: ${errorMessage(error)}`);
     }
 };
 
-export const getRecentResults = async (mediaType: MediaType = 'audio') => {
+export const subscribeToTask = (
+    taskId: string,
+    backend: BackendId,
+    onUpdate: (task: TaskStatus) => void,
+    onError?: (error: Error) => void
+): TaskSubscription => {
+    const adapter = getBackend(backend);
+    if (!adapter.subscribeToTask) {
+        return unsupportedStream(onError);
+    }
+
+    // The server ends the stream itself once the task has finished
+    let finished = false;
+    return adapter.subscribeToTask(taskId, (event, task) => {
+        if (event === 'deleted') {
+            return;
+        }
+        finished = ['completed', 'failed', 'interrupted', 'cancelled'].includes(task.status);
+        onUpdate(task);
+    }, (error) => {
+        if (!finished) {
+            onError?.(error);
+        }
+    });
+};
+
+export const subscribeToAllTasks = (
+    backend: BackendId,
+    onEvent: (event: TaskEventType, task: TaskStatus) => void,
+    onError?: (error: Error) => void
+): TaskSubscription => {
+    const adapter = getBackend(backend);
+    return adapter.subscribeToAll ? adapter.subscribeToAll(onEvent, onError) : unsupportedStream(onError);
+};
+
+export const cancelTask = async (taskId: string, backend: BackendId = 'audio'): Promise<DownloadResponse> => {
     try {
-        const client = mediaType === 'audio' ? audioApiClient : videoApiClient;
-        const response = await client.get('/results');
-        return response.data;
+        return await getBackend(backend).cancelTask(taskId);
     } catch (error: any) {
-        throw new Error(`Failed to get recent results: ${error.response?.data?.message || error.message}`);
+        trackReachability(backend, error);
+        throw new Error(`Failed to cancel task: ${errorMessage(error)}`);
     }
 };
 
-export const downloadFile = async (filename: string, mediaType: MediaType = 'audio'): Promise<string> => {
+// Backends that implement an optional feature, in the order downloads would use them
+const backendsWith = (feature: keyof BackendAdapter) => {
+    return listBackends().filter(adapter => adapter[feature]);
+};
+
+export const getVideoInfo = async (url: string): Promise<VideoInfo> => {
     try {
-        const client = mediaType === 'audio' ? audioApiClient : videoApiClient;
-        const response = await client.get(`/download/${filename}`, {
-            responseType: 'blob',
-        });
-        
-        const blob = new Blob([response.data]);
-        const url = window.URL.createObjectURL(blob);
-        return url;
+        const { result } = await withFailover(backendsWith('getVideoInfo'), (adapter) => adapter.getVideoInfo!(url));
+        return result;
+    } catch (error: any) {
+        throw new Error(`Failed to get video info: ${errorMessage(error)}`);
+    }
+};
+
+export const getPlaylistInfo = async (url: string): Promise<PlaylistInfo> => {
+    try {
+        const { result } = await withFailover(backendsWith('getPlaylistInfo'), (adapter) => adapter.getPlaylistInfo!(url));
+        return result;
+    } catch (error: any) {
+        throw new Error(`Failed to load playlist: ${errorMessage(error)}`);
+    }
+};
+
+// Backends that don't keep results return none
+export const getRecentResults = async (backend: BackendId = 'audio', limit?: number): Promise<TaskResult[]> => {
+    const adapter = getBackend(backend);
+    if (!adapter.getRecentResults) {
+        return [];
+    }
+
+    try {
+        return await adapter.getRecentResults(limit);
     } catch (error: any) {
-        throw new Error(`Failed to download file: ${error.response?.data?.message || error.message}`);
+        trackReachability(backend, error);
+        throw new Error(`Failed to get recent results: ${errorMessage(error)}`);
     }
 };
 
-export const checkBackendHealth = async (mediaType: MediaType = 'audio') => {
+// Removes a finished task and its files from the backend; a no-op where the backend can't delete results
+export const deleteResult = async (taskId: string, backend: BackendId = 'audio') => {
+    const adapter = getBackend(backend);
     try {
-        const url = mediaType === 'audio' ? config.audioBackendUrl : config.videoBackendUrl;
-        const response = await axios.get(`${url}/health`);
-        return response.data;
+        await adapter.deleteResult?.(taskId);
     } catch (error: any) {
-        throw new Error(`${mediaType} backend health check failed: ${error.message}`);
+        trackReachability(backend, error);
+        throw new Error(`Failed to delete result: ${errorMessage(error)}`);
     }
 };
 
-export const checkAllBackendsHealth = async () => {
+export const clearResults = async (backend: BackendId = 'audio') => {
+    const adapter = getBackend(backend);
+    try {
+        await adapter.clearResults?.();
+    } catch (error: any) {
+        trackReachability(backend, error);
+        throw new Error(`Failed to clear results: ${errorMessage(error)}`);
+    }
+};
+
+// Link to a finished file. Backends with signed links let the browser stream it to disk (with resume);
+// others hand back a blob URL, which releaseFileUrl frees once the download has started.
+export const downloadFile = async (filename: string, backend: BackendId = 'audio'): Promise<string> => {
+    try {
+        return await getBackend(backend).getFileUrl(filename);
+    } catch (error: any) {
+        trackReachability(backend, error);
+        throw new Error(`Failed to download file: ${errorMessage(error)}`);
+    }
+};
+
+export const releaseFileUrl = (fileUrl: string) => {
+    if (fileUrl.startsWith('blob:')) {
+        window.URL.revokeObjectURL(fileUrl);
+    }
+};
+
+// Whether the backend can zip a task's files into one download
+export const supportsBundles = (backend: BackendId = 'audio') => {
+    return Boolean(getBackend(backend).getBundleUrl);
+};
+
+// Signed link to a ZIP of all files of a finished task or playlist
+export const downloadBundle = async (taskId: string, backend: BackendId = 'audio'): Promise<string> => {
+    const adapter = getBackend(backend);
+    if (!adapter.getBundleUrl) {
+        throw new Error(`${adapter.label} can't bundle files`);
+    }
+
+    try {
+        return await adapter.getBundleUrl(taskId);
+    } catch (error: any) {
+        trackReachability(backend, error);
+        throw new Error(`Failed to download files: ${errorMessage(error)}`);
+    }
+};
+
+// Pass settings to check values that haven't been saved yet; only checks of the saved settings update the registry
+export const checkBackendHealth = async (backend: BackendId = 'audio', settings: Settings = config) => {
+    try {
+        const health = await getBackend(backend).checkHealth(settings);
+        if (settings === config) {
+            markBackendStatus(backend, true);
+        }
+        return health;
+    } catch (error: any) {
+        if (settings === config) {
+            markBackendStatus(backend, false);
+        }
+        throw new Error(`${backend} backend health check failed: ${error.message}`);
+    }
+};
+
+export const checkAllBackendsHealth = async (settings: Settings = config) => {
     try {
         const [audioHealth, videoHealth] = await Promise.allSettled([
-            checkBackendHealth('audio'),
-            checkBackendHealth('video')
+            checkBackendHealth('audio', settings),
+            checkBackendHealth('video', settings)
         ]);
         
         return {
@@ -124,8 +247,31 @@ export const checkAllBackendsHealth = async () => {
             video: videoHealth.status === 'fulfilled' ? videoHealth.value : null,
             audioStatus: audioHealth.status,
             videoStatus: videoHealth.status,
+            audioError: audioHealth.status === 'rejected' ? audioHealth.reason.message as string : null,
+            videoError: videoHealth.status === 'rejected' ? videoHealth.reason.message as string : null,
         };
     } catch (error: any) {
         throw new Error(`Health check failed: ${error.message}`);
     }
-};
\ No newline at end of file
+};
+
+// Capabilities a backend advertises; also confirms the API key is accepted
+export const getBackendConfig = async (backend: BackendId, settings: Settings = config): Promise<BackendConfig> => {
+    const adapter = getBackend(backend);
+    if (!adapter.getConfig) {
+        throw new Error('Backend does not advertise its capabilities');
+    }
+
+    try {
+        return await adapter.getConfig(settings);
+    } catch (error: any) {
+        const status = error.response?.status;
+        if (status === 401) {
+            throw new Error('API key was rejected');
+        }
+        if (status === 404) {
+            throw new Error('Backend does not advertise its capabilities');
+        }
+        throw new Error(`Failed to get backend configuration: ${errorMessage(error)}`);
+    }
+};
@@ -0,0 +1,224 @@
+import {
+    getRecentResults,
+    listBackends,
+    BackendId,
+    TaskStatus,
+    TaskResult,
+    TaskFile,
+    BatchItem,
+    MediaType,
+    AudioFormat,
+    VideoQuality,
+    DownloadOptions,
+    ErrorCode,
+} from './backend';
+
+const STORAGE_KEY = 'downloadHistory';
+const MAX_ENTRIES = 200;
+const RESULTS_LIMIT = 100;
+
+export interface HistoryEntry {
+    taskId: string;
+    mediaType: MediaType;
+    // Backend that ran the download; entries from before backends were tracked use the media type
+    backend?: BackendId;
+    url: string;
+    title?: string;
+    // Settings the download was requested with, reused by "retry"
+    format: AudioFormat | VideoQuality;
+    options: DownloadOptions;
+    status: TaskStatus['status'];
+    type?: TaskStatus['type'];
+    filename?: string;
+    files?: TaskFile[];
+    items?: BatchItem[];
+    error?: string | null;
+    errorCode?: ErrorCode;
+    createdAt: string;
+    updatedAt: string;
+    // False once the backend no longer knows the task, so its files can't be downloaded
+    onServer?: boolean;
+}
+
+export const loadHistory = (): HistoryEntry[] => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.warn('Ignoring unreadable download history:', error);
+        return [];
+    }
+};
+
+const saveHistory = (entries: HistoryEntry[]) => {
+    const sorted = [...entries]
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, MAX_ENTRIES);
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(sorted));
+    } catch (error) {
+        console.warn('Failed to save download history:', error);
+    }
+    return sorted;
+};
+
+// Adds an entry or updates the one with the same task ID
+export const recordHistory = (entry: Partial<HistoryEntry> & Pick<HistoryEntry, 'taskId' | 'mediaType'>) => {
+    const entries = loadHistory();
+    const existing = entries.find(item => item.taskId === entry.taskId);
+    const now = new Date().toISOString();
+
+    if (existing) {
+        Object.assign(existing, entry, { updatedAt: now });
+    } else {
+        entries.push({
+            url: '',
+            format: entry.mediaType === 'audio' ? 'mp3' : '720p',
+            options: {},
+            status: 'pending',
+            createdAt: now,
+            ...entry,
+            updatedAt: now,
+        });
+    }
+
+    return saveHistory(entries);
+};
+
+// Copies the outcome of a task update into its history entry, if there is one
+export const recordTaskUpdate = (task: TaskStatus) => {
+    const existing = loadHistory().find(entry => entry.taskId === task.taskId);
+    if (!existing) {
+        return;
+    }
+
+    recordHistory({
+        taskId: task.taskId,
+        mediaType: existing.mediaType,
+        status: task.status,
+        ...(task.title ? { title: task.title } : {}),
+        ...(task.filename ? { filename: task.filename } : {}),
+        ...(task.files ? { files: task.files } : {}),
+        ...(task.items ? { items: task.items } : {}),
+        error: task.error,
+        errorCode: task.errorCode,
+    });
+};
+
+export const removeHistory = (taskIds: string[]) => {
+    return saveHistory(loadHistory().filter(entry => !taskIds.includes(entry.taskId)));
+};
+
+// Settings of a backend result in the shape downloadMedia takes
+const resultSettings = (result: TaskResult, mediaType: MediaType): Pick<HistoryEntry, 'format' | 'options'> => {
+    const options: DownloadOptions = {
+        ...(result.priority ? { priority: result.priority } : {}),
+        ...(result.bitrate ? { bitrate: result.bitrate } : {}),
+        ...(result.filenameTemplate ? { filenameTemplate: result.filenameTemplate } : {}),
+        ...(result.tags && Object.keys(result.tags).length > 0 ? { tags: result.tags } : {}),
+    };
+
+    if (result.embed) {
+        options.embedMetadata = result.embed.metadata;
+        options.embedThumbnail = result.embed.thumbnail;
+        options.embedChapters = result.embed.chapters;
+    }
+    if (result.ranges) {
+        options.ranges = result.ranges.map(range => ({
+            start: range.start,
+            ...(range.end !== null ? { end: range.end } : {}),
+        }));
+        options.accurateCuts = result.accurateCuts;
+    }
+    if (result.type === 'batch') {
+        options.playlist = true;
+        const indices = (result.items || []).map(item => item.playlistIndex).filter((index): index is number => !!index);
+        if (indices.length > 0) {
+            options.items = indices;
+        }
+    }
+
+    return {
+        format: mediaType === 'audio' ? result.format || 'mp3' : result.quality || '720p',
+        options,
+    };
+};
+
+// Playlists report no media type of their own; only audio playlists have an audio format
+const resultMediaType = (result: TaskResult): MediaType => {
+    if (result.type === 'audio' || result.type === 'video') {
+        return result.type;
+    }
+    return result.format ? 'audio' : 'video';
+};
+
+const resultToEntry = (result: TaskResult, backend: BackendId): HistoryEntry => ({
+    taskId: result.taskId,
+    mediaType: resultMediaType(result),
+    backend,
+    url: result.url,
+    title: result.title,
+    ...resultSettings(result, resultMediaType(result)),
+    status: result.status,
+    type: result.type,
+    filename: result.filename,
+    files: result.files,
+    items: result.items,
+    error: result.error,
+    errorCode: result.errorCode,
+    createdAt: result.createdAt,
+    updatedAt: result.updatedAt,
+    onServer: true,
+});
+
+export interface HistoryLoadResult {
+    entries: HistoryEntry[];
+    errors: string[];
+    // No backend answered, so the entries are the local log only
+    offline: boolean;
+}
+
+// Local log merged with the recent results of every backend that keeps them, newest first.
+// Backend results take precedence for status and files; locally recorded settings are kept.
+export const fetchHistory = async (): Promise<HistoryLoadResult> => {
+    const backends = listBackends().filter(adapter => adapter.getRecentResults).map(adapter => adapter.id);
+    const responses = await Promise.allSettled(backends.map(backend => getRecentResults(backend, RESULTS_LIMIT)));
+    const entries = new Map(loadHistory().map(entry => [entry.taskId, entry]));
+    const errors: string[] = [];
+
+    responses.forEach((response, index) => {
+        const backend = backends[index];
+        if (response.status === 'rejected') {
+            errors.push(response.reason.message);
+            return;
+        }
+
+        const results: TaskResult[] = Array.isArray(response.value) ? response.value : [];
+        const seen = new Set(results.map(result => result.taskId));
+        const oldest = results.length >= RESULTS_LIMIT ? results[results.length - 1].updatedAt : '';
+
+        results.forEach(result => {
+            const remote = resultToEntry(result, backend);
+            const local = entries.get(result.taskId);
+            entries.set(result.taskId, local
+                ? { ...remote, format: local.format, options: local.options, createdAt: local.createdAt }
+                : remote);
+        });
+
+        // Finished tasks missing from a reachable backend have been removed there,
+        // unless they are older than the oldest result it returned
+        entries.forEach((entry, taskId) => {
+            if ((entry.backend || entry.mediaType) === backend && !seen.has(taskId) && entry.onServer !== false
+                && entry.updatedAt > oldest
+                && ['completed', 'failed', 'interrupted', 'cancelled'].includes(entry.status)) {
+                entries.set(taskId, { ...entry, onServer: false });
+            }
+        });
+    });
+
+    return {
+        entries: saveHistory(Array.from(entries.values())),
+        errors,
+        offline: backends.length > 0 && errors.length === backends.length,
+    };
+};
@@ -0,0 +1,81 @@
+import { isUnreachable } from './adapters/rest';
+import type { AudioFormat, BackendAdapter, BackendId, DownloadOptions, MediaType, VideoQuality } from './types';
+
+// How long a backend that failed to answer is tried last, before it gets another chance to go first
+const OFFLINE_COOLDOWN = 30 * 1000;
+
+const backends = new Map<BackendId, BackendAdapter>();
+const offlineSince = new Map<BackendId, number>();
+
+export const registerBackend = (adapter: BackendAdapter) => {
+    backends.set(adapter.id, adapter);
+};
+
+export const getBackend = (id: BackendId): BackendAdapter => {
+    const adapter = backends.get(id);
+    if (!adapter) {
+        throw new Error(`Unknown backend: ${id}`);
+    }
+    return adapter;
+};
+
+export const listBackends = (): BackendAdapter[] => {
+    return Array.from(backends.values()).sort((a, b) => a.priority - b.priority);
+};
+
+// Health checks and failed requests record which backends are reachable
+export const markBackendStatus = (id: BackendId, online: boolean) => {
+    if (online) {
+        offlineSince.delete(id);
+    } else {
+        offlineSince.set(id, Date.now());
+    }
+};
+
+const isKnownOffline = (id: BackendId) => {
+    const since = offlineSince.get(id);
+    return since !== undefined && Date.now() - since < OFFLINE_COOLDOWN;
+};
+
+// Backends that can download the media type, by priority, with ones known to be offline last.
+// With a format and settings, backends that would ignore some of them are left out.
+export const backendsFor = (
+    mediaType: MediaType,
+    format?: AudioFormat | VideoQuality,
+    options: DownloadOptions = {}
+): BackendAdapter[] => {
+    const candidates = listBackends()
+        .filter(adapter => adapter.mediaTypes.includes(mediaType))
+        .filter(adapter => format === undefined || !adapter.supports || adapter.supports(mediaType, format, options));
+    return [
+        ...candidates.filter(adapter => !isKnownOffline(adapter.id)),
+        ...candidates.filter(adapter => isKnownOffline(adapter.id)),
+    ];
+};
+
+// Runs the call on the first candidate that answers. Only unreachable backends are skipped:
+// a backend that rejects the request gave a real answer, so its error is thrown as is.
+export const withFailover = async <T>(
+    candidates: BackendAdapter[],
+    call: (adapter: BackendAdapter) => Promise<T>
+): Promise<{ result: T; adapter: BackendAdapter }> => {
+    if (candidates.length === 0) {
+        throw new Error('No backend is configured for this request');
+    }
+
+    let lastError: any;
+    for (const adapter of candidates) {
+        try {
+            const result = await call(adapter);
+            markBackendStatus(adapter.id, true);
+            return { result, adapter };
+        } catch (error: any) {
+            if (!isUnreachable(error)) {
+                throw error;
+            }
+            markBackendStatus(adapter.id, false);
+            lastError = error;
+        }
+    }
+    throw lastError;
+};
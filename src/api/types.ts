@@ -0,0 +1,307 @@
+import type { Settings } from '../config';
+
+export interface DownloadResponse {
+    taskId: string;
+    status: string;
+    message: string;
+    queuePosition?: number;
+    type?: 'video' | 'batch';
+    itemCount?: number;
+    // Backend that accepted the download; follow-up calls for the task go there
+    backend?: BackendId;
+    // Answered by an earlier download with the same options, or joined to one in progress
+    cached?: boolean;
+    coalesced?: boolean;
+}
+
+export interface BatchItem {
+    taskId: string;
+    title?: string;
+    url: string;
+    playlistIndex?: number;
+    status: TaskStatus['status'];
+    progress?: number;
+    filename?: string;
+    downloadUrl?: string;
+    signedUrl?: string;
+    signedUrlExpiresAt?: string;
+    error?: string | null;
+}
+
+export interface TaskFile {
+    filename: string;
+    downloadUrl: string;
+    size?: number;
+    expired?: boolean;
+    signedUrl?: string;
+    signedUrlExpiresAt?: string;
+    // Subtitle files are listed after the media they belong to
+    kind?: 'subtitle';
+    language?: string;
+    automatic?: boolean;
+    // Set on each file of a download split by chapters
+    chapter?: TaskChapter;
+}
+
+export interface TaskChapter {
+    number: number;
+    title: string;
+    // Seconds into the whole video
+    start: number | null;
+    end: number | null;
+}
+
+export type ErrorCode =
+    | 'private'
+    | 'age_restricted'
+    | 'geo_blocked'
+    | 'rate_limited'
+    | 'format_unavailable'
+    | 'network'
+    | 'timeout'
+    | 'unavailable'
+    | 'unsupported_url'
+    | 'unknown';
+
+export interface TaskAttempt {
+    attempt: number;
+    startedAt: string;
+    finishedAt: string;
+    formatFallback: number;
+    errorCode: ErrorCode | null;
+    error: string | null;
+}
+
+export interface TaskStatus {
+    taskId: string;
+    status: 'pending' | 'processing' | 'completed' | 'failed' | 'interrupted' | 'cancelled';
+    progress?: number;
+    speed?: number | null;
+    eta?: number | null;
+    downloadedBytes?: number | null;
+    totalBytes?: number | null;
+    queuePosition?: number | null;
+    type?: 'audio' | 'video' | 'batch';
+    title?: string;
+    totalCount?: number;
+    completedCount?: number;
+    failedCount?: number;
+    cancelledCount?: number;
+    items?: BatchItem[];
+    downloadUrl?: string;
+    signedUrl?: string;
+    signedUrlExpiresAt?: string;
+    filename?: string;
+    files?: TaskFile[];
+    error?: string | null;
+    errorCode?: ErrorCode;
+    errorDetail?: string | null;
+    attempts?: TaskAttempt[];
+    retryAt?: string | null;
+    retryReason?: string | null;
+    taggingError?: string | null;
+    // Set while the download is re-encoded to match its output profile
+    stage?: 'transcoding' | null;
+    transcoded?: { video: string; audio: string } | null;
+    // Requested subtitle languages that weren't found, or why they couldn't be embedded
+    subtitleError?: string | null;
+    // Set when splitting by chapters was asked for but the video has none
+    chapterError?: string | null;
+    // Task whose files were reused, and the running task this one follows
+    cachedFrom?: string;
+    coalescedWith?: string | null;
+}
+
+// A finished task from /results, with the settings it was requested with
+export interface TaskResult extends TaskStatus {
+    url: string;
+    quality?: VideoQuality;
+    outputProfile?: Omit<OutputProfile, 'name' | 'label'>;
+    format?: AudioFormat;
+    bitrate?: AudioBitrate;
+    priority?: TaskPriority;
+    filenameTemplate?: string;
+    embed?: { metadata: boolean; thumbnail: boolean; chapters: boolean };
+    tags?: TagValues;
+    subtitles?: Required<SubtitleOptions>;
+    ranges?: { start: number; end: number | null }[];
+    accurateCuts?: boolean;
+    splitChapters?: boolean;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export type MediaType = 'audio' | 'video';
+
+export type TaskEventType = 'task' | 'created' | 'status' | 'progress' | 'deleted';
+
+export interface TaskSubscription {
+    close: () => void;
+}
+export type AudioFormat = 'mp3' | 'wav' | 'flac' | 'opus' | 'm4a';
+export type AudioBitrate = '64' | '96' | '128' | '160' | '192' | '256' | '320';
+// Name of one of the video backend's output profiles
+export type VideoQuality = string;
+export type TaskPriority = 'high' | 'normal' | 'low';
+
+export type TagField = 'title' | 'artist' | 'album' | 'date' | 'description';
+export type TagValues = Partial<Record<TagField, string>>;
+
+// Seconds or "mm:ss" / "hh:mm:ss"; a missing start or end means the video's start or end
+export interface TimeRange {
+    start?: number | string;
+    end?: number | string;
+}
+
+export type SubtitleFormat = 'srt' | 'vtt';
+
+export interface SubtitleOptions {
+    // Language codes such as en, de or pt-BR
+    languages: string[];
+    manual?: boolean;
+    // Auto-generated captions for languages without manual subtitles
+    automatic?: boolean;
+    format?: SubtitleFormat;
+    // Add as soft subtitle tracks to the video instead of separate files
+    embed?: boolean;
+}
+
+export interface SubtitleLanguage {
+    language: string;
+    name: string;
+}
+
+export interface DownloadOptions {
+    priority?: TaskPriority;
+    bitrate?: AudioBitrate;
+    filenameTemplate?: string;
+    embedMetadata?: boolean;
+    embedThumbnail?: boolean;
+    embedChapters?: boolean;
+    tags?: TagValues;
+    playlist?: boolean;
+    items?: number[] | string;
+    ranges?: TimeRange[];
+    accurateCuts?: boolean;
+    subtitles?: SubtitleOptions;
+    splitChapters?: boolean;
+}
+
+export interface VideoFormat {
+    formatId: string;
+    ext: string;
+    height: number | null;
+    fps: number | null;
+    vcodec: string;
+    acodec: string;
+    filesize: number | null;
+    bitrate: number | null;
+    note: string | null;
+}
+
+export interface VideoInfo {
+    id: string;
+    title: string;
+    uploader?: string;
+    duration?: number;
+    upload_date?: string;
+    view_count?: number;
+    description?: string;
+    thumbnail?: string;
+    webpage_url?: string;
+    resolutions: number[];
+    maxHeight: number;
+    availableQualities: VideoQuality[];
+    subtitles?: { manual: SubtitleLanguage[]; automatic: SubtitleLanguage[] };
+    chapters?: { title: string; start: number; end: number }[];
+    formats: VideoFormat[];
+}
+
+// Container, codecs and limits a video download is converted to
+export interface OutputProfile {
+    name: VideoQuality;
+    label: string;
+    container: 'mp4' | 'mkv' | 'webm';
+    // null keeps the source's codec when the container can hold it
+    videoCodec: 'h264' | 'vp9' | 'av1' | null;
+    maxHeight: number | null;
+    maxFps: number | null;
+    crf: number | null;
+    videoBitrate: number | null;
+    audioCodec: 'aac' | 'opus' | null;
+    audioBitrate: number | null;
+}
+
+export interface BackendConfig {
+    service: string;
+    video?: { qualities: string[]; defaultQuality: string; profiles?: OutputProfile[] };
+    audio?: { formats: string[]; bitrates: string[]; defaultBitrate: string };
+    priorities?: TaskPriority[];
+    filenameTemplate?: { default: string; chapterDefault?: string; fields: string[] };
+    tagFields?: TagField[];
+    limits?: {
+        maxPlaylistItems: number;
+        maxTimeRanges: number;
+        maxAttempts: number;
+        maxConcurrentDownloads: number;
+        downloadLinkTtl: number;
+        fileRetentionHours: number;
+        fileMaxDownloads: number;
+    };
+    apiKey?: {
+        id: string;
+        name: string;
+        role: 'user' | 'admin';
+        quotas: { maxConcurrentJobs: number; dailyBytes: number; requestsPerMinute: number };
+    };
+}
+
+export interface PlaylistEntry {
+    index: number;
+    id: string;
+    title: string;
+    duration: number | null;
+    url: string;
+}
+
+export interface PlaylistInfo {
+    title?: string;
+    uploader?: string;
+    entries: PlaylistEntry[];
+    maxItems: number;
+}
+
+export type BackendId = string;
+
+/**
+ * One download server. Adapters translate between the server's API and the
+ * task model above, so nothing outside an adapter deals with response quirks.
+ * Optional methods are features the server doesn't have.
+ */
+export interface BackendAdapter {
+    id: BackendId;
+    label: string;
+    // Media types it can download
+    mediaTypes: MediaType[];
+    // Lower is preferred when several backends can take a download
+    priority: number;
+    // Whether it honours the format and every setting of a download; without it any download of its media types is taken
+    supports?: (mediaType: MediaType, format: AudioFormat | VideoQuality, options: DownloadOptions) => boolean;
+    download: (url: string, mediaType: MediaType, format: AudioFormat | VideoQuality, options: DownloadOptions) => Promise<DownloadResponse>;
+    getTask: (taskId: string) => Promise<TaskStatus>;
+    cancelTask: (taskId: string) => Promise<DownloadResponse>;
+    // A URL the browser can open without the API key: a signed link, or a blob URL of the fetched file
+    getFileUrl: (filename: string) => Promise<string>;
+    // One ZIP with all files of a finished task or playlist
+    getBundleUrl?: (taskId: string) => Promise<string>;
+    // Unsaved settings can be passed to test them
+    checkHealth: (settings?: Settings) => Promise<unknown>;
+    subscribeToTask?: (taskId: string, onEvent: (event: TaskEventType, task: TaskStatus) => void, onError?: (error: Error) => void) => TaskSubscription;
+    subscribeToAll?: (onEvent: (event: TaskEventType, task: TaskStatus) => void, onError?: (error: Error) => void) => TaskSubscription;
+    getRecentResults?: (limit?: number) => Promise<TaskResult[]>;
+    deleteResult?: (taskId: string) => Promise<void>;
+    clearResults?: () => Promise<void>;
+    getVideoInfo?: (url: string) => Promise<VideoInfo>;
+    getPlaylistInfo?: (url: string) => Promise<PlaylistInfo>;
+    getConfig?: (settings?: Settings) => Promise<BackendConfig>;
+}
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+
+interface BulkUrlInputProps {
+    value: string;
+    onChange: (value: string) => void;
+    isValidUrl: (url: string) => boolean;
+}
+
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// One URL per line (commas and spaces also separate them); blank lines and # comments are skipped, duplicates dropped
+export const parseUrlList = (text: string): string[] => {
+    const urls = text
+        .split('\n')
+        .filter(line => !line.trim().startsWith('#'))
+        .flatMap(line => line.split(/[\s,]+/))
+        .map(url => url.trim())
+        .filter(Boolean);
+    return Array.from(new Set(urls));
+};
+
+const BulkUrlInput: React.FC<BulkUrlInputProps> = ({ value, onChange, isValidUrl }) => {
+    const [dragging, setDragging] = useState(false);
+    const [fileError, setFileError] = useState<string | null>(null);
+
+    // Appends the URLs of dropped or picked text files to the list
+    const addFiles = async (files: FileList | null) => {
+        setFileError(null);
+        const textFiles = Array.from(files || []).filter(file => file.type === 'text/plain' || file.name.endsWith('.txt'));
+        if (textFiles.length === 0) {
+            setFileError('Only .txt files with one URL per line are supported');
+            return;
+        }
+
+        try {
+            const contents: string[] = [];
+            for (const file of textFiles) {
+                if (file.size > MAX_FILE_SIZE) {
+                    throw new Error(`${file.name} is larger than 1 MB`);
+                }
+                contents.push(await file.text());
+            }
+            onChange([value.trim(), ...contents].filter(Boolean).join('\n'));
+        } catch (err: any) {
+            setFileError(`Failed to read file: ${err.message}`);
+        }
+    };
+
+    const urls = parseUrlList(value);
+    const invalid = urls.filter(url => !isValidUrl(url));
+
+    return (
+        <div className="bulk-url-input">
+            <textarea
+                id="bulkUrls"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                onDragOver={(e) => {
+                    e.preventDefault();
+                    setDragging(true);
+                }}
+                onDragLeave={() => setDragging(false)}
+                onDrop={(e) => {
+                    e.preventDefault();
+                    setDragging(false);
+                    addFiles(e.dataTransfer.files);
+                }}
+                placeholder={'Paste one URL per line, or drop a .txt file here'}
+                rows={6}
+                className={`${dragging ? 'dragging' : ''} ${invalid.length > 0 ? 'invalid' : ''}`.trim()}
+            />
+            <div className="bulk-url-actions">
+                <label className="secondary-btn small">
+                    Load .txt file
+                    <input
+                        type="file"
+                        accept=".txt,text/plain"
+                        multiple
+                        onChange={(e) => {
+                            addFiles(e.target.files);
+                            e.target.value = '';
+                        }}
+                        hidden
+                    />
+                </label>
+                {value && (
+                    <button type="button" onClick={() => onChange('')} className="secondary-btn small">
+                        Clear
+                    </button>
+                )}
+            </div>
+            {fileError && <small className="error-text">{fileError}</small>}
+            {invalid.length > 0 ? (
+                <small className="error-text">
+                    Not a YouTube URL: {invalid.slice(0, 3).join(', ')}{invalid.length > 3 ? ` and ${invalid.length - 3} more` : ''}
+                </small>
+            ) : (
+                <small className="info-text">
+                    {urls.length} {urls.length === 1 ? 'URL' : 'URLs'}. Each one starts its own download with the settings below.
+                </small>
+            )}
+        </div>
+    );
+};
+
+export default BulkUrlInput;
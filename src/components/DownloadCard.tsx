@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getTaskStatus, downloadFile, releaseFileUrl, downloadBundle, supportsBundles, cancelTask, subscribeToTask, TaskStatus, TaskSubscription, MediaType, BackendId, ErrorCode } from '../api/backend';
+import { recordHistory, recordTaskUpdate } from '../api/history';
+
+// A download started from the form, followed by its own card
+export interface DownloadJob {
+    taskId: string;
+    mediaType: MediaType;
+    // Backend that accepted the download; the media type names it for jobs started before backends were tracked
+    backend?: BackendId;
+    url: string;
+    title?: string;
+}
+
+// What to tell the user for each failure class the backend reports
+const FAILURE_MESSAGES: Partial<Record<ErrorCode, string>> = {
+    private: 'This video is private and can\'t be downloaded.',
+    age_restricted: 'This video is age-restricted. YouTube requires signing in to download it.',
+    geo_blocked: 'This video is blocked in the country the server is in.',
+    rate_limited: 'YouTube is temporarily limiting downloads from the server. Please try again in a few minutes.',
+    format_unavailable: 'The selected quality isn\'t available for this video. Try a lower quality or audio only.',
+    network: 'The download kept failing because of network errors. Please try again.',
+    timeout: 'The download took too long and was stopped. Try a lower quality or a shorter range.',
+    unavailable: 'This video is unavailable or has been removed.',
+    unsupported_url: 'This link isn\'t supported. YouTube Music links may not work; try the regular YouTube link instead.',
+};
+
+const FINISHED_STATUSES: TaskStatus['status'][] = ['completed', 'failed', 'interrupted', 'cancelled'];
+
+interface DownloadCardProps {
+    job: DownloadJob;
+    onFinished?: (taskId: string) => void;
+    onDismiss?: (taskId: string) => void;
+    onStatusChange?: (message: string) => void;
+    onHistoryChange?: () => void;
+}
+
+const DownloadCard: React.FC<DownloadCardProps> = ({ job, onFinished, onDismiss, onStatusChange, onHistoryChange }) => {
+    const { taskId, mediaType } = job;
+    const backend = job.backend || mediaType;
+    const [taskStatus, setTaskStatus] = useState<TaskStatus | null>(null);
+    const [progress, setProgress] = useState<number>(0);
+    const [error, setError] = useState<string | null>(null);
+    const [success, setSuccess] = useState<string | null>(null);
+
+    const subscriptionRef = useRef<TaskSubscription | null>(null);
+    const pollTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+    // Applies a task update to the card, returns true once the task is finished
+    const handleStatusUpdate = (status: TaskStatus): boolean => {
+        setTaskStatus(status);
+        setProgress(status.progress || 0);
+
+        if (!FINISHED_STATUSES.includes(status.status)) {
+            return false;
+        }
+
+        recordTaskUpdate(status);
+        onHistoryChange?.();
+        onFinished?.(taskId);
+
+        const name = status.title || job.title || job.url;
+        if (status.status === 'completed') {
+            // Check if completed with error
+            if (status.type === 'batch') {
+                const failed = status.failedCount ? `, ${status.failedCount} failed` : '';
+                setSuccess(`Playlist finished: ${status.completedCount} of ${status.totalCount} downloaded${failed}`);
+                onStatusChange?.(`Playlist download completed: ${name}`);
+            } else if (status.error) {
+                setError(`Download failed: ${status.error}`);
+                onStatusChange?.(`Download failed: ${name}`);
+            } else {
+                const filename = status.filename || 'download';
+                const tagNote = status.taggingError ? ' (tags could not be embedded)' : '';
+                const cacheNote = status.cachedFrom ? ' (already on the server, reused)' : '';
+                const subtitleNote = status.subtitleError ? ` (${status.subtitleError})` : '';
+                const chapterNote = status.chapterError ? ` (${status.chapterError})` : '';
+                const fileSummary = status.files && status.files.length > 1
+                    ? `${status.files.length} files`
+                    : `File: ${filename}`;
+                setSuccess(`Download completed! ${fileSummary}${tagNote}${subtitleNote}${chapterNote}${cacheNote}`);
+                onStatusChange?.(`Download completed: ${filename}`);
+            }
+        } else if (status.status === 'failed' || status.status === 'interrupted') {
+            const errorMsg = (status.errorCode && FAILURE_MESSAGES[status.errorCode])
+                || status.error
+                || 'Download failed';
+            const attemptNote = status.attempts && status.attempts.length > 1 ? ` (after ${status.attempts.length} attempts)` : '';
+
+            setError(`${errorMsg}${attemptNote}`);
+            onStatusChange?.(`Download failed: ${name}`);
+        } else {
+            onStatusChange?.(`Download cancelled: ${name}`);
+        }
+
+        return true;
+    };
+
+    const pollTaskStatus = async () => {
+        try {
+            const status = await getTaskStatus(taskId, backend);
+            if (!handleStatusUpdate(status)) {
+                pollTimerRef.current = setTimeout(pollTaskStatus, 2000);
+            }
+        } catch (err: any) {
+            setError(err.message);
+        }
+    };
+
+    // Follow the task over its event stream, falling back to polling if the stream drops
+    useEffect(() => {
+        subscriptionRef.current = subscribeToTask(taskId, backend, (status) => {
+            if (handleStatusUpdate(status)) {
+                subscriptionRef.current?.close();
+                subscriptionRef.current = null;
+            }
+        }, (err) => {
+            console.warn('Task event stream dropped, polling instead:', err.message);
+            subscriptionRef.current = null;
+            pollTaskStatus();
+        });
+
+        return () => {
+            subscriptionRef.current?.close();
+            if (pollTimerRef.current) {
+                clearTimeout(pollTimerRef.current);
+            }
+        };
+    }, [taskId, backend]);
+
+    const handleCancel = async () => {
+        try {
+            await cancelTask(taskId, backend);
+            subscriptionRef.current?.close();
+            subscriptionRef.current = null;
+            setTaskStatus(prev => prev ? { ...prev, status: 'cancelled' } : prev);
+            recordHistory({ taskId, mediaType, backend, status: 'cancelled' });
+            onHistoryChange?.();
+            onFinished?.(taskId);
+            onStatusChange?.('Download cancelled');
+        } catch (err: any) {
+            setError(err.message);
+        }
+    };
+
+    const handleDownloadFile = async (file?: string) => {
+        const filename = file || taskStatus?.filename;
+        if (filename) {
+            try {
+                const fileUrl = await downloadFile(filename, backend);
+                const link = document.createElement('a');
+                link.href = fileUrl;
+                link.download = filename;
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                releaseFileUrl(fileUrl);
+            } catch (err: any) {
+                setError(`Failed to download file: ${err.message}`);
+            }
+        } else {
+            setError('No filename available for download');
+        }
+    };
+
+    // All files of the task as one ZIP, named by the server
+    const handleDownloadBundle = async () => {
+        try {
+            const bundleUrl = await downloadBundle(taskId, backend);
+            const link = document.createElement('a');
+            link.href = bundleUrl;
+            link.download = '';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+        } catch (err: any) {
+            setError(err.message);
+        }
+    };
+
+    const formatSpeed = (bytesPerSecond: number) => {
+        const units = ['B/s', 'KB/s', 'MB/s', 'GB/s'];
+        let value = bytesPerSecond;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(1)} ${units[unit]}`;
+    };
+
+    const formatEta = (seconds: number) => {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    };
+
+    const status = taskStatus?.status || 'pending';
+    const finished = FINISHED_STATUSES.includes(status);
+    // Chapters, sections, subtitles or playlist items that can be fetched in one go
+    const canBundle = supportsBundles(backend) && (taskStatus?.type === 'batch'
+        ? finished && (taskStatus.completedCount || 0) > 1
+        : status === 'completed' && (taskStatus?.files?.filter(file => !file.expired).length || 0) > 1);
+
+    return (
+        <div className={`download-card ${status}`}>
+            <div className="download-card-header">
+                <span className="playlist-title" title={job.url}>
+                    {mediaType === 'audio' ? '🎵' : '🎬'} {taskStatus?.title || job.title || job.url}
+                </span>
+                {finished ? (
+                    <button onClick={() => onDismiss?.(taskId)} className="secondary-btn small">
+                        Dismiss
+                    </button>
+                ) : (
+                    <button onClick={handleCancel} className="cancel-btn small">
+                        Cancel
+                    </button>
+                )}
+            </div>
+
+            {!finished && (
+                <div className="progress-section">
+                    <p>
+                        Status: {status}
+                        {status === 'pending' && taskStatus?.queuePosition
+                            ? ` (position ${taskStatus.queuePosition} in queue)`
+                            : ''}
+                    </p>
+                    {status === 'processing' && taskStatus?.stage === 'transcoding' ? (
+                        <p className="progress-details">Converting to the selected output profile...</p>
+                    ) : null}
+                    {status === 'processing' && taskStatus?.retryAt ? (
+                        <p className="progress-details">
+                            {taskStatus.retryReason || 'Download failed'}. Retrying at {new Date(taskStatus.retryAt).toLocaleTimeString()}
+                            {taskStatus.attempts ? ` (attempt ${taskStatus.attempts.length + 1})` : ''}
+                        </p>
+                    ) : null}
+                    {status === 'processing' && (taskStatus?.speed || taskStatus?.eta) ? (
+                        <p className="progress-details">
+                            {progress}%
+                            {taskStatus.speed ? ` · ${formatSpeed(taskStatus.speed)}` : ''}
+                            {taskStatus.eta ? ` · ETA ${formatEta(taskStatus.eta)}` : ''}
+                        </p>
+                    ) : null}
+                    {taskStatus?.type === 'batch' && (
+                        <p className="progress-details">
+                            {taskStatus.completedCount || 0} of {taskStatus.totalCount} done
+                            {taskStatus.failedCount ? `, ${taskStatus.failedCount} failed` : ''}
+                        </p>
+                    )}
+                    {progress > 0 && (
+                        <div className="progress-bar">
+                            <div
+                                className="progress-fill"
+                                style={{ width: `${progress}%` }}
+                            ></div>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {status === 'cancelled' && (
+                <div className="cancelled-message">Download cancelled</div>
+            )}
+
+            {status === 'completed' && taskStatus?.files && taskStatus.files.length > 1 ? (
+                <ul className="batch-items">
+                    {taskStatus.files.map(file => (
+                        <li key={file.filename} className="batch-item completed">
+                            <span className="playlist-title">
+                                {file.kind === 'subtitle' ? `💬 ${file.language}${file.automatic ? ' (auto)' : ''} · ` : ''}{file.filename}
+                            </span>
+                            {file.expired ? (
+                                <span className="batch-item-status">removed</span>
+                            ) : (
+                                <button onClick={() => handleDownloadFile(file.filename)} className="download-file-btn small">
+                                    Download
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            ) : status === 'completed' && taskStatus?.type !== 'batch' && !taskStatus?.error && (
+                <div className="download-complete">
+                    <button onClick={() => handleDownloadFile()} className="download-file-btn">
+                        Download {taskStatus?.filename || 'File'}
+                    </button>
+                </div>
+            )}
+
+            {taskStatus?.type === 'batch' && taskStatus.items && finished && (
+                <ul className="batch-items">
+                    {taskStatus.items.map(item => (
+                        <li key={item.taskId} className={`batch-item ${item.status}`}>
+                            <span className="playlist-title">{item.title || item.url}</span>
+                            {item.status === 'completed' && item.filename ? (
+                                <button onClick={() => handleDownloadFile(item.filename)} className="download-file-btn small">
+                                    Download
+                                </button>
+                            ) : (
+                                <span className="batch-item-status" title={item.error || undefined}>{item.status}</span>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {canBundle && (
+                <div className="download-complete">
+                    <button onClick={handleDownloadBundle} className="download-file-btn">
+                        Download all as ZIP
+                    </button>
+                </div>
+            )}
+
+            {error && <div className="error-message">{error}</div>}
+            {success && <div className="success-message">{success}</div>}
+        </div>
+    );
+};
+
+export default DownloadCard;
@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import DownloadCard, { DownloadJob } from './DownloadCard';
+
+interface DownloadDashboardProps {
+    jobs: DownloadJob[];
+    onDismiss: (taskIds: string[]) => void;
+    onStatusChange?: (message: string) => void;
+    onHistoryChange?: () => void;
+}
+
+const DownloadDashboard: React.FC<DownloadDashboardProps> = ({ jobs, onDismiss, onStatusChange, onHistoryChange }) => {
+    const [finished, setFinished] = useState<Set<string>>(new Set());
+
+    const handleFinished = (taskId: string) => {
+        setFinished(previous => new Set(previous).add(taskId));
+    };
+
+    const activeCount = jobs.filter(job => !finished.has(job.taskId)).length;
+    const finishedIds = jobs.filter(job => finished.has(job.taskId)).map(job => job.taskId);
+
+    if (jobs.length === 0) {
+        return null;
+    }
+
+    return (
+        <section className="download-dashboard">
+            <div className="history-header">
+                <h2>Downloads</h2>
+                <div className="history-actions">
+                    <span className="progress-details">{activeCount} active</span>
+                    <button
+                        onClick={() => onDismiss(finishedIds)}
+                        disabled={finishedIds.length === 0}
+                        className="secondary-btn small"
+                    >
+                        Clear finished
+                    </button>
+                </div>
+            </div>
+            <div className="download-cards">
+                {jobs.map(job => (
+                    <DownloadCard
+                        key={job.taskId}
+                        job={job}
+                        onFinished={handleFinished}
+                        onDismiss={(taskId) => onDismiss([taskId])}
+                        onStatusChange={onStatusChange}
+                        onHistoryChange={onHistoryChange}
+                    />
+                ))}
+            </div>
+        </section>
+    );
+};
+
+export default DownloadDashboard;
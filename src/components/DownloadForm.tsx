@@ -1,66 +1,159 @@
 import React, { useState, useEffect } from 'react';
-import { downloadMedia, getTaskStatus, downloadFile, DownloadResponse, TaskStatus, MediaType, AudioFormat, VideoQuality } from '../api/backend';
+import { downloadMedia, getPlaylistInfo, getVideoInfo, getBackendConfig, DownloadResponse, MediaType, AudioFormat, AudioBitrate, VideoQuality, PlaylistInfo, DownloadOptions, VideoInfo, TagValues } from '../api/backend';
+import PlaylistPicker from './PlaylistPicker';
+import VideoInfoCard from './VideoInfoCard';
+import TagEditor, { EmbedOptions } from './TagEditor';
+import TimeRangeEditor, { TimeRangeInput, validateRanges } from './TimeRangeEditor';
+import SubtitlePicker, { SubtitleSettings, parseLanguages, toSubtitleOptions } from './SubtitlePicker';
+import BulkUrlInput, { parseUrlList } from './BulkUrlInput';
+import { DownloadJob } from './DownloadCard';
+import { recordHistory } from '../api/history';
+
+// Used until the video backend lists its output profiles, or when it can't be reached
+const FALLBACK_PROFILE_OPTIONS: { value: VideoQuality; label: string }[] = [
+    { value: '720p', label: '720p (HD)' },
+    { value: '1080p', label: '1080p (Full HD)' },
+    { value: '4K', label: '4K (Ultra HD)' },
+];
 
 interface DownloadFormProps {
     onStatusChange?: (message: string) => void;
+    onHistoryChange?: () => void;
+    onJobStarted?: (job: DownloadJob) => void;
 }
 
-const DownloadForm: React.FC<DownloadFormProps> = ({ onStatusChange }) => {
+const DownloadForm: React.FC<DownloadFormProps> = ({ onStatusChange, onHistoryChange, onJobStarted }) => {
     const [url, setUrl] = useState('');
     const [mediaType, setMediaType] = useState<MediaType>('audio');
     const [audioFormat, setAudioFormat] = useState<AudioFormat>('mp3');
+    const [audioBitrate, setAudioBitrate] = useState<AudioBitrate>('192');
     const [videoQuality, setVideoQuality] = useState<VideoQuality>('720p');
+    const [profileOptions, setProfileOptions] = useState(FALLBACK_PROFILE_OPTIONS);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState<string | null>(null);
     const [success, setSuccess] = useState<string | null>(null);
-    const [taskId, setTaskId] = useState<string | null>(null);
-    const [taskStatus, setTaskStatus] = useState<TaskStatus | null>(null);
-    const [progress, setProgress] = useState<number>(0);
+    const [bulkMode, setBulkMode] = useState(false);
+    const [bulkText, setBulkText] = useState('');
+    const [playlistInfo, setPlaylistInfo] = useState<PlaylistInfo | null>(null);
+    const [selectedItems, setSelectedItems] = useState<number[]>([]);
+    const [playlistLoading, setPlaylistLoading] = useState(false);
+    const [filenameTemplate, setFilenameTemplate] = useState('');
+    const [embed, setEmbed] = useState<EmbedOptions>({ tags: true, thumbnail: true, chapters: true });
+    const [tagOverrides, setTagOverrides] = useState<TagValues>({});
+    const [videoInfo, setVideoInfo] = useState<VideoInfo | null>(null);
+    const [infoLoading, setInfoLoading] = useState(false);
+    const [timeRanges, setTimeRanges] = useState<TimeRangeInput[]>([{ start: '', end: '' }]);
+    const [accurateCuts, setAccurateCuts] = useState(false);
+    const [splitChapters, setSplitChapters] = useState(false);
+    const [subtitleSettings, setSubtitleSettings] = useState<SubtitleSettings>({
+        enabled: false,
+        languages: 'en',
+        automatic: false,
+        format: 'srt',
+        embed: false,
+    });
 
-    const pollTaskStatus = async (id: string) => {
-        try {
-            const status = await getTaskStatus(id, mediaType);
-            console.log('Task status:', status); // Debug log
-            setTaskStatus(status);
-            setProgress(status.progress || 0);
-
-            if (status.status === 'completed') {
-                // Check if completed with error
-                if (status.error) {
-                    setError(`Download failed: ${status.error}`);
-                    setLoading(false);
-                    onStatusChange?.('Download failed');
-                } else {
-                    const filename = status.filename || status.file || status.result?.filename || 'download';
-                    setSuccess(`Download completed! File: ${filename}`);
-                    setLoading(false);
-                    onStatusChange?.(`Download completed: ${filename}`);
+    // Offer the output profiles the video backend is configured with
+    useEffect(() => {
+        let cancelled = false;
+        getBackendConfig('video')
+            .then(({ video }) => {
+                if (cancelled || !video?.profiles?.length) {
+                    return;
                 }
-            } else if (status.status === 'failed') {
-                let errorMsg = status.error || status.result?.error || 'Download failed';
-                
-                // Check if it's a YouTube Music URL validation error
-                if (errorMsg.includes('Invalid URL') && url.includes('music.youtube.com')) {
-                    errorMsg = 'YouTube Music URLs are not supported by the backend. Please try the regular YouTube version of this video instead.';
+                setProfileOptions(video.profiles.map(profile => ({ value: profile.name, label: profile.label })));
+                setVideoQuality(current => video.qualities.includes(current) ? current : video.defaultQuality);
+            })
+            .catch((err: any) => console.warn('Output profiles unavailable, using the defaults:', err.message));
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    // Look up the video shortly after the URL stops changing
+    useEffect(() => {
+        setVideoInfo(null);
+        setTagOverrides({});
+        if (!isValidYouTubeUrl(url) || (isPlaylistUrl(url) && !/[?&]v=/.test(url))) {
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            setInfoLoading(true);
+            try {
+                const info = await getVideoInfo(url);
+                if (!cancelled) {
+                    setVideoInfo(info);
+                    // Drop a selected profile the video is too small for
+                    setVideoQuality(current => info.availableQualities.includes(current)
+                        ? current
+                        : info.availableQualities[0] || '720p');
+                }
+            } catch (err: any) {
+                if (!cancelled) {
+                    console.warn('Video info lookup failed:', err.message);
+                }
+            } finally {
+                if (!cancelled) {
+                    setInfoLoading(false);
                 }
-                
-                setError(errorMsg);
-                setLoading(false);
-                onStatusChange?.('Download failed');
-            } else if (status.status === 'processing' || status.status === 'pending' || status.status === 'active') {
-                setTimeout(() => pollTaskStatus(id), 2000);
-            } else {
-                // Unknown status, stop polling but don't show error yet
-                setTimeout(() => pollTaskStatus(id), 2000);
             }
-        } catch (err: any) {
-            setError(err.message);
-            setLoading(false);
+        }, 600);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [url]);
+
+    // Settings that apply to every URL, single or bulk
+    const buildOptions = (): DownloadOptions => {
+        const options: DownloadOptions = {};
+        if (mediaType === 'audio' && !isLosslessFormat(audioFormat)) {
+            options.bitrate = audioBitrate;
         }
+        if (filenameTemplate.trim()) {
+            options.filenameTemplate = filenameTemplate.trim();
+        }
+        options.embedMetadata = embed.tags;
+        options.embedThumbnail = embed.thumbnail;
+        options.embedChapters = embed.chapters;
+        const subtitles = toSubtitleOptions(subtitleSettings, mediaType === 'video');
+        if (subtitles) {
+            options.subtitles = subtitles;
+        }
+        if (splitChapters) {
+            options.splitChapters = true;
+        }
+        return options;
+    };
+
+    // Submit one URL, record it in the history and hand it to the dashboard
+    const startDownload = async (downloadUrl: string, options: DownloadOptions, title?: string) => {
+        const format = mediaType === 'audio' ? audioFormat : videoQuality;
+        const response: DownloadResponse = await downloadMedia(downloadUrl, mediaType, format, options);
+        recordHistory({
+            taskId: response.taskId,
+            mediaType,
+            backend: response.backend,
+            url: downloadUrl,
+            title,
+            format,
+            options,
+            type: response.type === 'batch' ? 'batch' : mediaType,
+            status: 'pending',
+        });
+        onHistoryChange?.();
+        onJobStarted?.({ taskId: response.taskId, mediaType, backend: response.backend, url: downloadUrl, title });
     };
 
     const handleSubmit = async (e: React.FormEvent) => {
         e.preventDefault();
+        if (bulkMode) {
+            return handleBulkSubmit();
+        }
         if (!url.trim()) {
             setError('Please enter a valid YouTube URL');
             return;
@@ -69,40 +162,125 @@ const DownloadForm: React.FC<DownloadFormProps> = ({ onStatusChange }) => {
         setLoading(true);
         setError(null);
         setSuccess(null);
-        setTaskStatus(null);
-        setProgress(0);
 
         try {
-            const format = mediaType === 'audio' ? audioFormat : videoQuality;
-            const response: DownloadResponse = await downloadMedia(url, mediaType, format);
-            setTaskId(response.taskId);
+            const options: DownloadOptions = {
+                ...(playlistInfo ? { playlist: true, items: selectedItems } : {}),
+                ...buildOptions(),
+            };
+            if (embed.tags && Object.keys(tagOverrides).length > 0) {
+                options.tags = tagOverrides;
+            }
+            if (!playlistInfo && trimRanges.length > 0) {
+                options.ranges = trimRanges.map(range => ({
+                    ...(range.start.trim() ? { start: range.start.trim() } : {}),
+                    ...(range.end.trim() ? { end: range.end.trim() } : {}),
+                }));
+                options.accurateCuts = accurateCuts;
+            }
+            await startDownload(url, options, playlistInfo?.title || videoInfo?.title);
             onStatusChange?.(`${mediaType} download started...`);
-            pollTaskStatus(response.taskId);
+
+            // Ready for the next URL; format and advanced settings are kept
+            setUrl('');
+            setPlaylistInfo(null);
+            setTimeRanges([{ start: '', end: '' }]);
         } catch (err: any) {
             setError(err.message);
-            setLoading(false);
             onStatusChange?.(`${mediaType} download failed to start`);
+        } finally {
+            setLoading(false);
         }
     };
 
-    const handleDownloadFile = async () => {
-        const filename = taskStatus?.filename || taskStatus?.file;
-        if (filename) {
+    // Submit the listed URLs one after another. Submission stops at the first refusal
+    // (usually a rate limit or quota) and the URLs not started are left in the list.
+    const handleBulkSubmit = async () => {
+        const urls = parseUrlList(bulkText);
+        if (urls.length === 0) {
+            setError('Please enter at least one YouTube URL');
+            return;
+        }
+
+        setLoading(true);
+        setError(null);
+        setSuccess(null);
+
+        const options = buildOptions();
+        // A title override would give every download the same title
+        const { title: ignoredTitle, ...bulkTags } = tagOverrides;
+        if (embed.tags && Object.keys(bulkTags).length > 0) {
+            options.tags = bulkTags;
+        }
+
+        let started = 0;
+        let failure: string | null = null;
+        for (const bulkUrl of urls) {
             try {
-                const fileUrl = await downloadFile(filename, mediaType);
-                const link = document.createElement('a');
-                link.href = fileUrl;
-                link.download = filename;
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-                window.URL.revokeObjectURL(fileUrl);
+                await startDownload(bulkUrl, options);
+                started++;
             } catch (err: any) {
-                setError(`Failed to download file: ${err.message}`);
+                failure = err.message;
+                break;
             }
+        }
+
+        setBulkText(urls.slice(started).join('\n'));
+        if (failure) {
+            setError(`${started} of ${urls.length} downloads started. ${failure}. The remaining URLs are still in the list.`);
         } else {
-            setError('No filename available for download');
+            setSuccess(`${started} ${started === 1 ? 'download' : 'downloads'} started`);
         }
+        onStatusChange?.(`${started} ${mediaType} ${started === 1 ? 'download' : 'downloads'} started`);
+        setLoading(false);
+    };
+
+    const handleLoadPlaylist = async () => {
+        setPlaylistLoading(true);
+        setError(null);
+
+        try {
+            const info = await getPlaylistInfo(url);
+            setPlaylistInfo(info);
+            setSelectedItems(info.entries.slice(0, info.maxItems).map(entry => entry.index));
+        } catch (err: any) {
+            setError(err.message);
+        } finally {
+            setPlaylistLoading(false);
+        }
+    };
+
+    const formatUploadDate = (date?: string) => {
+        return date && /^\d{8}$/.test(date) ? `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}` : date;
+    };
+
+    // What the backend would embed if nothing is edited
+    const tagDefaults: TagValues = videoInfo ? {
+        title: videoInfo.title,
+        artist: videoInfo.uploader,
+        date: formatUploadDate(videoInfo.upload_date),
+        description: videoInfo.description,
+    } : {};
+
+    // Rows left empty mean "no trimming"
+    const trimRanges = timeRanges.filter(range => range.start.trim() || range.end.trim());
+    const rangeError = playlistInfo ? null : validateRanges(trimRanges, videoInfo?.duration);
+
+    // Subtitle and chapter times refer to the whole video, so the backend refuses them for trimmed downloads
+    const subtitleError = !subtitleSettings.enabled ? null
+        : parseLanguages(subtitleSettings.languages).length === 0 ? 'Enter at least one language code'
+        : !bulkMode && !playlistInfo && trimRanges.length > 0 ? 'Subtitles can\'t be combined with trimming'
+        : splitChapters ? 'Subtitles can\'t be combined with splitting by chapters'
+        : null;
+    const chapterError = splitChapters && !bulkMode && !playlistInfo && trimRanges.length > 0
+        ? 'Splitting by chapters can\'t be combined with trimming'
+        : null;
+
+    const isLosslessFormat = (format: AudioFormat) => format === 'wav' || format === 'flac';
+
+    const isPlaylistUrl = (url: string) => {
+        return /youtube\.com\/(playlist\?|@|channel\/|c\/|user\/)/.test(url)
+            || /[?&]list=/.test(url);
     };
 
     const isValidYouTubeUrl = (url: string) => {
@@ -115,29 +293,63 @@ const DownloadForm: React.FC<DownloadFormProps> = ({ onStatusChange }) => {
         return patterns.some(pattern => pattern.test(url));
     };
 
+    const bulkUrls = parseUrlList(bulkText);
+    const bulkReady = bulkUrls.length > 0 && bulkUrls.every(bulkUrl => isValidYouTubeUrl(bulkUrl));
+
     return (
         <div className="download-form">
             <form onSubmit={handleSubmit}>
-                <div className="form-group">
-                    <label htmlFor="url">YouTube URL:</label>
-                    <input
-                        type="url"
-                        id="url"
-                        value={url}
-                        onChange={(e) => setUrl(e.target.value)}
-                        placeholder="https://youtube.com/watch?v=..."
-                        required
-                        className={url && !isValidYouTubeUrl(url) ? 'invalid' : ''}
-                    />
-                    {url && !isValidYouTubeUrl(url) && (
-                        <small className="error-text">Please enter a valid YouTube URL</small>
-                    )}
-                    {url.includes('music.youtube.com') && (
-                        <small className="warning-text">
-                            💡 Tip: YouTube Music URLs may not work. Try the regular YouTube version instead.
-                        </small>
-                    )}
+                <div className="bulk-toggle">
+                    <label className="radio-label">
+                        <input
+                            type="checkbox"
+                            checked={bulkMode}
+                            onChange={(e) => {
+                                setBulkMode(e.target.checked);
+                                setError(null);
+                                setSuccess(null);
+                            }}
+                        />
+                        <span>Multiple URLs</span>
+                    </label>
                 </div>
+
+                {bulkMode ? (
+                    <div className="form-group">
+                        <label htmlFor="bulkUrls">YouTube URLs:</label>
+                        <BulkUrlInput
+                            value={bulkText}
+                            onChange={setBulkText}
+                            isValidUrl={isValidYouTubeUrl}
+                        />
+                    </div>
+                ) : (
+                    <div className="form-group">
+                        <label htmlFor="url">YouTube URL:</label>
+                        <input
+                            type="url"
+                            id="url"
+                            value={url}
+                            onChange={(e) => {
+                                setUrl(e.target.value);
+                                setPlaylistInfo(null);
+                            }}
+                            placeholder="https://youtube.com/watch?v=..."
+                            required
+                            className={url && !isValidYouTubeUrl(url) ? 'invalid' : ''}
+                        />
+                        {url && !isValidYouTubeUrl(url) && (
+                            <small className="error-text">Please enter a valid YouTube URL</small>
+                        )}
+                        {url.includes('music.youtube.com') && (
+                            <small className="warning-text">
+                                💡 Tip: YouTube Music URLs may not work. Try the regular YouTube version instead.
+                            </small>
+                        )}
+                        {infoLoading && <small className="info-text">Looking up video...</small>}
+                        {videoInfo && <VideoInfoCard info={videoInfo} />}
+                    </div>
+                )}
                 
                 <div className="form-group">
                     <label>Media Type:</label>
@@ -176,54 +388,144 @@ const DownloadForm: React.FC<DownloadFormProps> = ({ onStatusChange }) => {
                             <option value="mp3">MP3 (Recommended)</option>
                             <option value="wav">WAV (High Quality)</option>
                             <option value="flac">FLAC (Lossless)</option>
+                            <option value="opus">Opus (Small)</option>
+                            <option value="m4a">M4A (AAC)</option>
                         </select>
+                        {!isLosslessFormat(audioFormat) && (
+                            <>
+                                <label htmlFor="audioBitrate" className="sub-label">Bitrate:</label>
+                                <select
+                                    id="audioBitrate"
+                                    value={audioBitrate}
+                                    onChange={(e) => setAudioBitrate(e.target.value as AudioBitrate)}
+                                >
+                                    <option value="128">128 kbps</option>
+                                    <option value="192">192 kbps (Recommended)</option>
+                                    <option value="256">256 kbps</option>
+                                    <option value="320">320 kbps</option>
+                                </select>
+                            </>
+                        )}
                     </div>
                 ) : (
                     <div className="form-group">
-                        <label htmlFor="videoQuality">Video Quality:</label>
+                        <label htmlFor="videoQuality">Output Profile:</label>
                         <select
                             id="videoQuality"
                             value={videoQuality}
-                            onChange={(e) => setVideoQuality(e.target.value as VideoQuality)}
+                            onChange={(e) => setVideoQuality(e.target.value)}
                         >
-                            <option value="720p">720p (HD)</option>
-                            <option value="1080p">1080p (Full HD)</option>
-                            <option value="4K">4K (Ultra HD)</option>
+                            {profileOptions
+                                .filter(option => !videoInfo || videoInfo.availableQualities.includes(option.value))
+                                .map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
                         </select>
                     </div>
                 )}
 
+                <details className="advanced-options">
+                    <summary>Advanced options</summary>
+                    {!playlistInfo && !bulkMode && (
+                        <div className="form-group">
+                            <label>Trim:</label>
+                            <TimeRangeEditor
+                                ranges={timeRanges}
+                                onChange={setTimeRanges}
+                                accurateCuts={accurateCuts}
+                                onAccurateCutsChange={setAccurateCuts}
+                                duration={videoInfo?.duration}
+                            />
+                        </div>
+                    )}
+                    <div className="form-group">
+                        <label htmlFor="filenameTemplate">Filename template:</label>
+                        <input
+                            type="text"
+                            id="filenameTemplate"
+                            value={filenameTemplate}
+                            onChange={(e) => setFilenameTemplate(e.target.value)}
+                            placeholder="{title} [{id}].{ext}"
+                        />
+                        <small className="info-text">
+                            Placeholders: {'{title} {uploader} {channel} {id} {date} {quality} {format} {index} {section} {chapter} {ext}'}. Leave empty for the server default.
+                        </small>
+                    </div>
+                    <div className="form-group">
+                        <label>Chapters:</label>
+                        <div className="tag-toggles">
+                            <label>
+                                <input type="checkbox" checked={splitChapters} onChange={(e) => setSplitChapters(e.target.checked)} />
+                                Split into one file per chapter
+                            </label>
+                        </div>
+                        {chapterError && <small className="error-text">{chapterError}</small>}
+                        {splitChapters && videoInfo?.chapters && (
+                            <small className="info-text">
+                                {videoInfo.chapters.length > 0
+                                    ? `${videoInfo.chapters.length} chapters, named "01 - ${videoInfo.chapters[0].title}" and so on unless the template uses {chapter}.`
+                                    : 'This video has no chapters, it will be kept as one file.'}
+                            </small>
+                        )}
+                    </div>
+                    <div className="form-group">
+                        <label>Subtitles:</label>
+                        <SubtitlePicker
+                            settings={subtitleSettings}
+                            onChange={setSubtitleSettings}
+                            available={videoInfo?.subtitles}
+                            canEmbed={mediaType === 'video'}
+                            error={subtitleError}
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>Embedded metadata:</label>
+                        <TagEditor
+                            defaults={tagDefaults}
+                            overrides={tagOverrides}
+                            onOverridesChange={setTagOverrides}
+                            embed={embed}
+                            onEmbedChange={setEmbed}
+                        />
+                    </div>
+                </details>
+
+                {!bulkMode && mediaType === 'video' && isPlaylistUrl(url) && (
+                    <div className="form-group">
+                        {playlistInfo ? (
+                            <PlaylistPicker
+                                playlist={playlistInfo}
+                                selected={selectedItems}
+                                onChange={setSelectedItems}
+                            />
+                        ) : (
+                            <button
+                                type="button"
+                                onClick={handleLoadPlaylist}
+                                disabled={playlistLoading}
+                                className="secondary-btn"
+                            >
+                                {playlistLoading ? 'Loading playlist...' : 'Choose playlist items'}
+                            </button>
+                        )}
+                    </div>
+                )}
+
                 <button 
                     type="submit" 
-                    disabled={loading || (url.length > 0 && !isValidYouTubeUrl(url))}
+                    disabled={loading || subtitleError !== null || chapterError !== null || (bulkMode ? !bulkReady : (
+                        (url.length > 0 && !isValidYouTubeUrl(url))
+                        || rangeError !== null
+                        || (playlistInfo !== null && (selectedItems.length === 0 || selectedItems.length > playlistInfo.maxItems))
+                    ))}
                     className="download-btn"
                 >
-                    {loading ? 'Processing...' : `Download ${mediaType === 'audio' ? 'Audio' : 'Video'}`}
+                    {loading
+                        ? 'Starting...'
+                        : `Download ${bulkMode ? `${bulkUrls.length} ` : ''}${mediaType === 'audio' ? 'Audio' : 'Video'}`}
                 </button>
             </form>
 
-            {loading && taskStatus && (
-                <div className="progress-section">
-                    <p>Status: {taskStatus.status}</p>
-                    {progress > 0 && (
-                        <div className="progress-bar">
-                            <div 
-                                className="progress-fill" 
-                                style={{ width: `${progress}%` }}
-                            ></div>
-                        </div>
-                    )}
-                </div>
-            )}
-
-            {taskStatus?.status === 'completed' && (
-                <div className="download-complete">
-                    <button onClick={handleDownloadFile} className="download-file-btn">
-                        Download {taskStatus.filename || taskStatus.file || 'File'}
-                    </button>
-                </div>
-            )}
-
             {error && <div className="error-message">{error}</div>}
             {success && <div className="success-message">{success}</div>}
         </div>
@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { downloadMedia, downloadFile, releaseFileUrl, deleteResult, clearResults, subscribeToAllTasks, listBackends, MediaType } from '../api/backend';
+import { HistoryEntry, fetchHistory, loadHistory, recordHistory, recordTaskUpdate, removeHistory } from '../api/history';
+
+type TypeFilter = 'all' | MediaType;
+type StatusFilter = 'all' | 'completed' | 'failed' | 'cancelled' | 'active';
+type DateFilter = 'all' | 'today' | 'week' | 'month';
+
+// Which task statuses each status filter covers
+const STATUS_GROUPS: Record<Exclude<StatusFilter, 'all'>, HistoryEntry['status'][]> = {
+    completed: ['completed'],
+    failed: ['failed', 'interrupted'],
+    cancelled: ['cancelled'],
+    active: ['pending', 'processing'],
+};
+
+const DATE_LIMITS: Record<Exclude<DateFilter, 'all'>, number> = {
+    today: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+};
+
+interface HistoryPanelProps {
+    refreshKey?: number;
+    onStatusChange?: (message: string) => void;
+}
+
+const HistoryPanel: React.FC<HistoryPanelProps> = ({ refreshKey, onStatusChange }) => {
+    const [entries, setEntries] = useState<HistoryEntry[]>(() => loadHistory());
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [search, setSearch] = useState('');
+    const [typeFilter, setTypeFilter] = useState<TypeFilter>('all');
+    const [statusFilter, setStatusFilter] = useState<StatusFilter>('all');
+    const [dateFilter, setDateFilter] = useState<DateFilter>('all');
+
+    const refresh = useCallback(async () => {
+        setLoading(true);
+        try {
+            const { entries: merged, offline } = await fetchHistory();
+            setEntries(merged);
+            setError(offline ? 'Backends unreachable, showing the local history only' : null);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh, refreshKey]);
+
+    // Keep entries of running downloads current; a backend without an event stream is simply not followed
+    useEffect(() => {
+        const subscriptions = listBackends().map(({ id, label }) => subscribeToAllTasks(id, (event, task) => {
+            if (event === 'status') {
+                recordTaskUpdate(task);
+                setEntries(loadHistory());
+            } else if (event === 'deleted') {
+                refresh();
+            }
+        }, (err) => {
+            console.warn(`History updates from the ${label} unavailable:`, err.message);
+        }));
+
+        return () => subscriptions.forEach(subscription => subscription.close());
+    }, [refresh]);
+
+    const handleDownload = async (entry: HistoryEntry, filename: string) => {
+        try {
+            const fileUrl = await downloadFile(filename, entry.backend || entry.mediaType);
+            const link = document.createElement('a');
+            link.href = fileUrl;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            releaseFileUrl(fileUrl);
+        } catch (err: any) {
+            setError(`Failed to download file: ${err.message}`);
+        }
+    };
+
+    const handleRetry = async (entry: HistoryEntry) => {
+        setError(null);
+        try {
+            const response = await downloadMedia(entry.url, entry.mediaType, entry.format, entry.options);
+            setEntries(recordHistory({
+                taskId: response.taskId,
+                mediaType: entry.mediaType,
+                backend: response.backend,
+                url: entry.url,
+                title: entry.title,
+                format: entry.format,
+                options: entry.options,
+                type: response.type === 'batch' ? 'batch' : entry.mediaType,
+                status: 'pending',
+            }));
+            onStatusChange?.(`Retrying ${entry.title || entry.url}`);
+        } catch (err: any) {
+            setError(err.message);
+        }
+    };
+
+    const handleDelete = async (entry: HistoryEntry) => {
+        setError(null);
+        if (entry.onServer !== false) {
+            try {
+                await deleteResult(entry.taskId, entry.backend || entry.mediaType);
+            } catch (err: any) {
+                // Already gone from the backend is fine, anything else keeps the entry
+                if (!/not found/i.test(err.message)) {
+                    setError(err.message);
+                    return;
+                }
+            }
+        }
+        setEntries(removeHistory([entry.taskId]));
+    };
+
+    const handleClear = async () => {
+        if (!window.confirm('Remove all finished downloads and their files from the servers and clear the history?')) {
+            return;
+        }
+
+        setError(null);
+        const responses = await Promise.allSettled(listBackends().map(adapter => clearResults(adapter.id)));
+        const failed = responses.filter(response => response.status === 'rejected').length;
+
+        // Running downloads stay listed until they finish
+        setEntries(removeHistory(loadHistory().filter(entry => !isActive(entry)).map(entry => entry.taskId)));
+        if (failed > 0) {
+            setError('Some backends could not be cleared, their files were kept');
+        }
+        onStatusChange?.('Download history cleared');
+    };
+
+    const isActive = (entry: HistoryEntry) => STATUS_GROUPS.active.includes(entry.status);
+
+    const query = search.trim().toLowerCase();
+    const now = Date.now();
+    const visibleEntries = entries.filter(entry => {
+        if (typeFilter !== 'all' && entry.mediaType !== typeFilter) {
+            return false;
+        }
+        if (statusFilter !== 'all' && !STATUS_GROUPS[statusFilter].includes(entry.status)) {
+            return false;
+        }
+        if (dateFilter !== 'all' && now - new Date(entry.createdAt).getTime() > DATE_LIMITS[dateFilter]) {
+            return false;
+        }
+        return !query || [entry.title, entry.url, entry.filename]
+            .some(value => value?.toLowerCase().includes(query));
+    });
+
+    // Files the backend still serves
+    const availableFiles = (entry: HistoryEntry) => {
+        if (entry.status !== 'completed' || entry.onServer === false) {
+            return [];
+        }
+        if (entry.type === 'batch') {
+            return (entry.items || [])
+                .filter(item => item.status === 'completed' && item.filename)
+                .map(item => item.filename as string);
+        }
+        if (entry.files) {
+            return entry.files.filter(file => !file.expired).map(file => file.filename);
+        }
+        return entry.filename ? [entry.filename] : [];
+    };
+
+    return (
+        <section className="history-panel">
+            <div className="history-header">
+                <h2>History</h2>
+                <div className="history-actions">
+                    <button onClick={refresh} disabled={loading} className="secondary-btn small">
+                        {loading ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                    <button onClick={handleClear} disabled={entries.length === 0} className="secondary-btn small">
+                        Clear all
+                    </button>
+                </div>
+            </div>
+
+            <div className="history-filters">
+                <input
+                    type="search"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder="Search title, URL or file"
+                    aria-label="Search history"
+                />
+                <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value as TypeFilter)} aria-label="Type">
+                    <option value="all">All types</option>
+                    <option value="audio">Audio</option>
+                    <option value="video">Video</option>
+                </select>
+                <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value as StatusFilter)} aria-label="Status">
+                    <option value="all">Any status</option>
+                    <option value="completed">Completed</option>
+                    <option value="failed">Failed</option>
+                    <option value="cancelled">Cancelled</option>
+                    <option value="active">In progress</option>
+                </select>
+                <select value={dateFilter} onChange={(e) => setDateFilter(e.target.value as DateFilter)} aria-label="Date">
+                    <option value="all">Any time</option>
+                    <option value="today">Last 24 hours</option>
+                    <option value="week">Last 7 days</option>
+                    <option value="month">Last 30 days</option>
+                </select>
+            </div>
+
+            {visibleEntries.length === 0 ? (
+                <p className="info-text">{entries.length === 0 ? 'No downloads yet' : 'No downloads match the filters'}</p>
+            ) : (
+                <ul className="history-entries">
+                    {visibleEntries.map(entry => {
+                        const files = availableFiles(entry);
+                        return (
+                            <li key={entry.taskId} className={`history-entry ${entry.status}`}>
+                                <div className="history-entry-details">
+                                    <span className="playlist-title" title={entry.url}>{entry.title || entry.url}</span>
+                                    <small className="history-entry-meta">
+                                        {entry.mediaType === 'audio' ? '🎵' : '🎬'} {entry.format}
+                                        {entry.type === 'batch' ? ' · playlist' : ''}
+                                        {' · '}{entry.status}
+                                        {' · '}{new Date(entry.createdAt).toLocaleString()}
+                                        {entry.status === 'completed' && files.length === 0 ? ' · files removed' : ''}
+                                    </small>
+                                    {entry.error && entry.status !== 'completed' && (
+                                        <small className="error-text">{entry.error}</small>
+                                    )}
+                                </div>
+                                <div className="history-entry-actions">
+                                    {files.map(filename => (
+                                        <button
+                                            key={filename}
+                                            onClick={() => handleDownload(entry, filename)}
+                                            className="download-file-btn small"
+                                            title={filename}
+                                        >
+                                            {files.length > 1 ? filename : 'Download'}
+                                        </button>
+                                    ))}
+                                    {['failed', 'interrupted', 'cancelled'].includes(entry.status) && entry.url && (
+                                        <button onClick={() => handleRetry(entry)} className="secondary-btn small">
+                                            Retry
+                                        </button>
+                                    )}
+                                    {!isActive(entry) && (
+                                        <button onClick={() => handleDelete(entry)} className="secondary-btn small">
+                                            Delete
+                                        </button>
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {error && <div className="error-message">{error}</div>}
+        </section>
+    );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { PlaylistInfo } from '../api/backend';
+
+interface PlaylistPickerProps {
+    playlist: PlaylistInfo;
+    selected: number[];
+    onChange: (selected: number[]) => void;
+}
+
+const formatDuration = (seconds: number | null) => {
+    if (!seconds) {
+        return '';
+    }
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+const PlaylistPicker: React.FC<PlaylistPickerProps> = ({ playlist, selected, onChange }) => {
+    const toggleEntry = (index: number) => {
+        onChange(selected.includes(index)
+            ? selected.filter(item => item !== index)
+            : [...selected, index].sort((a, b) => a - b));
+    };
+
+    const tooMany = selected.length > playlist.maxItems;
+
+    return (
+        <div className="playlist-picker">
+            <div className="playlist-header">
+                <strong>{playlist.title || 'Playlist'}</strong>
+                <span>{selected.length} of {playlist.entries.length} selected</span>
+            </div>
+            <div className="playlist-actions">
+                <button type="button" onClick={() => onChange(playlist.entries.map(entry => entry.index))}>
+                    Select all
+                </button>
+                <button type="button" onClick={() => onChange([])}>
+                    Select none
+                </button>
+            </div>
+            <ul className="playlist-entries">
+                {playlist.entries.map(entry => (
+                    <li key={entry.index}>
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={selected.includes(entry.index)}
+                                onChange={() => toggleEntry(entry.index)}
+                            />
+                            <span className="playlist-index">{entry.index}.</span>
+                            <span className="playlist-title">{entry.title}</span>
+                            <span className="playlist-duration">{formatDuration(entry.duration)}</span>
+                        </label>
+                    </li>
+                ))}
+            </ul>
+            {tooMany && (
+                <small className="error-text">
+                    At most {playlist.maxItems} items can be downloaded at once
+                </small>
+            )}
+        </div>
+    );
+};
+
+export default PlaylistPicker;
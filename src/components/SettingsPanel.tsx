@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { checkAllBackendsHealth, getBackendConfig, BackendConfig, MediaType } from '../api/backend';
+import { config, defaultSettings, Settings, normalizeUrl, validateSettings, saveSettings, resetSettings } from '../config';
+
+interface ConnectionResult {
+    online: boolean;
+    message: string;
+    capabilities?: BackendConfig;
+}
+
+interface SettingsPanelProps {
+    onSaved?: () => void;
+    onClose?: () => void;
+}
+
+const BACKENDS: { mediaType: MediaType; label: string; urlField: keyof Settings; keyField: keyof Settings }[] = [
+    { mediaType: 'audio', label: 'Audio backend', urlField: 'audioBackendUrl', keyField: 'audioApiKey' },
+    { mediaType: 'video', label: 'Video backend', urlField: 'videoBackendUrl', keyField: 'videoApiKey' },
+];
+
+const SettingsPanel: React.FC<SettingsPanelProps> = ({ onSaved, onClose }) => {
+    const [settings, setSettings] = useState<Settings>({
+        audioBackendUrl: config.audioBackendUrl,
+        videoBackendUrl: config.videoBackendUrl,
+        audioApiKey: config.audioApiKey,
+        videoApiKey: config.videoApiKey,
+    });
+    const [showKeys, setShowKeys] = useState(false);
+    const [testing, setTesting] = useState(false);
+    const [results, setResults] = useState<Partial<Record<MediaType, ConnectionResult>>>({});
+    const [message, setMessage] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    const errors = validateSettings(settings);
+    const hasErrors = Object.keys(errors).length > 0;
+
+    const updateField = (field: keyof Settings, value: string) => {
+        setSettings(current => ({ ...current, [field]: value }));
+        setResults({});
+        setMessage(null);
+        setError(null);
+    };
+
+    // Tests the entered values, saved or not: health first, then the API key through /api/config
+    const handleTest = async () => {
+        setTesting(true);
+        setMessage(null);
+        setError(null);
+        const entered: Settings = {
+            ...settings,
+            audioBackendUrl: normalizeUrl(settings.audioBackendUrl),
+            videoBackendUrl: normalizeUrl(settings.videoBackendUrl),
+        };
+
+        try {
+            const health = await checkAllBackendsHealth(entered);
+            const tested: Partial<Record<MediaType, ConnectionResult>> = {};
+
+            for (const { mediaType } of BACKENDS) {
+                const online = (mediaType === 'audio' ? health.audioStatus : health.videoStatus) === 'fulfilled';
+                if (!online) {
+                    const reason = mediaType === 'audio' ? health.audioError : health.videoError;
+                    tested[mediaType] = { online, message: reason || 'Unreachable' };
+                    continue;
+                }
+
+                try {
+                    const capabilities = await getBackendConfig(mediaType, entered);
+                    tested[mediaType] = { online, message: 'Connected, API key accepted', capabilities };
+                } catch (err: any) {
+                    tested[mediaType] = { online, message: `Online, but: ${err.message}` };
+                }
+            }
+
+            setResults(tested);
+        } catch (err: any) {
+            setError(err.message);
+        } finally {
+            setTesting(false);
+        }
+    };
+
+    const handleSave = (e: React.FormEvent) => {
+        e.preventDefault();
+        if (hasErrors) {
+            return;
+        }
+        setSettings(saveSettings(settings));
+        setMessage('Settings saved');
+        onSaved?.();
+    };
+
+    const handleReset = () => {
+        setSettings(resetSettings());
+        setResults({});
+        setMessage('Settings reset to the defaults');
+        onSaved?.();
+    };
+
+    const describeCapabilities = (capabilities: BackendConfig) => {
+        const parts: string[] = [];
+        if (capabilities.video) {
+            parts.push(`Output profiles: ${capabilities.video.qualities.join(', ')}`);
+        }
+        if (capabilities.audio) {
+            parts.push(`Audio formats: ${capabilities.audio.formats.join(', ')}`);
+        }
+        if (capabilities.limits) {
+            parts.push(`Playlists up to ${capabilities.limits.maxPlaylistItems} items`);
+            parts.push(`${capabilities.limits.maxConcurrentDownloads} downloads at a time`);
+        }
+        if (capabilities.apiKey) {
+            const { quotas } = capabilities.apiKey;
+            parts.push(`Key "${capabilities.apiKey.name}" (${capabilities.apiKey.role})`);
+            if (quotas.requestsPerMinute) {
+                parts.push(`${quotas.requestsPerMinute} requests per minute`);
+            }
+        }
+        return parts.join(' · ');
+    };
+
+    return (
+        <form className="settings-panel" onSubmit={handleSave}>
+            <div className="history-header">
+                <h2>Settings</h2>
+                {onClose && (
+                    <button type="button" onClick={onClose} className="secondary-btn small">
+                        Close
+                    </button>
+                )}
+            </div>
+
+            {BACKENDS.map(({ mediaType, label, urlField, keyField }) => {
+                const result = results[mediaType];
+                return (
+                    <fieldset key={mediaType} className="settings-backend">
+                        <legend>{label}</legend>
+                        <div className="form-group">
+                            <label htmlFor={urlField}>URL:</label>
+                            <input
+                                type="url"
+                                id={urlField}
+                                value={settings[urlField]}
+                                onChange={(e) => updateField(urlField, e.target.value)}
+                                placeholder={defaultSettings[urlField]}
+                                className={errors[urlField] ? 'invalid' : ''}
+                            />
+                            {errors[urlField] && <small className="error-text">{errors[urlField]}</small>}
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor={keyField}>API key:</label>
+                            <input
+                                type={showKeys ? 'text' : 'password'}
+                                id={keyField}
+                                value={settings[keyField]}
+                                onChange={(e) => updateField(keyField, e.target.value)}
+                                autoComplete="off"
+                                className={errors[keyField] ? 'invalid' : ''}
+                            />
+                            {errors[keyField] && <small className="error-text">{errors[keyField]}</small>}
+                        </div>
+                        {result && (
+                            <div className="settings-result">
+                                <span className={`status-dot ${result.online ? 'online' : 'offline'}`}></span>
+                                <span>{result.message}</span>
+                                {result.capabilities && (
+                                    <small className="info-text">{describeCapabilities(result.capabilities)}</small>
+                                )}
+                            </div>
+                        )}
+                    </fieldset>
+                );
+            })}
+
+            <label className="settings-show-keys">
+                <input type="checkbox" checked={showKeys} onChange={(e) => setShowKeys(e.target.checked)} />
+                Show API keys
+            </label>
+
+            <small className="info-text">
+                Settings are stored in this browser only.
+            </small>
+
+            <div className="settings-actions">
+                <button type="button" onClick={handleTest} disabled={testing || hasErrors} className="secondary-btn">
+                    {testing ? 'Testing...' : 'Test connection'}
+                </button>
+                <button type="button" onClick={handleReset} className="secondary-btn">
+                    Reset to defaults
+                </button>
+                <button type="submit" disabled={hasErrors} className="download-btn">
+                    Save
+                </button>
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+            {message && <div className="success-message">{message}</div>}
+        </form>
+    );
+};
+
+export default SettingsPanel;
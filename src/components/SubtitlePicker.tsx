@@ -0,0 +1,127 @@
+import React from 'react';
+import { SubtitleFormat, SubtitleLanguage, SubtitleOptions } from '../api/backend';
+
+export interface SubtitleSettings {
+    enabled: boolean;
+    languages: string;
+    automatic: boolean;
+    format: SubtitleFormat;
+    embed: boolean;
+}
+
+interface SubtitlePickerProps {
+    settings: SubtitleSettings;
+    onChange: (settings: SubtitleSettings) => void;
+    available?: { manual: SubtitleLanguage[]; automatic: SubtitleLanguage[] };
+    canEmbed: boolean;
+    error?: string | null;
+}
+
+// Language codes separated by commas or spaces, duplicates dropped
+export const parseLanguages = (text: string): string[] => {
+    return Array.from(new Set(text.split(/[\s,]+/).map(language => language.trim()).filter(Boolean)));
+};
+
+// What to send with the download, or undefined when subtitles are off
+export const toSubtitleOptions = (settings: SubtitleSettings, canEmbed: boolean): SubtitleOptions | undefined => {
+    if (!settings.enabled) {
+        return undefined;
+    }
+    return {
+        languages: parseLanguages(settings.languages),
+        manual: true,
+        automatic: settings.automatic,
+        format: settings.format,
+        embed: canEmbed && settings.embed,
+    };
+};
+
+const SubtitlePicker: React.FC<SubtitlePickerProps> = ({ settings, onChange, available, canEmbed, error }) => {
+    const update = (changes: Partial<SubtitleSettings>) => {
+        onChange({ ...settings, ...changes });
+    };
+
+    // Clicking a listed language adds it to the field
+    const addLanguage = (language: string) => {
+        update({ languages: parseLanguages(`${settings.languages} ${language}`).join(', ') });
+    };
+
+    return (
+        <div className="subtitle-picker">
+            <div className="tag-toggles">
+                <label>
+                    <input type="checkbox" checked={settings.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+                    Download subtitles
+                </label>
+                {settings.enabled && (
+                    <>
+                        <label>
+                            <input type="checkbox" checked={settings.automatic} onChange={(e) => update({ automatic: e.target.checked })} />
+                            Auto-generated if there are none
+                        </label>
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={canEmbed && settings.embed}
+                                disabled={!canEmbed}
+                                onChange={(e) => update({ embed: e.target.checked })}
+                            />
+                            Embed into the video
+                        </label>
+                    </>
+                )}
+            </div>
+            {settings.enabled && (
+                <>
+                    <div className="tag-field">
+                        <label htmlFor="subtitleLanguages">Languages:</label>
+                        <input
+                            type="text"
+                            id="subtitleLanguages"
+                            value={settings.languages}
+                            onChange={(e) => update({ languages: e.target.value })}
+                            placeholder="en, de"
+                            className={error ? 'invalid' : ''}
+                        />
+                    </div>
+                    {!(canEmbed && settings.embed) && (
+                        <div className="tag-field">
+                            <label htmlFor="subtitleFormat">Format:</label>
+                            <select
+                                id="subtitleFormat"
+                                value={settings.format}
+                                onChange={(e) => update({ format: e.target.value as SubtitleFormat })}
+                            >
+                                <option value="srt">SRT</option>
+                                <option value="vtt">WebVTT</option>
+                            </select>
+                        </div>
+                    )}
+                    {error && <small className="error-text">{error}</small>}
+                    {available && (
+                        <small className="info-text">
+                            {available.manual.length > 0 ? (
+                                <>
+                                    Subtitles in:{' '}
+                                    {available.manual.map(({ language, name }, index) => (
+                                        <React.Fragment key={language}>
+                                            {index > 0 && ', '}
+                                            <button type="button" className="link-btn" onClick={() => addLanguage(language)}>
+                                                {name} ({language})
+                                            </button>
+                                        </React.Fragment>
+                                    ))}
+                                </>
+                            ) : 'This video has no subtitles.'}
+                            {available.automatic.length > 0
+                                ? ` Auto-generated captions in ${available.automatic.length} ${available.automatic.length === 1 ? 'language' : 'languages'}.`
+                                : ''}
+                        </small>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SubtitlePicker;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { TagField, TagValues } from '../api/backend';
+
+export interface EmbedOptions {
+    tags: boolean;
+    thumbnail: boolean;
+    chapters: boolean;
+}
+
+interface TagEditorProps {
+    defaults: TagValues;
+    overrides: TagValues;
+    onOverridesChange: (overrides: TagValues) => void;
+    embed: EmbedOptions;
+    onEmbedChange: (embed: EmbedOptions) => void;
+}
+
+const FIELDS: { field: TagField; label: string; multiline?: boolean }[] = [
+    { field: 'title', label: 'Title' },
+    { field: 'artist', label: 'Artist' },
+    { field: 'album', label: 'Album' },
+    { field: 'date', label: 'Date' },
+    { field: 'description', label: 'Description', multiline: true },
+];
+
+const TagEditor: React.FC<TagEditorProps> = ({
+    defaults,
+    overrides,
+    onOverridesChange,
+    embed,
+    onEmbedChange,
+}) => {
+    // Only edited fields are sent, the backend fills the rest from the video
+    const updateField = (field: TagField, value: string) => {
+        onOverridesChange({ ...overrides, [field]: value });
+    };
+
+    return (
+        <div className="tag-editor">
+            <div className="tag-toggles">
+                <label>
+                    <input type="checkbox" checked={embed.tags} onChange={(e) => onEmbedChange({ ...embed, tags: e.target.checked })} />
+                    Tags
+                </label>
+                <label>
+                    <input type="checkbox" checked={embed.thumbnail} onChange={(e) => onEmbedChange({ ...embed, thumbnail: e.target.checked })} />
+                    Cover art
+                </label>
+                <label>
+                    <input type="checkbox" checked={embed.chapters} onChange={(e) => onEmbedChange({ ...embed, chapters: e.target.checked })} />
+                    Chapters
+                </label>
+            </div>
+            {embed.tags && FIELDS.map(({ field, label, multiline }) => {
+                const value = overrides[field] ?? defaults[field] ?? '';
+                return (
+                    <div className="tag-field" key={field}>
+                        <label htmlFor={`tag-${field}`}>{label}:</label>
+                        {multiline ? (
+                            <textarea
+                                id={`tag-${field}`}
+                                value={value}
+                                rows={3}
+                                onChange={(e) => updateField(field, e.target.value)}
+                            />
+                        ) : (
+                            <input
+                                type="text"
+                                id={`tag-${field}`}
+                                value={value}
+                                onChange={(e) => updateField(field, e.target.value)}
+                            />
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default TagEditor;
@@ -0,0 +1,116 @@
+import React from 'react';
+
+export interface TimeRangeInput {
+    start: string;
+    end: string;
+}
+
+interface TimeRangeEditorProps {
+    ranges: TimeRangeInput[];
+    onChange: (ranges: TimeRangeInput[]) => void;
+    accurateCuts: boolean;
+    onAccurateCutsChange: (accurateCuts: boolean) => void;
+    duration?: number;
+}
+
+const MAX_RANGES = 20;
+
+// Seconds or [[hh:]mm:]ss, same rules as the backend
+export const parseTimestamp = (value: string): number => {
+    const trimmed = value.trim();
+    if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(trimmed)) {
+        return NaN;
+    }
+    return trimmed.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
+// Returns the first problem with the ranges, or null if they can be sent
+export const validateRanges = (ranges: TimeRangeInput[], duration?: number): string | null => {
+    for (const [index, range] of ranges.entries()) {
+        const label = ranges.length > 1 ? `Range ${index + 1}` : 'Time range';
+        const start = range.start.trim() ? parseTimestamp(range.start) : 0;
+        const end = range.end.trim() ? parseTimestamp(range.end) : null;
+
+        if (isNaN(start) || (end !== null && isNaN(end))) {
+            return `${label}: use seconds or mm:ss`;
+        }
+        if (end !== null && end <= start) {
+            return `${label} must end after it starts`;
+        }
+        if (duration && (start >= duration || (end !== null && end > duration))) {
+            return `${label} is outside the video`;
+        }
+    }
+    return null;
+};
+
+const TimeRangeEditor: React.FC<TimeRangeEditorProps> = ({
+    ranges,
+    onChange,
+    accurateCuts,
+    onAccurateCutsChange,
+    duration,
+}) => {
+    const updateRange = (index: number, field: keyof TimeRangeInput, value: string) => {
+        onChange(ranges.map((range, i) => i === index ? { ...range, [field]: value } : range));
+    };
+
+    const removeRange = (index: number) => {
+        const remaining = ranges.filter((_, i) => i !== index);
+        onChange(remaining.length > 0 ? remaining : [{ start: '', end: '' }]);
+    };
+
+    const error = validateRanges(ranges, duration);
+
+    return (
+        <div className="time-range-editor">
+            {ranges.map((range, index) => (
+                <div className="time-range-row" key={index}>
+                    <input
+                        type="text"
+                        value={range.start}
+                        onChange={(e) => updateRange(index, 'start', e.target.value)}
+                        placeholder="Start (0:00)"
+                        aria-label={`Range ${index + 1} start`}
+                    />
+                    <span>–</span>
+                    <input
+                        type="text"
+                        value={range.end}
+                        onChange={(e) => updateRange(index, 'end', e.target.value)}
+                        placeholder="End (video end)"
+                        aria-label={`Range ${index + 1} end`}
+                    />
+                    {ranges.length > 1 && (
+                        <button type="button" onClick={() => removeRange(index)} className="secondary-btn small">
+                            Remove
+                        </button>
+                    )}
+                </div>
+            ))}
+            <div className="time-range-actions">
+                <button
+                    type="button"
+                    onClick={() => onChange([...ranges, { start: '', end: '' }])}
+                    disabled={ranges.length >= MAX_RANGES}
+                    className="secondary-btn small"
+                >
+                    Add range
+                </button>
+                <label>
+                    <input type="checkbox" checked={accurateCuts} onChange={(e) => onAccurateCutsChange(e.target.checked)} />
+                    Exact cuts (slower)
+                </label>
+            </div>
+            {error ? (
+                <small className="error-text">{error}</small>
+            ) : (
+                <small className="info-text">
+                    Leave empty to download the whole video. Each range becomes its own file.
+                </small>
+            )}
+        </div>
+    );
+};
+
+export default TimeRangeEditor;
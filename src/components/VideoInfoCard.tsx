@@ -0,0 +1,37 @@
+import React from 'react';
+import { VideoInfo } from '../api/backend';
+
+interface VideoInfoCardProps {
+    info: VideoInfo;
+}
+
+const formatDuration = (seconds?: number) => {
+    if (!seconds) {
+        return '';
+    }
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    const pad = (value: number) => value.toString().padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+};
+
+const VideoInfoCard: React.FC<VideoInfoCardProps> = ({ info }) => {
+    return (
+        <div className="video-info-card">
+            {info.thumbnail && (
+                <img src={info.thumbnail} alt="" className="video-info-thumbnail" />
+            )}
+            <div className="video-info-details">
+                <strong className="video-info-title">{info.title}</strong>
+                {info.uploader && <span>{info.uploader}</span>}
+                <span className="video-info-meta">
+                    {formatDuration(info.duration)}
+                    {info.maxHeight > 0 ? ` · up to ${info.maxHeight}p` : ''}
+                </span>
+            </div>
+        </div>
+    );
+};
+
+export default VideoInfoCard;
@@ -1,6 +1,76 @@
+export interface Settings {
+    audioBackendUrl: string;
+    videoBackendUrl: string;
+    audioApiKey: string;
+    videoApiKey: string;
+}
+
+const STORAGE_KEY = 'settings';
+const env = import.meta.env;
+
+// Build-time values from .env, used until the user saves their own settings
+export const defaultSettings: Settings = {
+    audioBackendUrl: env.VITE_AUDIO_BACKEND_URL || 'http://localhost:8088',
+    videoBackendUrl: env.VITE_VIDEO_BACKEND_URL || 'http://localhost:3003',
+    audioApiKey: env.VITE_AUDIO_API_KEY || env.VITE_API_KEY || 'your-api-key-here',
+    videoApiKey: env.VITE_VIDEO_API_KEY || env.VITE_API_KEY || 'your-api-key-here',
+};
+
+const loadSettings = (): Settings => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return { ...defaultSettings, ...stored };
+    } catch (error) {
+        console.warn('Ignoring unreadable settings:', error);
+        return { ...defaultSettings };
+    }
+};
+
+// Current settings, read by the API client on every request
 export const config = {
-    audioBackendUrl: 'http://192.168.0.128:8088',
-    videoBackendUrl: 'http://localhost:3003',
-    apiKey: process.env.VITE_API_KEY || 'your-api-key-here',
-    isDevelopment: true,
-};
\ No newline at end of file
+    ...loadSettings(),
+    isDevelopment: import.meta.env.DEV,
+};
+
+// Trailing slashes would produce "//api" in request URLs
+export const normalizeUrl = (url: string) => url.trim().replace(/\/+$/, '');
+
+// Problems with entered settings, by field
+export const validateSettings = (settings: Settings): Partial<Record<keyof Settings, string>> => {
+    const errors: Partial<Record<keyof Settings, string>> = {};
+    (['audioBackendUrl', 'videoBackendUrl'] as const).forEach(field => {
+        try {
+            const { protocol } = new URL(settings[field]);
+            if (protocol !== 'http:' && protocol !== 'https:') {
+                errors[field] = 'Use an http:// or https:// URL';
+            }
+        } catch {
+            errors[field] = 'Enter a full URL like http://localhost:3003';
+        }
+    });
+    (['audioApiKey', 'videoApiKey'] as const).forEach(field => {
+        if (!settings[field].trim()) {
+            errors[field] = 'API key is required';
+        }
+    });
+    return errors;
+};
+
+export const saveSettings = (settings: Settings) => {
+    const normalized: Settings = {
+        audioBackendUrl: normalizeUrl(settings.audioBackendUrl),
+        videoBackendUrl: normalizeUrl(settings.videoBackendUrl),
+        audioApiKey: settings.audioApiKey.trim(),
+        videoApiKey: settings.videoApiKey.trim(),
+    };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(normalized));
+    Object.assign(config, normalized);
+    return normalized;
+};
+
+// Forget saved settings and go back to the build-time defaults
+export const resetSettings = () => {
+    localStorage.removeItem(STORAGE_KEY);
+    Object.assign(config, defaultSettings);
+    return { ...defaultSettings };
+};
@@ -2,7 +2,7 @@
 
 export interface DownloadRequest {
     url: string;
-    format: 'mp3' | 'wav' | 'flac';
+    format: 'mp3' | 'wav' | 'flac' | 'opus' | 'm4a';
 }
 
 export interface DownloadResponse {
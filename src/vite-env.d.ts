@@ -0,0 +1,13 @@
+/// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+    readonly VITE_AUDIO_BACKEND_URL?: string;
+    readonly VITE_VIDEO_BACKEND_URL?: string;
+    readonly VITE_API_KEY?: string;
+    readonly VITE_AUDIO_API_KEY?: string;
+    readonly VITE_VIDEO_API_KEY?: string;
+}
+
+interface ImportMeta {
+    readonly env: ImportMetaEnv;
+}
@@ -1,21 +1,111 @@
 import express from 'express';
 import path from 'path';
 import fs from 'fs-extra';
-import { fileURLToPath } from 'url';
-import VideoProcessor from '../utils/video-processor.js';
-import TaskManager from '../utils/task-manager.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import VideoProcessor, { AUDIO_FORMATS, AUDIO_BITRATES, DEFAULT_AUDIO_BITRATE } from '../utils/video-processor.js';
+import TaskManager, { TASK_PRIORITIES, FINISHED_STATUSES, taskFilenames } from '../utils/task-manager.js';
+import { createTaskStore } from '../utils/task-store.js';
+import { openEventStream } from '../utils/sse.js';
+import { DEFAULT_FILENAME_TEMPLATE, DEFAULT_CHAPTER_TEMPLATE, TEMPLATE_FIELDS, validateTemplate, sanitizeFilename, contentDisposition } from '../utils/filename-template.js';
+import { TAG_FIELDS, validateTags, buildTags, embedMetadata } from '../utils/media-tagger.js';
+import { MAX_RANGES, collectRanges, normalizeRanges } from '../utils/time-ranges.js';
+import { validateSubtitleOptions, normalizeSubtitleOptions, embedSubtitles } from '../utils/subtitles.js';
+import { loadOutputProfiles, resolveProfile, availableProfiles, planTranscode, transcodeToProfile } from '../utils/output-profiles.js';
+import { mimeType } from '../utils/mime-types.js';
+import { zipSize, writeZip } from '../utils/zip-stream.js';
+import { selectPlaylistItems } from '../utils/playlist-selection.js';
+import { validateMediaUrl } from '../utils/media-url.js';
+import FileRetention from '../utils/file-retention.js';
+import StorageManager from '../utils/storage-manager.js';
+import Metrics from '../utils/metrics.js';
+import ResultCache, { resultCacheKey, cachedResult, mirroredState } from '../utils/result-cache.js';
+import WebhookNotifier, { validateCallbackUrl } from '../utils/webhooks.js';
+import { DOWNLOAD_URL_TTL, createSignedUrl, verifySignedUrl, createSignedBundleUrl, verifySignedBundleUrl } from '../utils/signed-urls.js';
+import { createKeyRegistry, validateKeyRequest } from '../utils/key-registry.js';
+import RateLimiter from '../utils/rate-limiter.js';
+import { classifyError } from '../utils/error-classifier.js';
 
 const router = express.Router();
+const filesRouter = express.Router(); // Mounted without API key authentication
+const maxPlaylistItems = parseInt(process.env.MAX_PLAYLIST_ITEMS, 10) || 50;
+const maxAttempts = parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS, 10) || 3;
+const retryBaseDelay = parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 2000;
+const maxResults = 100;
 const videoProcessor = new VideoProcessor();
-const taskManager = new TaskManager();
+const taskManager = new TaskManager({
+    store: createTaskStore(),
+    downloadsDir: videoProcessor.downloadsDir
+});
+const metrics = new Metrics(taskManager);
+const resultCache = new ResultCache(taskManager, videoProcessor.downloadsDir);
+const webhooks = new WebhookNotifier(taskManager, { present: presentTask });
+
+const keyRegistry = createKeyRegistry();
+await keyRegistry.load();
+const { profiles: outputProfiles, defaultProfile } = await loadOutputProfiles();
+const downloadLimiter = new RateLimiter();
+
+const fileRetention = new FileRetention({
+    downloadsDir: videoProcessor.downloadsDir,
+    onRemove: filename => taskManager.markFileExpired(filename)
+});
+const workingNames = new Map(); // Task ID -> output base name of its running download
+const storageManager = new StorageManager({
+    downloadsDir: videoProcessor.downloadsDir,
+    retention: fileRetention,
+    isOwned: filename => Boolean(taskManager.findTaskByFilename(filename)),
+    // Sources of long transcodes and chapter splits can be older than the orphan grace period
+    isInUse: filename => Array.from(workingNames.values()).some(baseName => filename.startsWith(`${baseName}.`))
+});
+
+// Reload tasks from the previous run and queue unfinished ones again.
+// Tasks that had joined another download run on their own now.
+const resumableTasks = await taskManager.restore();
+resumableTasks.forEach(task => {
+    if (task.coalescedWith) {
+        taskManager.updateTask(task.taskId, { coalescedWith: null });
+    }
+    taskManager.enqueue(task.taskId, processMediaAsync);
+});
+taskManager.on('updated', mirrorToFollowers);
+storageManager.start();
 
-// POST /api/download - Submit video download task
+// POST /api/download - Submit video or audio download task
 router.post('/download', async (req, res) => {
     try {
-        const { url, quality = '720p' } = req.body;
+        const {
+            url,
+            profile,
+            quality,
+            format,
+            bitrate = DEFAULT_AUDIO_BITRATE,
+            priority = 'normal',
+            playlist,
+            items,
+            filenameTemplate = DEFAULT_FILENAME_TEMPLATE,
+            embedMetadata: embedTags = true,
+            embedThumbnail = true,
+            embedChapters = true,
+            tags,
+            start,
+            end,
+            ranges,
+            accurateCuts = false,
+            splitChapters = false,
+            cache = true,
+            callbackUrl,
+            subtitles
+        } = req.body;
+
+        // Every submission counts towards the key's rate limit
+        const quotas = keyRegistry.getQuotas(req.apiKey);
+        const retryAfter = downloadLimiter.take(req.apiKey.id, quotas.requestsPerMinute);
+        if (retryAfter) {
+            res.setHeader('Retry-After', retryAfter);
+            return res.status(429).json({
+                error: 'Rate limit exceeded',
+                message: `At most ${quotas.requestsPerMinute} download requests per minute, try again in ${retryAfter}s`
+            });
+        }
 
         if (!url) {
             return res.status(400).json({
@@ -24,30 +114,244 @@ router.post('/download', async (req, res) => {
             });
         }
 
-        // Validate video quality
-        const validQualities = ['720p', '1080p', '4K'];
-        if (!validQualities.includes(quality)) {
+        const urlError = validateMediaUrl(url);
+        if (urlError) {
+            return res.status(400).json({
+                error: 'Invalid URL',
+                message: urlError
+            });
+        }
+
+        const storageError = await storageManager.checkFreeSpace();
+        if (storageError) {
+            return res.status(507).json({
+                error: 'Insufficient storage',
+                message: storageError
+            });
+        }
+
+        // An audio format selects audio extraction, otherwise a video output profile applies
+        let media;
+        if (format) {
+            if (!AUDIO_FORMATS.includes(format)) {
+                return res.status(400).json({
+                    error: 'Invalid format',
+                    message: `Format must be one of: ${AUDIO_FORMATS.join(', ')}`
+                });
+            }
+
+            if (!AUDIO_BITRATES.includes(String(bitrate))) {
+                return res.status(400).json({
+                    error: 'Invalid bitrate',
+                    message: `Bitrate must be one of: ${AUDIO_BITRATES.join(', ')} (kbps)`
+                });
+            }
+
+            media = { type: 'audio', format, bitrate: String(bitrate) };
+        } else {
+            // quality is the profile's name for clients from before profiles
+            const profileName = profile ?? quality ?? defaultProfile;
+            if (!Object.hasOwn(outputProfiles, profileName)) {
+                return res.status(400).json({
+                    error: 'Invalid profile',
+                    message: `Profile must be one of: ${Object.keys(outputProfiles).join(', ')}`
+                });
+            }
+
+            // The settings are stored with the task so later profile changes don't affect it
+            media = { type: 'video', quality: profileName, outputProfile: resolveProfile(outputProfiles[profileName]) };
+        }
+
+        // Validate queue priority
+        const validPriorities = Object.keys(TASK_PRIORITIES);
+        if (!validPriorities.includes(priority)) {
+            return res.status(400).json({
+                error: 'Invalid priority',
+                message: `Priority must be one of: ${validPriorities.join(', ')}`
+            });
+        }
+
+        // Validate output filename template
+        const templateError = validateTemplate(filenameTemplate);
+        if (templateError) {
+            return res.status(400).json({
+                error: 'Invalid filename template',
+                message: templateError
+            });
+        }
+        media.filenameTemplate = filenameTemplate;
+
+        // Validate tag overrides
+        const tagsError = validateTags(tags);
+        if (tagsError) {
             return res.status(400).json({
-                error: 'Invalid quality',
-                message: `Quality must be one of: ${validQualities.join(', ')}`
+                error: 'Invalid tags',
+                message: tagsError
+            });
+        }
+        media.tags = tags || {};
+        media.embed = {
+            metadata: embedTags !== false,
+            thumbnail: embedThumbnail !== false,
+            chapters: embedChapters !== false
+        };
+        // cache: false downloads again even when the same output exists
+        if (cache === false) {
+            media.cache = false;
+        }
+
+        // Notified when the task completes, fails or is cancelled
+        if (callbackUrl) {
+            const callbackError = await validateCallbackUrl(callbackUrl);
+            if (callbackError) {
+                return res.status(400).json({
+                    error: 'Invalid callback URL',
+                    message: callbackError
+                });
+            }
+            media.callbackUrl = callbackUrl;
+        }
+
+        const requestedRanges = collectRanges({ start, end, ranges });
+
+        // One file per chapter; chapter times refer to the whole video, so not together with ranges
+        if (splitChapters === true) {
+            if (requestedRanges) {
+                return res.status(400).json({
+                    error: 'Invalid chapter split',
+                    message: 'Splitting by chapters cannot be combined with time ranges'
+                });
+            }
+            media.splitChapters = true;
+        }
+
+        // Subtitles in the chosen languages, as separate files or embedded into the video
+        if (subtitles !== undefined && subtitles !== null) {
+            const subtitleError = validateSubtitleOptions(subtitles)
+                || (subtitles.embed && media.type === 'audio' ? 'Subtitles can only be embedded into videos' : null)
+                || (requestedRanges ? 'Subtitles cannot be combined with time ranges' : null)
+                || (media.splitChapters ? 'Subtitles cannot be combined with splitting by chapters' : null);
+            if (subtitleError) {
+                return res.status(400).json({
+                    error: 'Invalid subtitles',
+                    message: subtitleError
+                });
+            }
+            media.subtitles = normalizeSubtitleOptions(subtitles);
+        }
+
+        // Playlists and channels become a batch with one task per entry
+        if (playlist === true || videoProcessor.isPlaylistUrl(url)) {
+            if (requestedRanges) {
+                return res.status(400).json({
+                    error: 'Invalid time range',
+                    message: 'Time ranges cannot be combined with playlist downloads'
+                });
+            }
+            return await createPlaylistBatch(req, res, { url, media, priority, items });
+        }
+
+        const quotaError = checkQuota(req.apiKey, 1);
+        if (quotaError) {
+            return res.status(429).json({
+                error: 'Quota exceeded',
+                message: quotaError
             });
         }
 
+        // Validate time ranges against the video length
+        if (requestedRanges) {
+            let duration;
+            try {
+                ({ duration } = await videoProcessor.getVideoInfo(url));
+            } catch (error) {
+                // Private, removed or unreachable videos are the caller's problem, not a server error
+                const failure = classifyError(error);
+                if (failure.code === 'unknown') {
+                    throw error;
+                }
+                return res.status(failure.retryable ? 503 : 422).json({
+                    error: 'Video info unavailable',
+                    message: failure.message,
+                    errorCode: failure.code
+                });
+            }
+            const { ranges: validRanges, error: rangeError } = normalizeRanges(requestedRanges, duration);
+            if (rangeError) {
+                return res.status(400).json({
+                    error: 'Invalid time range',
+                    message: rangeError
+                });
+            }
+            media.ranges = validRanges;
+            media.accurateCuts = accurateCuts === true;
+        }
+
+        media.cacheKey = resultCacheKey(url, media);
+        if (media.cacheKey && media.cache !== false) {
+            // The same video with the same options was downloaded before: reuse its files
+            const cached = await resultCache.findCompleted(media.cacheKey);
+            if (cached) {
+                const taskId = taskManager.createTask({
+                    url,
+                    ...media,
+                    ...cachedResult(cached),
+                    priority,
+                    ownerId: req.apiKey.id,
+                    status: 'completed',
+                    progress: 100,
+                    cachedFrom: cached.taskId
+                });
+                taskFilenames(cached).forEach(filename => storageManager.recordAccess(filename));
+                metrics.recordCacheHit('cached');
+
+                return res.json({
+                    taskId,
+                    status: 'completed',
+                    cached: true,
+                    message: 'Already downloaded with the same options, the existing file is reused'
+                });
+            }
+
+            // The same download is queued or running: follow it instead of downloading twice
+            const inFlight = resultCache.findInFlight(media.cacheKey);
+            if (inFlight) {
+                const taskId = taskManager.createTask({
+                    url,
+                    ...media,
+                    ...mirroredState(inFlight),
+                    priority,
+                    ownerId: req.apiKey.id,
+                    coalescedWith: inFlight.taskId
+                });
+                metrics.recordCacheHit('coalesced');
+
+                return res.json({
+                    taskId,
+                    status: inFlight.status,
+                    coalesced: true,
+                    message: 'The same download is already in progress, this task completes with it'
+                });
+            }
+        }
+
         // Create new task
         const taskId = taskManager.createTask({
             url,
-            quality,
-            type: 'video',
+            ...media,
+            priority,
+            ownerId: req.apiKey.id,
             status: 'pending'
         });
 
-        // Start processing in background
-        processVideoAsync(taskId, url, quality);
+        // Queue for background processing
+        const queuePosition = taskManager.enqueue(taskId, processMediaAsync);
 
         res.json({
             taskId,
             status: 'pending',
-            message: 'Video download task created successfully'
+            queuePosition,
+            message: `${media.type === 'audio' ? 'Audio' : 'Video'} download task created successfully`
         });
 
     } catch (error) {
@@ -65,14 +369,14 @@ router.get('/task/:taskId', (req, res) => {
         const { taskId } = req.params;
         const task = taskManager.getTask(taskId);
 
-        if (!task) {
+        if (!task || !canAccessTask(req.apiKey, task)) {
             return res.status(404).json({
                 error: 'Task not found',
                 message: 'The requested task does not exist'
             });
         }
 
-        res.json(task);
+        res.json(presentTask(task));
 
     } catch (error) {
         console.error('Task status error:', error);
@@ -83,48 +387,67 @@ router.get('/task/:taskId', (req, res) => {
     }
 });
 
-// GET /api/download/:filename - Download processed video file
-router.get('/download/:filename', async (req, res) => {
+// GET /api/task/:taskId/webhooks - Delivery attempts of the task's notifications
+router.get('/task/:taskId/webhooks', (req, res) => {
     try {
-        const { filename } = req.params;
-        const filePath = path.join(__dirname, '..', 'downloads', filename);
+        const { taskId } = req.params;
+        const task = taskManager.getTask(taskId);
 
-        // Check if file exists
-        if (!await fs.pathExists(filePath)) {
+        if (!task || !canAccessTask(req.apiKey, task)) {
             return res.status(404).json({
-                error: 'File not found',
-                message: 'The requested file does not exist or has been removed'
+                error: 'Task not found',
+                message: 'The requested task does not exist'
             });
         }
 
-        // Get file info
-        const stats = await fs.stat(filePath);
-        const fileSize = stats.size;
+        res.json({
+            taskId,
+            callbackUrl: task.callbackUrl || null,
+            deliveries: webhooks.getDeliveries(taskId)
+        });
 
-        // Set appropriate headers
-        res.setHeader('Content-Type', 'video/mp4');
-        res.setHeader('Content-Length', fileSize);
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    } catch (error) {
+        console.error('Webhook log error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
 
-        // Stream the file
-        const fileStream = fs.createReadStream(filePath);
-        fileStream.pipe(res);
+// POST /api/webhooks/test - Send a sample event to a URL, or to every server-wide webhook (admin only)
+router.post('/webhooks/test', requireAdmin, async (req, res) => {
+    try {
+        const { url } = req.body;
+        let urls;
 
-        // Clean up file after download (optional)
-        fileStream.on('end', async () => {
-            try {
-                // Wait a bit then delete the file
-                setTimeout(async () => {
-                    await fs.remove(filePath);
-                    console.log(`Cleaned up file: ${filename}`);
-                }, 5000);
-            } catch (error) {
-                console.error('Error cleaning up file:', error);
+        if (url) {
+            const urlError = await validateCallbackUrl(url);
+            if (urlError) {
+                return res.status(400).json({
+                    error: 'Invalid callback URL',
+                    message: urlError
+                });
+            }
+            urls = [url];
+        } else {
+            urls = webhooks.urls;
+            if (urls.length === 0) {
+                return res.status(400).json({
+                    error: 'No webhooks configured',
+                    message: 'Set WEBHOOK_URLS or pass a url to test'
+                });
             }
+        }
+
+        const deliveries = await Promise.all(urls.map(target => webhooks.sendTest(target)));
+        res.json({
+            deliveries: deliveries.map(({ retryable, ...delivery }) => delivery),
+            message: `${deliveries.filter(delivery => delivery.delivered).length} of ${deliveries.length} test events delivered`
         });
 
     } catch (error) {
-        console.error('Download file error:', error);
+        console.error('Webhook test error:', error);
         res.status(500).json({
             error: 'Internal server error',
             message: error.message
@@ -132,13 +455,34 @@ router.get('/download/:filename', async (req, res) => {
     }
 });
 
-// GET /api/results - Get recent results
-router.get('/results', (req, res) => {
+// GET /api/info?url= - Get video metadata and available formats without downloading
+router.get('/info', async (req, res) => {
     try {
-        const results = taskManager.getRecentResults();
-        res.json(results);
+        const { url } = req.query;
+
+        if (!url) {
+            return res.status(400).json({
+                error: 'URL is required',
+                message: 'Please provide a valid YouTube URL'
+            });
+        }
+
+        const urlError = validateMediaUrl(url);
+        if (urlError) {
+            return res.status(400).json({
+                error: 'Invalid URL',
+                message: urlError
+            });
+        }
+
+        const videoInfo = await videoProcessor.getVideoInfo(url);
+        res.json({
+            ...videoInfo,
+            availableQualities: availableProfiles(outputProfiles, videoInfo.maxHeight)
+        });
+
     } catch (error) {
-        console.error('Results error:', error);
+        console.error('Video info error:', error);
         res.status(500).json({
             error: 'Internal server error',
             message: error.message
@@ -146,48 +490,1229 @@ router.get('/results', (req, res) => {
     }
 });
 
-// Background video processing function
-async function processVideoAsync(taskId, url, quality) {
+// GET /api/playlist?url= - List playlist or channel entries for item selection
+router.get('/playlist', async (req, res) => {
     try {
-        // Update task status to processing
-        taskManager.updateTask(taskId, {
-            status: 'processing',
-            progress: 0
+        const { url } = req.query;
+
+        if (!url) {
+            return res.status(400).json({
+                error: 'URL is required',
+                message: 'Please provide a playlist or channel URL'
+            });
+        }
+
+        const urlError = validateMediaUrl(url);
+        if (urlError) {
+            return res.status(400).json({
+                error: 'Invalid URL',
+                message: urlError
+            });
+        }
+
+        const playlistInfo = await videoProcessor.getPlaylistEntries(url);
+        res.json({
+            ...playlistInfo,
+            maxItems: maxPlaylistItems
         });
 
-        // Process video
-        const result = await videoProcessor.processVideo(url, quality, (progress) => {
-            taskManager.updateTask(taskId, {
-                status: 'processing',
-                progress: Math.round(progress)
+    } catch (error) {
+        console.error('Playlist info error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/task/:taskId/events - Stream task updates as Server-Sent Events
+router.get('/task/:taskId/events', (req, res) => {
+    const { taskId } = req.params;
+    const task = taskManager.getTask(taskId);
+
+    if (!task || !canAccessTask(req.apiKey, task)) {
+        return res.status(404).json({
+            error: 'Task not found',
+            message: 'The requested task does not exist'
+        });
+    }
+
+    const send = openEventStream(req, res);
+    send('task', presentTask(task));
+
+    // Nothing more will happen to a finished task
+    if (FINISHED_STATUSES.includes(task.status)) {
+        return res.end();
+    }
+
+    const onUpdated = (updatedTask, previousStatus) => {
+        if (updatedTask.taskId !== taskId) {
+            return;
+        }
+
+        send(updatedTask.status !== previousStatus ? 'status' : 'progress', presentTask(updatedTask));
+
+        if (FINISHED_STATUSES.includes(updatedTask.status)) {
+            res.end();
+        }
+    };
+
+    const onDeleted = (deletedId) => {
+        if (deletedId === taskId) {
+            send('deleted', { taskId });
+            res.end();
+        }
+    };
+
+    taskManager.on('updated', onUpdated);
+    taskManager.on('deleted', onDeleted);
+
+    res.on('close', () => {
+        taskManager.off('updated', onUpdated);
+        taskManager.off('deleted', onDeleted);
+    });
+});
+
+// GET /api/events - Stream updates for all of the caller's tasks as Server-Sent Events
+router.get('/events', (req, res) => {
+    const send = openEventStream(req, res);
+
+    const onCreated = (task) => {
+        if (canAccessTask(req.apiKey, task)) {
+            send('created', presentTask(task));
+        }
+    };
+    const onUpdated = (task, previousStatus) => {
+        if (canAccessTask(req.apiKey, task)) {
+            send(task.status !== previousStatus ? 'status' : 'progress', presentTask(task));
+        }
+    };
+    const onDeleted = (taskId, task) => {
+        if (canAccessTask(req.apiKey, task)) {
+            send('deleted', { taskId });
+        }
+    };
+
+    taskManager.on('created', onCreated);
+    taskManager.on('updated', onUpdated);
+    taskManager.on('deleted', onDeleted);
+
+    res.on('close', () => {
+        taskManager.off('created', onCreated);
+        taskManager.off('updated', onUpdated);
+        taskManager.off('deleted', onDeleted);
+    });
+});
+
+// DELETE /api/task/:taskId - Cancel a waiting or running task
+router.delete('/task/:taskId', (req, res) => {
+    try {
+        const { taskId } = req.params;
+        const task = taskManager.getTask(taskId);
+
+        if (!task || !canAccessTask(req.apiKey, task)) {
+            return res.status(404).json({
+                error: 'Task not found',
+                message: 'The requested task does not exist'
+            });
+        }
+
+        if (!taskManager.cancelTask(taskId)) {
+            return res.status(409).json({
+                error: 'Task already finished',
+                message: `Task is already ${task.status} and cannot be cancelled`
             });
+        }
+
+        res.json({
+            taskId,
+            status: 'cancelled',
+            message: 'Task cancelled successfully'
         });
 
-        // Update task with completion
-        taskManager.updateTask(taskId, {
-            status: 'completed',
-            progress: 100,
-            filename: result.filename,
-            downloadUrl: `/api/download/${result.filename}`,
-            result: {
-                filename: result.filename,
-                downloadUrl: `/api/download/${result.filename}`
-            }
+    } catch (error) {
+        console.error('Task cancel error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/download/:filename - Download a finished file
+router.get('/download/:filename', async (req, res) => {
+    try {
+        await sendDownload(req, res, req.params.filename, req.apiKey);
+    } catch (error) {
+        console.error('Download file error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
         });
+    }
+});
+
+// GET /api/download/:filename/link - Create a signed link that works without the API key
+router.get('/download/:filename/link', async (req, res) => {
+    try {
+        const { filename } = req.params;
+
+        if (!await resolveTaskFile(filename, req.apiKey)) {
+            return res.status(404).json({
+                error: 'File not found',
+                message: 'The requested file does not exist or has been removed'
+            });
+        }
 
-        console.log(`Video processing completed for task ${taskId}: ${result.filename}`);
+        res.json(createSignedUrl(filename));
 
     } catch (error) {
-        console.error(`Video processing failed for task ${taskId}:`, error);
-        
-        taskManager.updateTask(taskId, {
-            status: 'failed',
-            error: error.message,
-            result: {
-                error: error.message
-            }
+        console.error('Download link error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// GET /files/:filename?expires=&signature= - Download through a signed link
+filesRouter.get('/:filename', async (req, res) => {
+    try {
+        const { filename } = req.params;
+        const { expires, signature } = req.query;
+
+        const signatureError = verifySignedUrl(filename, expires, signature);
+        if (signatureError) {
+            return res.status(403).json({
+                error: 'Invalid download link',
+                message: signatureError
+            });
+        }
+
+        await sendDownload(req, res, filename);
+
+    } catch (error) {
+        console.error('Signed download error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/bundle/:taskId - Download all files of a finished task, or of a playlist's finished items, as one ZIP
+router.get('/bundle/:taskId', async (req, res) => {
+    try {
+        await sendBundle(req, res, req.params.taskId, req.apiKey);
+    } catch (error) {
+        console.error('Bundle error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/bundle/:taskId/link - Create a signed bundle link that works without the API key
+router.get('/bundle/:taskId/link', async (req, res) => {
+    try {
+        const { taskId } = req.params;
+
+        const bundle = await resolveBundle(taskId, req.apiKey);
+        if (bundle.error) {
+            return res.status(bundle.status).json({
+                error: bundle.error,
+                message: bundle.message
+            });
+        }
+
+        res.json(createSignedBundleUrl(taskId));
+
+    } catch (error) {
+        console.error('Bundle link error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
         });
     }
+});
+
+// GET /files/bundle/:taskId?expires=&signature= - Download a bundle through a signed link
+filesRouter.get('/bundle/:taskId', async (req, res) => {
+    try {
+        const { taskId } = req.params;
+        const { expires, signature } = req.query;
+
+        const signatureError = verifySignedBundleUrl(taskId, expires, signature);
+        if (signatureError) {
+            return res.status(403).json({
+                error: 'Invalid download link',
+                message: signatureError
+            });
+        }
+
+        await sendBundle(req, res, taskId);
+
+    } catch (error) {
+        console.error('Signed bundle error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/results - Get the caller's recent results, ?all=true for every key's results (admin only)
+router.get('/results', (req, res) => {
+    try {
+        const showAll = req.query.all === 'true' && req.apiKey.role === 'admin';
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, maxResults);
+        const results = taskManager.getRecentResults(limit, showAll ? null : req.apiKey.id);
+        res.json(results.map(presentTask));
+    } catch (error) {
+        console.error('Results error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/results/:taskId - Remove a finished task and its files
+router.delete('/results/:taskId', async (req, res) => {
+    try {
+        const { taskId } = req.params;
+        const task = taskManager.getTask(taskId);
+
+        if (!task || !canAccessTask(req.apiKey, task)) {
+            return res.status(404).json({
+                error: 'Task not found',
+                message: 'The requested task does not exist'
+            });
+        }
+
+        const tasks = taskManager.getRemovableTasks(taskId);
+        if (tasks.length === 0) {
+            return res.status(409).json({
+                error: 'Task not finished',
+                message: `Task is still ${task.status}, cancel it before removing it`
+            });
+        }
+
+        const removedFiles = await removeResults(tasks);
+
+        res.json({
+            taskId,
+            status: 'deleted',
+            removedFiles,
+            message: 'Task and its files removed'
+        });
+
+    } catch (error) {
+        console.error('Result delete error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/results - Remove all of the caller's finished tasks and their files, ?all=true for every key's (admin only)
+router.delete('/results', async (req, res) => {
+    try {
+        const clearAll = req.query.all === 'true' && req.apiKey.role === 'admin';
+        const tasks = taskManager.getRecentResults(Infinity, clearAll ? null : req.apiKey.id)
+            .flatMap(result => taskManager.getRemovableTasks(result.taskId));
+
+        const removedFiles = await removeResults(tasks);
+
+        res.json({
+            deletedCount: tasks.filter(task => !task.parentId).length,
+            removedFiles,
+            message: 'Finished tasks removed'
+        });
+
+    } catch (error) {
+        console.error('Results clear error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/config - Capabilities and limits, so clients can configure themselves
+router.get('/config', (req, res) => {
+    try {
+        res.json({
+            service: 'yt-video-backend',
+            video: {
+                qualities: Object.keys(outputProfiles),
+                defaultQuality: defaultProfile,
+                profiles: Object.entries(outputProfiles).map(([name, profile]) => ({
+                    name,
+                    label: profile.label || name,
+                    ...resolveProfile(profile)
+                }))
+            },
+            audio: {
+                formats: AUDIO_FORMATS,
+                bitrates: AUDIO_BITRATES,
+                defaultBitrate: DEFAULT_AUDIO_BITRATE
+            },
+            priorities: Object.keys(TASK_PRIORITIES),
+            filenameTemplate: {
+                default: DEFAULT_FILENAME_TEMPLATE,
+                chapterDefault: DEFAULT_CHAPTER_TEMPLATE,
+                fields: TEMPLATE_FIELDS
+            },
+            tagFields: TAG_FIELDS,
+            limits: {
+                maxPlaylistItems,
+                maxTimeRanges: MAX_RANGES,
+                maxAttempts,
+                maxConcurrentDownloads: taskManager.maxConcurrent,
+                downloadLinkTtl: DOWNLOAD_URL_TTL,
+                fileRetentionHours: fileRetention.maxAgeHours,
+                fileMaxDownloads: fileRetention.maxDownloads
+            },
+            apiKey: {
+                id: req.apiKey.id,
+                name: req.apiKey.name,
+                role: req.apiKey.role,
+                quotas: keyRegistry.getQuotas(req.apiKey)
+            }
+        });
+    } catch (error) {
+        console.error('Config error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/queue - Get running and waiting jobs, only the caller's own unless it is an admin
+router.get('/queue', (req, res) => {
+    try {
+        const { maxConcurrent, running, waiting } = taskManager.getQueueSnapshot();
+        const visible = (job) => canAccessTask(req.apiKey, taskManager.getTask(job.taskId));
+
+        // Queue positions stay global, so a caller still sees how many jobs are ahead of theirs
+        res.json({
+            maxConcurrent,
+            running: running.filter(visible),
+            waiting: waiting.filter(visible)
+        });
+    } catch (error) {
+        console.error('Queue error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/stats - Task counts, throughput, durations, failures and served bytes since the server started
+router.get('/stats', requireAdmin, async (req, res) => {
+    try {
+        const { totalBytes, fileCount, disk } = await storageManager.getUsage();
+        res.json({
+            ...metrics.getSnapshot(),
+            storage: { totalBytes, fileCount, disk }
+        });
+    } catch (error) {
+        console.error('Stats error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/admin/keys - List API keys
+router.get('/admin/keys', requireAdmin, (req, res) => {
+    try {
+        res.json(keyRegistry.listKeys());
+    } catch (error) {
+        console.error('List keys error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/admin/keys - Create an API key, the key itself is only returned here
+router.post('/admin/keys', requireAdmin, async (req, res) => {
+    try {
+        const validationError = validateKeyRequest(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid key request',
+                message: validationError
+            });
+        }
+
+        const key = await keyRegistry.createKey(req.body);
+        res.status(201).json(key);
+
+    } catch (error) {
+        console.error('Create key error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/admin/keys/:keyId - Revoke an API key
+router.delete('/admin/keys/:keyId', requireAdmin, async (req, res) => {
+    try {
+        const key = await keyRegistry.revokeKey(req.params.keyId);
+
+        if (!key) {
+            return res.status(404).json({
+                error: 'Key not found',
+                message: 'The requested API key does not exist'
+            });
+        }
+
+        res.json(key);
+
+    } catch (error) {
+        console.error('Revoke key error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/admin/storage - Disk usage of the downloads directory, storage limits and the last cleanup
+router.get('/admin/storage', requireAdmin, async (req, res) => {
+    try {
+        res.json(await storageManager.getUsage());
+    } catch (error) {
+        console.error('Storage usage error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/admin/storage/cleanup - Run the storage cleanup now instead of waiting for the next sweep
+router.post('/admin/storage/cleanup', requireAdmin, async (req, res) => {
+    try {
+        const sweep = await storageManager.sweep();
+        res.json({
+            ...sweep,
+            message: `Removed ${sweep.expired + sweep.orphaned + sweep.evicted} files`
+        });
+    } catch (error) {
+        console.error('Storage cleanup error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Only admin keys may manage keys and storage or see server statistics
+function requireAdmin(req, res, next) {
+    if (req.apiKey?.role !== 'admin') {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'This endpoint requires an admin API key'
+        });
+    }
+    next();
+}
+
+// Admins see every task, other keys only their own
+function canAccessTask(apiKey, task) {
+    return apiKey.role === 'admin' || (Boolean(task?.ownerId) && task.ownerId === apiKey.id);
+}
+
+// Check concurrent-job and daily byte quotas before queueing new downloads
+function checkQuota(apiKey, newJobs) {
+    const { maxConcurrentJobs, dailyBytes } = keyRegistry.getQuotas(apiKey);
+
+    if (dailyBytes && keyRegistry.getDailyBytes(apiKey) >= dailyBytes) {
+        return `Daily download quota of ${videoProcessor.formatFileSize(dailyBytes)} reached, try again tomorrow (UTC)`;
+    }
+
+    const activeJobs = taskManager.countActiveJobs(apiKey.id);
+    if (maxConcurrentJobs && activeJobs + newJobs > maxConcurrentJobs) {
+        return `At most ${maxConcurrentJobs} downloads can be queued or running at once, ${activeJobs} active`;
+    }
+
+    return null;
+}
+
+// Expand a playlist and queue one child task per selected entry
+async function createPlaylistBatch(req, res, { url, media, priority, items }) {
+    const playlistInfo = await videoProcessor.getPlaylistEntries(url);
+
+    let selectedEntries;
+    try {
+        selectedEntries = selectPlaylistItems(playlistInfo.entries, items);
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Invalid item selection',
+            message: error.message
+        });
+    }
+
+    if (selectedEntries.length === 0) {
+        return res.status(400).json({
+            error: 'Empty playlist',
+            message: 'The playlist has no entries matching the selection'
+        });
+    }
+
+    if (selectedEntries.length > maxPlaylistItems) {
+        return res.status(400).json({
+            error: 'Too many items',
+            message: `A batch can contain at most ${maxPlaylistItems} items, ${selectedEntries.length} selected`
+        });
+    }
+
+    const quotaError = checkQuota(req.apiKey, selectedEntries.length);
+    if (quotaError) {
+        return res.status(429).json({
+            error: 'Quota exceeded',
+            message: quotaError
+        });
+    }
+
+    // A title override would give every item the same title
+    const { title: ignoredTitle, ...itemTags } = media.tags;
+
+    const { batchId, childIds } = taskManager.createBatch({
+        url,
+        ...media,
+        priority,
+        ownerId: req.apiKey.id,
+        title: playlistInfo.title
+    }, selectedEntries.map(entry => ({
+        url: entry.url,
+        ...media,
+        tags: itemTags,
+        cacheKey: resultCacheKey(entry.url, { ...media, tags: itemTags }),
+        ownerId: req.apiKey.id,
+        status: 'pending',
+        title: entry.title,
+        playlistIndex: entry.index
+    })));
+
+    childIds.forEach(childId => taskManager.enqueue(childId, processMediaAsync));
+
+    res.json({
+        taskId: batchId,
+        status: 'pending',
+        type: 'batch',
+        itemCount: childIds.length,
+        message: `Batch task created with ${childIds.length} items`
+    });
+}
+
+// Add queue position and, for batches, a summary of each item
+function presentTask(task) {
+    const presented = {
+        ...task,
+        queuePosition: taskManager.getQueuePosition(task.taskId)
+    };
+
+    if (task.type === 'batch') {
+        presented.items = taskManager.getBatchChildren(task.taskId).map(child => ({
+            taskId: child.taskId,
+            title: child.title,
+            url: child.url,
+            playlistIndex: child.playlistIndex,
+            status: child.status,
+            progress: child.progress,
+            filename: child.filename,
+            downloadUrl: child.downloadUrl,
+            ...(child.status === 'completed' && taskFilenames(child).includes(child.filename) ? signedLink(child.filename) : {}),
+            error: child.error
+        }));
+    } else if (task.status === 'completed') {
+        // Links are signed on every read so they never go stale in the stored task
+        if (taskFilenames(task).includes(task.filename)) {
+            Object.assign(presented, signedLink(task.filename));
+        }
+        if (Array.isArray(task.files)) {
+            presented.files = task.files.map(file => file.expired ? file : { ...file, ...signedLink(file.filename) });
+        }
+    }
+
+    return presented;
+}
+
+// Signed link fields for a file
+function signedLink(filename) {
+    const { url, expiresAt } = createSignedUrl(filename);
+    return { signedUrl: url, signedUrlExpiresAt: expiresAt };
+}
+
+// Delete finished tasks and the files they still keep, returns how many files were removed
+async function removeResults(tasks) {
+    let removedFiles = 0;
+
+    for (const task of tasks) {
+        const filenames = task.status === 'completed' ? taskFilenames(task) : [];
+        taskManager.deleteTask(task.taskId);
+        for (const filename of filenames) {
+            // Reused downloads share files, which stay until no task refers to them
+            if (taskManager.findTaskByFilename(filename)) {
+                continue;
+            }
+            await fileRetention.remove(filename, 'deleted by user');
+            removedFiles++;
+        }
+    }
+
+    return removedFiles;
+}
+
+// Resolve a requested name to a file a completed task produced, or null.
+// Anything else in downloads/ (partial files, other names, paths) is never served.
+// With an API key, the task must also be visible to that key.
+async function resolveTaskFile(filename, apiKey = null) {
+    if (!filename || filename !== path.basename(filename) || filename.includes('\0')) {
+        return null;
+    }
+
+    const tasks = taskManager.findTasksByFilename(filename);
+    if (tasks.length === 0 || (apiKey && !tasks.some(task => canAccessTask(apiKey, task)))) {
+        return null;
+    }
+
+    const downloadsDir = path.resolve(videoProcessor.downloadsDir);
+    const filePath = path.resolve(downloadsDir, filename);
+    if (path.dirname(filePath) !== downloadsDir || !await fs.pathExists(filePath)) {
+        return null;
+    }
+
+    return filePath;
+}
+
+// Stream a task's file with Range, ETag and Last-Modified support and count completed downloads
+async function sendDownload(req, res, filename, apiKey = null) {
+    const filePath = await resolveTaskFile(filename, apiKey);
+    if (!filePath) {
+        return res.status(404).json({
+            error: 'File not found',
+            message: 'The requested file does not exist or has been removed'
+        });
+    }
+
+    storageManager.recordAccess(filename);
+
+    // Only a response that reaches the last byte counts as a completed download
+    const { size } = await fs.stat(filePath);
+    const ranges = req.range(size);
+    const reachesEnd = !Array.isArray(ranges) || ranges.some(range => range.end === size - 1);
+    // ?inline=true lets a browser play or show the file in place instead of saving it
+    const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+
+    // sendFile handles Range/206, ETag, Last-Modified and conditional requests
+    res.sendFile(filename, {
+        root: videoProcessor.downloadsDir,
+        headers: {
+            'Content-Type': mimeType(filename),
+            'Content-Disposition': contentDisposition(filename, disposition)
+        }
+    }, (error) => {
+        if (error) {
+            if (error.code !== 'ECONNABORTED') {
+                console.error('Download file error:', error);
+            }
+            if (!res.headersSent) {
+                res.status(error.status || 500).json({
+                    error: 'Download failed',
+                    message: error.message
+                });
+            }
+            return;
+        }
+
+        if (req.method === 'GET' && (res.statusCode === 200 || res.statusCode === 206)) {
+            metrics.recordServed(Number(res.getHeader('Content-Length')) || 0);
+        }
+        if (req.method === 'GET' && (res.statusCode === 200 || (res.statusCode === 206 && reachesEnd))) {
+            fileRetention.recordDownload(filename);
+        }
+    });
+}
+
+// Collect the files of a finished task for a bundle: its own files, or those of a playlist's completed items.
+// Returns { task, entries } or { status, error, message } when there is nothing to bundle.
+async function resolveBundle(taskId, apiKey = null) {
+    const task = taskManager.getTask(taskId);
+    if (!task || (apiKey && !canAccessTask(apiKey, task))) {
+        return { status: 404, error: 'Task not found', message: 'The requested task does not exist' };
+    }
+
+    const finished = task.type === 'batch' ? FINISHED_STATUSES.includes(task.status) : task.status === 'completed';
+    if (!finished) {
+        return { status: 409, error: 'Task not finished', message: `Task is ${task.status}, its files can be bundled once it has completed` };
+    }
+
+    const sources = task.type === 'batch'
+        ? taskManager.getBatchChildren(taskId).filter(child => child.status === 'completed')
+        : [task];
+    const names = new Set();
+    const entries = [];
+
+    for (const filename of sources.flatMap(taskFilenames)) {
+        const filePath = await resolveTaskFile(filename);
+        if (!filePath) {
+            continue;
+        }
+
+        // Playlist items may share a name, later ones get (2), (3), ...
+        const ext = path.extname(filename);
+        let name = filename;
+        for (let attempt = 2; names.has(name); attempt++) {
+            name = `${filename.slice(0, filename.length - ext.length)} (${attempt})${ext}`;
+        }
+        names.add(name);
+
+        const { size, mtime } = await fs.stat(filePath);
+        entries.push({ filename, name, path: filePath, size, mtime });
+    }
+
+    if (entries.length === 0) {
+        return { status: 404, error: 'File not found', message: 'The task has no files left to download' };
+    }
+
+    return { task, entries };
+}
+
+// Stream a task's files as one ZIP. The size is known up front, so clients see progress, but there is no Range support.
+async function sendBundle(req, res, taskId, apiKey = null) {
+    const bundle = await resolveBundle(taskId, apiKey);
+    if (bundle.error) {
+        return res.status(bundle.status).json({
+            error: bundle.error,
+            message: bundle.message
+        });
+    }
+
+    const { task, entries } = bundle;
+    const filename = `${sanitizeFilename(task.title || '') || taskId}.zip`;
+    res.set({
+        'Content-Type': mimeType(filename),
+        'Content-Disposition': contentDisposition(filename),
+        'Content-Length': zipSize(entries),
+        'Accept-Ranges': 'none'
+    });
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+
+    entries.forEach(entry => storageManager.recordAccess(entry.filename));
+
+    // Stop reading files when the client goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    try {
+        const bytes = await writeZip(res, entries, { signal: controller.signal });
+        res.end();
+        metrics.recordServed(bytes);
+        entries.forEach(entry => fileRetention.recordDownload(entry.filename));
+    } catch (error) {
+        if (!controller.signal.aborted) {
+            console.error('Bundle stream error:', error);
+        }
+        // Headers are out, so the only way to signal the failure is to cut the response short
+        res.destroy();
+    }
+}
+
+// Tasks that joined a download mirror its progress and result. If the download is
+// cancelled by its owner, the first task that joined it downloads instead.
+function mirrorToFollowers(task) {
+    if (task.type === 'batch' || task.coalescedWith) {
+        return;
+    }
+
+    const followers = resultCache.getFollowers(task.taskId);
+    if (followers.length === 0) {
+        return;
+    }
+
+    if (task.status === 'cancelled') {
+        const [next, ...rest] = followers;
+        taskManager.updateTask(next.taskId, { coalescedWith: null, status: 'pending', progress: 0 });
+        rest.forEach(follower => taskManager.updateTask(follower.taskId, { coalescedWith: next.taskId }));
+        taskManager.enqueue(next.taskId, processMediaAsync);
+        return;
+    }
+
+    const state = mirroredState(task);
+    followers.forEach(follower => taskManager.updateTask(follower.taskId, state));
+}
+
+// Background video/audio processing function
+async function processMediaAsync(taskId, signal) {
+    const task = taskManager.getTask(taskId);
+    const { type } = task;
+
+    try {
+        // An identical download may have finished while this one was queued
+        if (task.cacheKey && task.cache !== false) {
+            const cached = await resultCache.findCompleted(task.cacheKey, taskId);
+            if (cached && !signal?.aborted) {
+                taskManager.updateTask(taskId, {
+                    ...cachedResult(cached),
+                    status: 'completed',
+                    progress: 100,
+                    cachedFrom: cached.taskId
+                });
+                metrics.recordCacheHit('cached');
+                return;
+            }
+        }
+
+        // Update task status to processing
+        taskManager.updateTask(taskId, {
+            status: 'processing',
+            progress: 0
+        });
+
+        const onProgress = (progress, details = {}) => {
+            if (signal?.aborted) {
+                return;
+            }
+            taskManager.updateTask(taskId, {
+                status: 'processing',
+                progress: Math.round(progress),
+                speed: details.speed,
+                eta: details.eta,
+                downloadedBytes: details.downloadedBytes,
+                totalBytes: details.totalBytes
+            });
+        };
+
+        // Process video or extract audio
+        const download = await downloadWithRetry(task, onProgress, signal);
+
+        // Cancelled after yt-dlp had already finished
+        if (signal?.aborted) {
+            await Promise.all([...download.files, ...download.subtitles].map(file => fs.remove(file.path)));
+            return;
+        }
+
+        if (type === 'video') {
+            download.files = await transcodeDownload(task, download, signal);
+        }
+
+        const subtitleError = await addSubtitles(task, download, signal);
+        const taggingError = await tagDownload(task, download, signal);
+        const chapterError = task.splitChapters && !download.files[0].chapter
+            ? 'This video has no chapters, it was kept as one file'
+            : null;
+
+        // Sections are numbered in timeline order for the {section} placeholder. Chapters are
+        // zero-padded so they sort, and named after the chapter unless the template does that itself.
+        const template = task.filenameTemplate || DEFAULT_FILENAME_TEMPLATE;
+        const chapterTemplate = template.includes('{chapter}') ? template : DEFAULT_CHAPTER_TEMPLATE;
+        const digits = Math.max(2, String(download.files.length).length);
+        const files = [];
+        for (const [index, file] of download.files.entries()) {
+            const { chapter } = file;
+            const section = chapter
+                ? String(chapter.number).padStart(digits, '0')
+                : (download.files.length > 1 ? index + 1 : undefined);
+            const renamed = await videoProcessor.renameOutput(
+                { ...file, metadata: download.metadata },
+                chapter ? chapterTemplate : template,
+                { ...task, section, chapter: chapter?.title }
+            );
+            files.push({
+                filename: renamed.filename,
+                downloadUrl: `/api/download/${encodeURIComponent(renamed.filename)}`,
+                size: renamed.size,
+                ...(chapter ? { chapter } : {})
+            });
+        }
+
+        // Subtitle files follow the media, named after it
+        for (const subtitle of download.subtitles) {
+            const renamed = await videoProcessor.renameSubtitle(subtitle, files[0].filename);
+            files.push({
+                filename: renamed.filename,
+                downloadUrl: `/api/download/${encodeURIComponent(renamed.filename)}`,
+                size: renamed.size,
+                kind: 'subtitle',
+                language: renamed.language,
+                automatic: renamed.automatic
+            });
+        }
+
+        const [result] = files;
+        const downloadUrl = result.downloadUrl;
+
+        if (task.ownerId) {
+            await keyRegistry.recordBytes(task.ownerId, files.reduce((total, file) => total + file.size, 0));
+        }
+
+        // Update task with completion
+        taskManager.updateTask(taskId, {
+            status: 'completed',
+            progress: 100,
+            speed: null,
+            eta: null,
+            filename: result.filename,
+            downloadUrl,
+            files,
+            title: download.metadata?.title || task.title,
+            videoId: download.metadata?.id,
+            stage: null,
+            transcoded: download.files[0].transcoded || null,
+            subtitleError,
+            taggingError,
+            chapterError,
+            result: {
+                filename: result.filename,
+                downloadUrl
+            }
+        });
+
+        console.log(`${type === 'audio' ? 'Audio' : 'Video'} processing completed for task ${taskId}: ${files.map(file => file.filename).join(', ')}`);
+
+    } catch (error) {
+        // Task status was already set by cancelTask
+        if (error.cancelled || signal?.aborted) {
+            console.log(`Processing cancelled for task ${taskId}`);
+            return;
+        }
+
+        console.error(`Processing failed for task ${taskId}:`, error);
+
+        const failure = error.failure || classifyError(error);
+        taskManager.updateTask(taskId, {
+            status: 'failed',
+            stage: null,
+            error: failure.message,
+            errorCode: failure.code,
+            errorDetail: failure.detail,
+            result: {
+                error: failure.message
+            }
+        });
+    } finally {
+        workingNames.delete(taskId);
+    }
+}
+
+// Run the download, retrying transient failures with exponential backoff and
+// unavailable formats with the next fallback selector. Each attempt is recorded on the task.
+async function downloadWithRetry(task, onProgress, signal) {
+    const { taskId, url, type, format, bitrate, ranges, accurateCuts, splitChapters, subtitles, embed = {} } = task;
+    const writeThumbnail = Boolean(embed.thumbnail);
+    const profile = taskProfile(task);
+    const fallbackCount = videoProcessor.formatSelectors(type, profile).length;
+    const attempts = [];
+    let formatFallback = 0;
+
+    for (let attempt = 1; ; attempt++) {
+        const startedAt = new Date().toISOString();
+        const options = {
+            bitrate, writeThumbnail, ranges, accurateCuts, splitChapters, subtitles, formatFallback, signal,
+            onStart: baseName => workingNames.set(taskId, baseName)
+        };
+
+        try {
+            const download = type === 'audio'
+                ? await videoProcessor.processAudio(url, format, onProgress, options)
+                : await videoProcessor.processVideo(url, profile, onProgress, options);
+
+            attempts.push({ attempt, startedAt, finishedAt: new Date().toISOString(), formatFallback, errorCode: null, error: null });
+            taskManager.updateTask(taskId, { attempts });
+            return download;
+
+        } catch (error) {
+            if (error.cancelled || signal?.aborted) {
+                throw error;
+            }
+
+            const failure = classifyError(error);
+            attempts.push({ attempt, startedAt, finishedAt: new Date().toISOString(), formatFallback, errorCode: failure.code, error: failure.detail });
+
+            const hasFallback = failure.code !== 'format_unavailable' || formatFallback + 1 < fallbackCount;
+            if (!failure.retryable || !hasFallback || attempt >= maxAttempts) {
+                taskManager.updateTask(taskId, { attempts });
+                error.failure = failure;
+                throw error;
+            }
+
+            if (failure.code === 'format_unavailable') {
+                formatFallback++;
+            }
+
+            // Back off harder when YouTube is throttling us
+            const delay = retryBaseDelay * 2 ** (attempt - 1) * (failure.code === 'rate_limited' ? 5 : 1);
+            console.warn(`Attempt ${attempt} for task ${taskId} failed (${failure.code}), retrying in ${delay}ms`);
+            taskManager.updateTask(taskId, {
+                status: 'processing',
+                progress: 0,
+                attempts,
+                retryAt: new Date(Date.now() + delay).toISOString(),
+                retryReason: failure.message
+            });
+
+            await wait(delay, signal);
+            taskManager.updateTask(taskId, { retryAt: null, retryReason: null });
+        }
+    }
+}
+
+// Resolve after a delay, or reject as cancelled when the task is aborted first
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(videoProcessor.createCancelledError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal?.aborted) {
+            onAbort();
+        } else {
+            signal?.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// Output profile of a video task. Tasks from before profiles only have the quality name.
+function taskProfile(task) {
+    return task.outputProfile || resolveProfile(outputProfiles[task.quality] || outputProfiles[defaultProfile]);
+}
+
+// Re-encode or remux the downloaded files where their streams or container don't match the profile.
+// Unlike tagging, a failure here fails the task and removes the files.
+async function transcodeDownload(task, download, signal) {
+    const profile = taskProfile(task);
+    const source = download.metadata || {};
+    const files = [];
+
+    try {
+        for (const file of download.files) {
+            if (files.length === 0 && planTranscode(profile, { ...source, container: path.extname(file.filename).slice(1) })) {
+                taskManager.updateTask(task.taskId, { stage: 'transcoding', speed: null, eta: null });
+            }
+            files.push(await transcodeToProfile(file, profile, source, { signal }));
+        }
+        return files;
+
+    } catch (error) {
+        await Promise.all([...download.files, ...files].map(file => fs.remove(file.path)));
+        if (!error.cancelled) {
+            error.message = `Re-encoding failed: ${error.message}`;
+        }
+        throw error;
+    }
+}
+
+// Check that the requested subtitles arrived and embed them if asked to. Embedded subtitle files
+// are removed; when embedding fails they are kept as separate files. Returns a note for the task or null.
+async function addSubtitles(task, download, signal) {
+    const { subtitles } = task;
+    if (!subtitles) {
+        return null;
+    }
+
+    const found = download.subtitles.map(subtitle => subtitle.language);
+    const missing = subtitles.languages.filter(language => !found.includes(language));
+    const missingNote = missing.length > 0 ? `No subtitles found for ${missing.join(', ')}` : null;
+
+    if (!subtitles.embed || download.subtitles.length === 0) {
+        return missingNote;
+    }
+
+    try {
+        for (const file of download.files) {
+            await embedSubtitles(file.path, download.subtitles, { signal });
+        }
+        await Promise.all(download.subtitles.map(subtitle => fs.remove(subtitle.path)));
+        download.subtitles = [];
+        return missingNote;
+
+    } catch (error) {
+        if (error.cancelled) {
+            await Promise.all([...download.files, ...download.subtitles].map(file => fs.remove(file.path)));
+            throw error;
+        }
+
+        console.warn(`Embedding subtitles failed for task ${task.taskId}:`, error.message);
+        return [missingNote, `Subtitles could not be embedded and are attached as files: ${error.message}`]
+            .filter(Boolean)
+            .join('. ');
+    }
+}
+
+// Tags for one downloaded file. A chapter is titled after itself and numbered as a track of an album
+// named after the video; a title override would give every chapter the same title, so it is ignored.
+function fileTags(task, download, file) {
+    const metadata = download.metadata || {};
+    if (!file.chapter) {
+        return buildTags(metadata, task.tags);
+    }
+
+    const { title: ignoredTitle, ...overrides } = task.tags || {};
+    return buildTags(metadata, {
+        title: file.chapter.title,
+        album: metadata.title,
+        track: `${file.chapter.number}/${download.files.length}`,
+        ...overrides
+    });
+}
+
+// Embed tags, chapters and cover art. Failures leave the file untagged rather than failing the task.
+async function tagDownload(task, download, signal) {
+    const { embed = {}, type, ranges } = task;
+
+    try {
+        if (!embed.metadata && !embed.thumbnail && !embed.chapters) {
+            return null;
+        }
+
+        // Chapter times refer to the full video, so trimmed files and single chapters skip them
+        for (const file of download.files) {
+            await embedMetadata(file.path, {
+                tags: embed.metadata ? fileTags(task, download, file) : {},
+                chapters: embed.chapters && !ranges && !file.chapter ? download.metadata?.chapters : null,
+                thumbnailPath: embed.thumbnail ? download.thumbnailPath : null,
+                isAudio: type === 'audio',
+                signal
+            });
+        }
+        return null;
+
+    } catch (error) {
+        if (error.cancelled) {
+            await Promise.all(download.files.map(file => fs.remove(file.path)));
+            throw error;
+        }
+
+        console.warn(`Tagging failed for task ${task.taskId}:`, error.message);
+        return error.message;
+
+    } finally {
+        if (download.thumbnailPath) {
+            await fs.remove(download.thumbnailPath);
+        }
+    }
 }
 
+export { taskManager, filesRouter, keyRegistry, storageManager, metrics };
 export default router;
\ No newline at end of file
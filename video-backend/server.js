@@ -3,7 +3,8 @@ import cors from 'cors';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import apiRouter from './routes/api.js';
+import apiRouter, { taskManager, filesRouter, keyRegistry, storageManager, metrics } from './routes/api.js';
+import { checkDependencies } from './utils/dependency-check.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,55 +21,76 @@ app.use(express.urlencoded({ extended: true }));
 const downloadsDir = path.join(__dirname, 'downloads');
 await fs.ensureDir(downloadsDir);
 
-// Cleanup old files on startup
-const cleanupOldFiles = async () => {
-    try {
-        const files = await fs.readdir(downloadsDir);
-        const now = Date.now();
-        const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-
-        for (const file of files) {
-            const filePath = path.join(downloadsDir, file);
-            const stats = await fs.stat(filePath);
-            if (now - stats.mtime.getTime() > maxAge) {
-                await fs.remove(filePath);
-                console.log(`Cleaned up old file: ${file}`);
-            }
-        }
-    } catch (error) {
-        console.error('Error cleaning up old files:', error);
-    }
-};
-
-// Run cleanup on startup
-cleanupOldFiles();
-
-// API key middleware
-const API_KEY = process.env.API_KEY || 'your-api-key-here';
-
+// API key middleware, attaches the caller's key record as req.apiKey
 const authenticateApiKey = (req, res, next) => {
-    const apiKey = req.header('X-API-Key');
-    if (!apiKey || apiKey !== API_KEY) {
+    const apiKey = keyRegistry.authenticate(req.header('X-API-Key'));
+    if (!apiKey) {
         return res.status(401).json({ error: 'Invalid API key' });
     }
+    req.apiKey = apiKey;
     next();
 };
 
 // Routes
 app.use('/api', authenticateApiKey, apiRouter);
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
-        service: 'yt-video-backend',
-        timestamp: new Date().toISOString(),
-        version: '1.0.0'
-    });
+// Health check endpoint: unhealthy (503) without yt-dlp or ffmpeg, degraded while disk space is low
+app.get('/health', async (req, res) => {
+    try {
+        const [{ ytDlp, ffmpeg }, disk] = await Promise.all([
+            checkDependencies(),
+            storageManager.getDiskSpace()
+        ]);
+        const diskOk = !disk || disk.freeBytes >= storageManager.minFreeBytes;
+        const status = !ytDlp.available || !ffmpeg.available
+            ? 'unhealthy'
+            : diskOk ? 'healthy' : 'degraded';
+
+        res.status(status === 'unhealthy' ? 503 : 200).json({
+            status,
+            service: 'yt-video-backend',
+            timestamp: new Date().toISOString(),
+            version: '1.0.0',
+            checks: {
+                ytDlp,
+                ffmpeg,
+                disk: disk && { ...disk, minFreeBytes: storageManager.minFreeBytes, ok: diskOk }
+            }
+        });
+    } catch (error) {
+        console.error('Health check error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Prometheus metrics; with METRICS_TOKEN set, scrapers must send it as a bearer token
+app.get('/metrics', async (req, res) => {
+    try {
+        const token = process.env.METRICS_TOKEN;
+        if (token && req.header('Authorization') !== `Bearer ${token}`) {
+            return res.status(401).json({ error: 'Invalid metrics token' });
+        }
+
+        const disk = await storageManager.getDiskSpace();
+        const gauges = disk ? {
+            disk_free_bytes: { help: 'Free space on the downloads file system', value: disk.freeBytes },
+            disk_total_bytes: { help: 'Size of the downloads file system', value: disk.totalBytes }
+        } : {};
+        res.type('text/plain; version=0.0.4').send(metrics.toPrometheus(gauges));
+    } catch (error) {
+        console.error('Metrics error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
 });
 
-// Static files for downloads
-app.use('/downloads', express.static(downloadsDir));
+// Signed download links, authenticated by their signature instead of the API key
+app.use('/files', filesRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -91,12 +113,14 @@ app.listen(PORT, () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('Received SIGTERM. Shutting down gracefully...');
+    await taskManager.persist();
     process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('Received SIGINT. Shutting down gracefully...');
+    await taskManager.persist();
     process.exit(0);
 });
\ No newline at end of file
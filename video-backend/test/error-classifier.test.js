@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ERROR_CODES, classifyError } from '../utils/error-classifier.js';
+
+// Error shaped like the ones runDownload rejects with
+function ytDlpError(stderr) {
+    const error = new Error('yt-dlp process failed with code 1');
+    error.details = stderr;
+    return error;
+}
+
+test('classifies yt-dlp failures by their stderr', () => {
+    const cases = {
+        private: 'ERROR: [youtube] abc: Private video. Sign in if you\'ve been granted access to this video',
+        age_restricted: 'ERROR: [youtube] abc: Sign in to confirm your age. This video may be inappropriate for some users.',
+        geo_blocked: 'ERROR: [youtube] abc: Video unavailable. The uploader has not made this video available in your country',
+        rate_limited: 'ERROR: unable to download video data: HTTP Error 429: Too Many Requests',
+        format_unavailable: 'ERROR: [youtube] abc: Requested format is not available. Use --list-formats for a list of available formats',
+        network: 'ERROR: [youtube] abc: Unable to download webpage: <urlopen error [Errno -3] Temporary failure in name resolution>',
+        unavailable: 'ERROR: [youtube] abc: Video unavailable. This video has been removed by the uploader',
+        unsupported_url: 'ERROR: Unsupported URL: https://example.com/'
+    };
+
+    for (const [code, stderr] of Object.entries(cases)) {
+        assert.equal(classifyError(ytDlpError(stderr)).code, code, stderr);
+    }
+});
+
+test('timeouts are classified from the error message and not retried', () => {
+    const result = classifyError(new Error('Audio download timeout (30 minutes)'));
+
+    assert.equal(result.code, 'timeout');
+    assert.equal(result.retryable, false);
+});
+
+test('only transient failures are retryable', () => {
+    assert.equal(classifyError(ytDlpError('ERROR: HTTP Error 503: Service Unavailable')).retryable, true);
+    assert.equal(classifyError(ytDlpError('ERROR: Private video')).retryable, false);
+});
+
+test('detail is the last ERROR line yt-dlp printed', () => {
+    const result = classifyError(ytDlpError([
+        '[youtube] abc: Downloading webpage',
+        'ERROR: first problem',
+        'WARNING: something else',
+        'ERROR: [youtube] abc: Private video',
+        ''
+    ].join('\n')));
+
+    assert.equal(result.detail, '[youtube] abc: Private video');
+    assert.equal(result.message, 'This video is private');
+});
+
+test('unknown failures keep the original message', () => {
+    const result = classifyError(ytDlpError('something odd happened'));
+
+    assert.deepEqual(result, {
+        code: 'unknown',
+        retryable: false,
+        message: 'yt-dlp process failed with code 1',
+        detail: 'something odd happened'
+    });
+    assert.ok(ERROR_CODES.includes('unknown'));
+});
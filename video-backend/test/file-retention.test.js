@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import FileRetention from '../utils/file-retention.js';
+import { mimeType } from '../utils/mime-types.js';
+
+async function downloadsDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-retention-'));
+    t.after(() => fs.remove(dir));
+    return dir;
+}
+
+test('sweep removes files once they are older than the retention period', async (t) => {
+    const dir = await downloadsDir(t);
+    const removed = [];
+    const retention = new FileRetention({ downloadsDir: dir, maxAgeHours: 1, onRemove: file => removed.push(file) });
+    await fs.writeFile(path.join(dir, 'video.mp4'), 'video');
+    // yt-dlp sets mtime to the upload date, which must not count as the file's age
+    await fs.utimes(path.join(dir, 'video.mp4'), new Date('2000-01-01'), new Date('2000-01-01'));
+
+    assert.equal(await retention.sweep(), 0);
+    assert.deepEqual(await fs.readdir(dir), ['video.mp4']);
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 2 * 60 * 60 * 1000);
+    assert.equal(await retention.sweep(), 1);
+
+    assert.deepEqual(await fs.readdir(dir), []);
+    assert.deepEqual(removed, ['video.mp4']);
+});
+
+test('files are removed after the configured number of complete downloads', async (t) => {
+    const dir = await downloadsDir(t);
+    const removed = [];
+    const retention = new FileRetention({ downloadsDir: dir, maxDownloads: 2, onRemove: file => removed.push(file) });
+    retention.removeDelay = 0;
+    await fs.writeFile(path.join(dir, 'video.mp4'), 'video');
+
+    assert.equal(retention.recordDownload('video.mp4'), 1);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(await fs.readdir(dir), ['video.mp4']);
+
+    assert.equal(retention.recordDownload('video.mp4'), 2);
+    assert.equal(retention.recordDownload('video.mp4'), 3);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.deepEqual(await fs.readdir(dir), []);
+    assert.deepEqual(removed, ['video.mp4']);
+    assert.equal(retention.downloadCounts.has('video.mp4'), false);
+});
+
+test('maxDownloads 0 never removes files', async (t) => {
+    const dir = await downloadsDir(t);
+    const retention = new FileRetention({ downloadsDir: dir, maxDownloads: 0 });
+    retention.removeDelay = 0;
+    await fs.writeFile(path.join(dir, 'video.mp4'), 'video');
+
+    for (let i = 0; i < 5; i++) {
+        retention.recordDownload('video.mp4');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.deepEqual(await fs.readdir(dir), ['video.mp4']);
+});
+
+test('mimeType looks up the extension', () => {
+    assert.equal(mimeType('clip.MP4'), 'video/mp4');
+    assert.equal(mimeType('song.opus'), 'audio/ogg');
+    assert.equal(mimeType('subs.en.vtt'), 'text/vtt');
+    assert.equal(mimeType('unknown.xyz'), 'application/octet-stream');
+    assert.equal(mimeType('no-extension'), 'application/octet-stream');
+});
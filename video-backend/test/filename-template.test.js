@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateTemplate, sanitizeFilename, renderFilename, templateValues, contentDisposition } from '../utils/filename-template.js';
+
+test('validateTemplate accepts known placeholders and rejects others', () => {
+    assert.equal(validateTemplate('{uploader} - {title} [{id}].{ext}'), null);
+    assert.match(validateTemplate('{title} {views}'), /Unknown placeholder \{views\}/);
+    assert.match(validateTemplate('   '), /non-empty/);
+    assert.match(validateTemplate('x'.repeat(201)), /at most 200/);
+    assert.match(validateTemplate(42), /non-empty string/);
+});
+
+test('sanitizeFilename removes characters filesystems reject', () => {
+    assert.equal(sanitizeFilename('AC/DC: "Back\\In*Black"?'), 'AC_DC_ _Back_In_Black__');
+    assert.equal(sanitizeFilename('  ..hidden  name. '), 'hidden name');
+    assert.equal(sanitizeFilename('new\nline\u0007  and   spaces'), 'newline and spaces');
+    assert.equal(sanitizeFilename('CON.mp3'), '_CON.mp3');
+    assert.equal(sanitizeFilename('...'), '');
+});
+
+test('renderFilename fills placeholders and always ends in the real extension', () => {
+    const values = { title: 'Song', id: 'dQw4', uploader: 'Rick', ext: 'mp3' };
+
+    assert.equal(renderFilename('{title} [{id}].{ext}', values), 'Song [dQw4].mp3');
+    assert.equal(renderFilename('{uploader} - {title}', values), 'Rick - Song.mp3');
+    assert.equal(renderFilename('{title} [{date}]', values), 'Song.mp3');
+    assert.equal(renderFilename('{title}', { ...values, title: 'a/b' }), 'a_b.mp3');
+    assert.equal(renderFilename('{date}', values), null);
+});
+
+test('renderFilename keeps long names within 200 bytes', () => {
+    const filename = renderFilename('{title}', { title: 'ü'.repeat(300), ext: 'flac' });
+
+    assert.ok(Buffer.byteLength(filename) <= 200);
+    assert.ok(filename.endsWith('.flac'));
+});
+
+test('templateValues maps yt-dlp metadata and task options', () => {
+    const values = templateValues(
+        { title: 'Song', channel: 'Rick Astley', id: 'dQw4', upload_date: '20091025' },
+        { quality: '1080p', playlistIndex: 3, section: '0.0', chapter: 'Intro' },
+        'mp4'
+    );
+
+    assert.equal(values.uploader, 'Rick Astley');
+    assert.equal(values.date, '2009-10-25');
+    assert.equal(values.index, 3);
+    assert.equal(values.section, '0.0');
+    assert.equal(values.chapter, 'Intro');
+    assert.equal(values.ext, 'mp4');
+});
+
+test('contentDisposition carries an ASCII fallback and the UTF-8 name', () => {
+    assert.equal(
+        contentDisposition('Café "Live".mp3'),
+        'attachment; filename="Caf_ _Live_.mp3"; filename*=UTF-8\'\'Caf%C3%A9%20%22Live%22.mp3'
+    );
+    assert.match(contentDisposition('a.mp4', 'inline'), /^inline; /);
+});
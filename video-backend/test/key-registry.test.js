@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import KeyRegistry, { DEFAULT_QUOTAS, validateKeyRequest } from '../utils/key-registry.js';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'key-registry-'));
+});
+
+after(async () => {
+    await fs.remove(dir);
+});
+
+test('validateKeyRequest checks name, role and quotas', () => {
+    assert.equal(validateKeyRequest({ name: 'bot', role: 'admin', quotas: { dailyBytes: 0 } }), null);
+    assert.match(validateKeyRequest({ name: ' ' }), /Name must be/);
+    assert.match(validateKeyRequest({ name: 'bot', role: 'owner' }), /Role must be one of: user, admin/);
+    assert.match(validateKeyRequest({ name: 'bot', quotas: [] }), /Quotas must be an object/);
+    assert.match(validateKeyRequest({ name: 'bot', quotas: { bandwidth: 1 } }), /Unknown quota "bandwidth"/);
+    assert.match(validateKeyRequest({ name: 'bot', quotas: { maxConcurrentJobs: -1 } }), /non-negative integer/);
+});
+
+test('the configured admin key authenticates as admin', () => {
+    const registry = new KeyRegistry(path.join(dir, 'admin.json'), { adminKey: 'secret' });
+
+    assert.equal(registry.authenticate('secret').role, 'admin');
+    assert.equal(registry.authenticate('other'), null);
+    assert.equal(registry.authenticate(undefined), null);
+});
+
+test('created keys authenticate, are stored hashed and stop working once revoked', async () => {
+    const filePath = path.join(dir, 'keys.json');
+    const registry = new KeyRegistry(filePath);
+
+    const created = await registry.createKey({ name: ' bot ', quotas: { requestsPerMinute: 5 } });
+    assert.equal(created.name, 'bot');
+    assert.equal(created.role, 'user');
+    assert.ok(created.key.startsWith(created.prefix));
+    assert.equal(created.keyHash, undefined);
+    assert.deepEqual(created.quotas, { ...DEFAULT_QUOTAS, requestsPerMinute: 5 });
+
+    const stored = await fs.readFile(filePath, 'utf8');
+    assert.ok(!stored.includes(created.key));
+
+    // A second registry on the same file sees the key
+    const reloaded = new KeyRegistry(filePath);
+    await reloaded.load();
+    assert.equal(reloaded.authenticate(created.key).id, created.id);
+
+    const revoked = await reloaded.revokeKey(created.id);
+    assert.ok(revoked.revokedAt);
+    assert.equal(reloaded.authenticate(created.key), null);
+    assert.equal(await reloaded.revokeKey('missing'), null);
+});
+
+test('daily usage counts bytes for the current UTC day only', async () => {
+    const registry = new KeyRegistry(path.join(dir, 'usage.json'));
+    const { id } = await registry.createKey({ name: 'bot' });
+    const key = registry.findById(id);
+
+    await registry.recordBytes(id, 100);
+    await registry.recordBytes(id, 50);
+    assert.equal(registry.getDailyBytes(key), 150);
+
+    key.usage.date = '2000-01-01';
+    assert.equal(registry.getDailyBytes(key), 0);
+    await registry.recordBytes(id, 10);
+    assert.equal(registry.getDailyBytes(key), 10);
+});
+
+test('concurrent writes all reach the file', async () => {
+    const filePath = path.join(dir, 'concurrent.json');
+    const registry = new KeyRegistry(filePath);
+
+    const created = await Promise.all(Array.from({ length: 10 }, (_, i) => registry.createKey({ name: `bot-${i}` })));
+    await Promise.all(created.map(({ id }) => registry.recordBytes(id, 10)));
+
+    const reloaded = new KeyRegistry(filePath);
+    await reloaded.load();
+    assert.equal(reloaded.listKeys().length, 10);
+    assert.ok(reloaded.listKeys().every(key => key.usage.bytes === 10));
+    assert.equal(await fs.pathExists(`${filePath}.tmp`), false);
+});
+
+test('keys are only created and revoked once the change is saved', async () => {
+    const blockedPath = path.join(dir, 'blocked');
+    await fs.writeFile(blockedPath, 'a file where the registry expects a directory');
+    const registry = new KeyRegistry(path.join(dir, 'saved.json'));
+    const { id, key } = await registry.createKey({ name: 'bot' });
+
+    registry.filePath = path.join(blockedPath, 'keys.json');
+    await assert.rejects(registry.createKey({ name: 'unsaved' }));
+    await assert.rejects(registry.revokeKey(id));
+
+    assert.deepEqual(registry.listKeys().map(entry => entry.name), ['bot']);
+    assert.equal(registry.authenticate(key).id, id);
+
+    registry.filePath = path.join(dir, 'saved.json');
+    assert.ok((await registry.revokeKey(id)).revokedAt);
+    assert.equal(registry.authenticate(key), null);
+});
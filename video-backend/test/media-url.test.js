@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMediaUrl } from '../utils/media-url.js';
+
+test('validateMediaUrl accepts http and https URLs', () => {
+    assert.equal(validateMediaUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ'), null);
+    assert.equal(validateMediaUrl('http://example.com/video.mp4'), null);
+});
+
+test('validateMediaUrl rejects options, local files and other schemes', () => {
+    assert.match(validateMediaUrl('--exec=touch /tmp/x'), /not valid/);
+    assert.match(validateMediaUrl('/etc/passwd'), /not valid/);
+    assert.match(validateMediaUrl('file:///etc/passwd'), /http or https/);
+    assert.match(validateMediaUrl('ftp://example.com/video.mp4'), /http or https/);
+    assert.match(validateMediaUrl(['https://a.example', 'https://b.example']), /must be a string/);
+    assert.match(validateMediaUrl(`https://example.com/${'a'.repeat(2048)}`), /at most 2048 characters/);
+});
@@ -0,0 +1,51 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import TaskManager from '../utils/task-manager.js';
+import Metrics from '../utils/metrics.js';
+
+// The hourly cleanup interval would keep the test process alive
+mock.method(TaskManager.prototype, 'startCleanupTimer', () => {});
+
+const files = sizes => sizes.map((size, index) => ({ filename: `file-${index}`, size }));
+
+test('downloads and cache hits are counted as completions by source', () => {
+    const manager = new TaskManager();
+    const metrics = new Metrics(manager);
+
+    const downloaded = manager.createTask({ type: 'video', url: 'a' });
+    manager.updateTask(downloaded, { status: 'processing' });
+    manager.updateTask(downloaded, { status: 'completed', files: files([1000, 24]) });
+
+    // A new request answered from the cache is created completed
+    manager.createTask({ type: 'video', url: 'a', status: 'completed', files: files([1000, 24]), cachedFrom: downloaded });
+
+    // A queued request finds the cached result before it starts
+    const queued = manager.createTask({ type: 'video', url: 'a' });
+    manager.updateTask(queued, { status: 'completed', files: files([1000]), cachedFrom: downloaded });
+
+    const snapshot = metrics.getSnapshot();
+    assert.equal(snapshot.finished.completed, 3);
+    assert.equal(snapshot.throughput.completedLastHour, 3);
+    assert.deepEqual(snapshot.completions, {
+        bySource: { download: 1, cache: 2 },
+        bytesBySource: { download: 1024, cache: 2024 }
+    });
+    // Only the real download has a processing time
+    assert.equal(metrics.downloadTime.count, 1);
+
+    const text = metrics.toPrometheus();
+    assert.match(text, /^video_backend_tasks_completed_total\{source="cache"\} 2$/m);
+    assert.match(text, /^video_backend_completed_bytes_total\{source="download"\} 1024$/m);
+});
+
+test('new pending tasks and batches are not counted', () => {
+    const manager = new TaskManager();
+    const metrics = new Metrics(manager);
+
+    manager.createTask({ type: 'video', url: 'a' });
+    manager.createTask({ type: 'batch', url: 'b', status: 'completed' });
+
+    const snapshot = metrics.getSnapshot();
+    assert.equal(snapshot.finished.completed, 0);
+    assert.deepEqual(snapshot.completions.bySource, { download: 0, cache: 0 });
+});
@@ -0,0 +1,154 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import {
+    DEFAULT_OUTPUT_PROFILES,
+    validateProfile,
+    loadOutputProfiles,
+    resolveProfile,
+    availableProfiles,
+    normalizeCodec,
+    profileFormatSelectors,
+    planTranscode
+} from '../utils/output-profiles.js';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'output-profiles-'));
+});
+
+after(async () => {
+    await fs.remove(dir);
+});
+
+test('built-in profiles are valid', () => {
+    for (const [name, profile] of Object.entries(DEFAULT_OUTPUT_PROFILES)) {
+        assert.equal(validateProfile(name, profile), null, name);
+    }
+});
+
+test('validateProfile rejects bad names, settings and codec combinations', () => {
+    assert.match(validateProfile('has space', { container: 'mp4' }), /may only contain/);
+    assert.match(validateProfile('p', []), /must be an object/);
+    assert.match(validateProfile('p', { container: 'mp4', bitrate: 1 }), /unknown setting "bitrate"/);
+    assert.match(validateProfile('p', { container: 'avi' }), /container must be one of/);
+    assert.match(validateProfile('p', { container: 'webm', videoCodec: 'h264' }), /videoCodec must be one of: vp9, av1/);
+    assert.match(validateProfile('p', { container: 'webm', audioCodec: 'aac' }), /audioCodec must be one of: opus/);
+    assert.match(validateProfile('p', { container: 'mp4', maxHeight: 100 }), /maxHeight must be a whole number from 144 to 4320/);
+    assert.match(validateProfile('p', { container: 'mp4', crf: 2.5 }), /crf must be a whole number/);
+});
+
+test('loadOutputProfiles applies the profile file', async () => {
+    const filePath = path.join(dir, 'profiles.json');
+    await fs.writeJson(filePath, {
+        '4K-av1': null,
+        'phone': { container: 'mp4', videoCodec: 'h264', maxHeight: 360 }
+    });
+
+    const { profiles, defaultProfile } = await loadOutputProfiles(filePath);
+
+    assert.equal(defaultProfile, '720p');
+    assert.equal(profiles['4K-av1'], undefined);
+    assert.equal(profiles.phone.maxHeight, 360);
+    assert.ok(profiles['1080p']);
+});
+
+test('loadOutputProfiles refuses invalid profiles and a removed default', async () => {
+    const invalidPath = path.join(dir, 'invalid.json');
+    await fs.writeJson(invalidPath, { broken: { container: 'avi' } });
+    await assert.rejects(loadOutputProfiles(invalidPath), /Invalid output profile/);
+
+    const noDefaultPath = path.join(dir, 'no-default.json');
+    await fs.writeJson(noDefaultPath, { '720p': null });
+    await assert.rejects(loadOutputProfiles(noDefaultPath), /Default output profile "720p" does not exist/);
+});
+
+test('resolveProfile fills every field', () => {
+    assert.deepEqual(resolveProfile({ container: 'webm', videoCodec: 'vp9' }), {
+        container: 'webm',
+        videoCodec: 'vp9',
+        maxHeight: null,
+        maxFps: null,
+        crf: null,
+        videoBitrate: null,
+        audioCodec: null,
+        audioBitrate: null
+    });
+});
+
+test('availableProfiles hides profiles above the source height except the lowest', () => {
+    const profiles = {
+        small: { container: 'mp4', maxHeight: 480 },
+        hd: { container: 'mp4', maxHeight: 720 },
+        uhd: { container: 'mp4', maxHeight: 2160 },
+        any: { container: 'mkv' }
+    };
+
+    assert.deepEqual(availableProfiles(profiles, 720), ['small', 'hd', 'any']);
+    assert.deepEqual(availableProfiles(profiles, 360), ['small', 'any']);
+    assert.deepEqual(availableProfiles(profiles, 0), ['small', 'hd', 'uhd', 'any']);
+});
+
+test('normalizeCodec maps yt-dlp codec strings', () => {
+    assert.equal(normalizeCodec('avc1.640028'), 'h264');
+    assert.equal(normalizeCodec('vp09.00.40.08'), 'vp9');
+    assert.equal(normalizeCodec('vp9'), 'vp9');
+    assert.equal(normalizeCodec('av01.0.08M.08'), 'av1');
+    assert.equal(normalizeCodec('mp4a.40.2'), 'aac');
+    assert.equal(normalizeCodec('opus'), 'opus');
+    assert.equal(normalizeCodec('none'), null);
+    assert.equal(normalizeCodec('hevc'), null);
+});
+
+test('profileFormatSelectors prefer streams that need no re-encoding', () => {
+    const [preferred, limited, fallback] = profileFormatSelectors(resolveProfile(DEFAULT_OUTPUT_PROFILES['1080p-webm']));
+
+    assert.equal(preferred, "bestvideo[height<=1080][vcodec~='^(vp0?9)']+bestaudio[acodec~='^(opus)']/bestvideo[height<=1080][vcodec~='^(vp0?9)']+bestaudio");
+    assert.equal(limited, 'bestvideo[height<=1080]+bestaudio/best[height<=1080]');
+    assert.equal(fallback, 'bestvideo+bestaudio/best');
+
+    // Any video codec fits mp4, so only the audio codec is filtered
+    const [mp4] = profileFormatSelectors(resolveProfile(DEFAULT_OUTPUT_PROFILES['720p']));
+    assert.equal(mp4, "bestvideo[height<=720]+bestaudio[acodec~='^(mp4a|aac)']/bestvideo[height<=720]+bestaudio");
+});
+
+test('planTranscode leaves fitting files alone', () => {
+    const profile = resolveProfile(DEFAULT_OUTPUT_PROFILES['720p']);
+
+    assert.equal(planTranscode(profile, { container: 'mp4', vcodec: 'vp09.00.40.08', acodec: 'mp4a.40.2', height: 720, fps: 30 }), null);
+
+    // Unreported codecs are trusted when the profile doesn't name one
+    const anyCodec = resolveProfile({ container: 'mp4', maxHeight: 720 });
+    assert.equal(planTranscode(anyCodec, { container: 'mp4', vcodec: null, acodec: null, height: 720 }), null);
+    assert.deepEqual(
+        planTranscode(profile, { container: 'mp4', vcodec: null, acodec: null, height: 720 }),
+        { video: 'copy', audio: 'aac', scale: false, fps: false }
+    );
+});
+
+test('planTranscode remuxes, converts and scales only what needs it', () => {
+    const mp4 = resolveProfile(DEFAULT_OUTPUT_PROFILES['720p']);
+    assert.deepEqual(
+        planTranscode(mp4, { container: 'mkv', vcodec: 'avc1.64001f', acodec: 'mp4a.40.2', height: 720 }),
+        { video: 'copy', audio: 'copy', scale: false, fps: false }
+    );
+    assert.deepEqual(
+        planTranscode(mp4, { container: 'mp4', vcodec: 'avc1.64001f', acodec: 'opus', height: 1080 }),
+        { video: 'h264', audio: 'aac', scale: true, fps: false }
+    );
+
+    const small = resolveProfile(DEFAULT_OUTPUT_PROFILES['480p-small']);
+    assert.deepEqual(
+        planTranscode(small, { container: 'webm', vcodec: 'vp9', acodec: 'opus', height: 480, fps: 60 }),
+        { video: 'h264', audio: 'aac', scale: false, fps: true }
+    );
+
+    const webm = resolveProfile(DEFAULT_OUTPUT_PROFILES['1080p-webm']);
+    assert.deepEqual(
+        planTranscode(webm, { container: 'mp4', vcodec: null, acodec: 'opus', height: 1080 }),
+        { video: 'vp9', audio: 'copy', scale: false, fps: false }
+    );
+});
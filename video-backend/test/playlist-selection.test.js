@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectPlaylistItems } from '../utils/playlist-selection.js';
+
+const entries = Array.from({ length: 10 }, (_, i) => ({ index: i + 1, url: `https://youtu.be/video${i + 1}` }));
+const indices = selected => selected.map(entry => entry.index);
+
+test('an empty selection keeps every entry', () => {
+    for (const items of [undefined, null, '']) {
+        assert.equal(selectPlaylistItems(entries, items), entries);
+    }
+});
+
+test('ranges and single indices can be combined', () => {
+    assert.deepEqual(indices(selectPlaylistItems(entries, '1-3,7')), [1, 2, 3, 7]);
+    assert.deepEqual(indices(selectPlaylistItems(entries, ' 2-4 , 9')), [2, 3, 4, 9]);
+    assert.deepEqual(indices(selectPlaylistItems(entries, [8, 1, '4-5'])), [1, 4, 5, 8]);
+});
+
+test('duplicates select an entry once, in playlist order', () => {
+    assert.deepEqual(indices(selectPlaylistItems(entries, '7,1-3,2,3-4,7')), [1, 2, 3, 4, 7]);
+});
+
+test('indices past the end of the playlist are ignored', () => {
+    assert.deepEqual(indices(selectPlaylistItems(entries, '9-15')), [9, 10]);
+    assert.deepEqual(indices(selectPlaylistItems(entries, '11,20')), []);
+});
+
+test('0, reversed ranges and malformed parts are rejected', () => {
+    assert.throws(() => selectPlaylistItems(entries, '0'), /"0", indices start at 1/);
+    assert.throws(() => selectPlaylistItems(entries, '0-3'), /indices start at 1/);
+    assert.throws(() => selectPlaylistItems(entries, '5-3'), /"5-3", the range ends before it starts/);
+    assert.throws(() => selectPlaylistItems(entries, '1,,3'), /Invalid item selection ""/);
+    assert.throws(() => selectPlaylistItems(entries, '-3'), /use indices like 1-5,8/);
+    assert.throws(() => selectPlaylistItems(entries, [1.5]), /use indices like 1-5,8/);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RateLimiter from '../utils/rate-limiter.js';
+
+test('allows up to the limit within a window', (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = new RateLimiter(60 * 1000);
+
+    assert.equal(limiter.take('a', 2), 0);
+    now += 10 * 1000;
+    assert.equal(limiter.take('a', 2), 0);
+    now += 5 * 1000;
+    // The first request leaves the window 45 seconds from now
+    assert.equal(limiter.take('a', 2), 45);
+});
+
+test('counts clients separately and frees slots as the window slides', (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = new RateLimiter(1000);
+
+    assert.equal(limiter.take('a', 1), 0);
+    assert.equal(limiter.take('b', 1), 0);
+    assert.equal(limiter.take('a', 1), 1);
+    now += 1000;
+    assert.equal(limiter.take('a', 1), 0);
+});
+
+test('a limit of 0 is unlimited', () => {
+    const limiter = new RateLimiter();
+
+    for (let i = 0; i < 100; i++) {
+        assert.equal(limiter.take('a', 0), 0);
+    }
+    assert.equal(limiter.hits.size, 0);
+});
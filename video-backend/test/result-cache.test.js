@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import ResultCache, { extractVideoId, resultCacheKey, cachedResult, mirroredState } from '../utils/result-cache.js';
+
+test('extractVideoId understands the single-video URL forms', () => {
+    const urls = [
+        'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42',
+        'https://youtube.com/watch?list=PL1&v=dQw4w9WgXcQ',
+        'https://m.youtube.com/watch?v=dQw4w9WgXcQ',
+        'https://music.youtube.com/watch?v=dQw4w9WgXcQ',
+        'https://youtu.be/dQw4w9WgXcQ?si=abc',
+        'https://www.youtube.com/shorts/dQw4w9WgXcQ',
+        'https://www.youtube.com/embed/dQw4w9WgXcQ',
+        'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ',
+        'https://www.youtube.com/live/dQw4w9WgXcQ'
+    ];
+
+    for (const url of urls) {
+        assert.equal(extractVideoId(url), 'dQw4w9WgXcQ', url);
+    }
+});
+
+test('extractVideoId ignores playlists, channels, other sites and malformed IDs', () => {
+    const urls = [
+        'https://www.youtube.com/playlist?list=PL1',
+        'https://www.youtube.com/@channel',
+        'https://www.youtube.com/watch?v=short',
+        'https://vimeo.com/dQw4w9WgXcQ',
+        'https://notyoutube.com/watch?v=dQw4w9WgXcQ',
+        'not a url'
+    ];
+
+    for (const url of urls) {
+        assert.equal(extractVideoId(url), null, url);
+    }
+});
+
+test('resultCacheKey changes only with options that change the output', () => {
+    const url = 'https://youtu.be/dQw4w9WgXcQ';
+    const video = { type: 'video', quality: '720p', tags: { title: 'A', artist: 'B' } };
+    const key = resultCacheKey(url, video);
+
+    assert.match(key, /^dQw4w9WgXcQ:[0-9a-f]{16}$/);
+    assert.equal(resultCacheKey('https://www.youtube.com/watch?v=dQw4w9WgXcQ', video), key);
+    assert.equal(resultCacheKey(url, { ...video, priority: 'high', ownerId: 'someone' }), key);
+    assert.equal(resultCacheKey(url, { ...video, tags: { artist: 'B', title: 'A' } }), key);
+    assert.equal(resultCacheKey(url, { ...video, format: 'opus' }), key);
+
+    assert.notEqual(resultCacheKey(url, { ...video, quality: '1080p' }), key);
+    assert.notEqual(resultCacheKey(url, { ...video, ranges: [{ start: 0, end: 10 }] }), key);
+    assert.notEqual(resultCacheKey(url, { type: 'audio', format: 'mp3' }), resultCacheKey(url, { type: 'audio', format: 'opus' }));
+    assert.equal(resultCacheKey('https://www.youtube.com/playlist?list=PL1', video), null);
+});
+
+// Cache over a fixed task list and a temporary downloads directory
+async function cacheWith(t, tasks, files = []) {
+    const downloadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'result-cache-'));
+    t.after(() => fs.remove(downloadsDir));
+    for (const filename of files) {
+        await fs.writeFile(path.join(downloadsDir, filename), 'media');
+    }
+    return new ResultCache({ getAllTasks: () => tasks }, downloadsDir);
+}
+
+test('findCompleted returns the newest completed task whose files still exist', async (t) => {
+    const cache = await cacheWith(t, [
+        { taskId: 'old', cacheKey: 'k', status: 'completed', filename: 'old.mp4', updatedAt: '2024-01-01T00:00:00Z' },
+        { taskId: 'gone', cacheKey: 'k', status: 'completed', filename: 'gone.mp4', updatedAt: '2024-03-01T00:00:00Z' },
+        { taskId: 'failed', cacheKey: 'k', status: 'failed', filename: 'failed.mp4', updatedAt: '2024-04-01T00:00:00Z' },
+        { taskId: 'partial', cacheKey: 'k', status: 'completed', updatedAt: '2024-05-01T00:00:00Z',
+            files: [{ filename: 'part1.mp4' }, { filename: 'part2.mp4', expired: true }] },
+        { taskId: 'other', cacheKey: 'other', status: 'completed', filename: 'other.mp4', updatedAt: '2024-06-01T00:00:00Z' }
+    ], ['old.mp4', 'failed.mp4', 'part1.mp4', 'other.mp4']);
+
+    assert.equal((await cache.findCompleted('k')).taskId, 'old');
+    assert.equal(await cache.findCompleted('k', 'old'), null);
+});
+
+test('running downloads can be joined and report their followers', async (t) => {
+    const tasks = [
+        { taskId: 'done', cacheKey: 'k', status: 'completed' },
+        { taskId: 'leader', cacheKey: 'k', status: 'processing' },
+        { taskId: 'follower', cacheKey: 'k', status: 'pending', coalescedWith: 'leader' },
+        { taskId: 'finished-follower', cacheKey: 'k', status: 'completed', coalescedWith: 'leader' }
+    ];
+    const cache = await cacheWith(t, tasks);
+
+    assert.equal(cache.findInFlight('k').taskId, 'leader');
+    assert.equal(cache.findInFlight('missing'), null);
+    assert.deepEqual(cache.getFollowers('leader').map(task => task.taskId), ['follower']);
+});
+
+test('followers copy progress and results, reused tasks only results', () => {
+    const leader = { taskId: 'leader', ownerId: 'a', status: 'processing', progress: 40, title: 'Song', filename: 'song.mp3' };
+
+    assert.deepEqual(mirroredState(leader), { title: 'Song', filename: 'song.mp3', status: 'processing', progress: 40 });
+    assert.deepEqual(cachedResult(leader), { title: 'Song', filename: 'song.mp3' });
+});
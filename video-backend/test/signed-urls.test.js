@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSignedUrl, createSignedBundleUrl, verifySignedUrl, verifySignedBundleUrl } from '../utils/signed-urls.js';
+
+// Split a signed link into its path and query parameters
+function parseLink(url) {
+    const parsed = new URL(url, 'http://localhost');
+    return {
+        pathname: parsed.pathname,
+        expires: parsed.searchParams.get('expires'),
+        signature: parsed.searchParams.get('signature')
+    };
+}
+
+test('signed file links verify for the file they were made for', () => {
+    const { url, expiresAt } = createSignedUrl('Song [dQw4].mp3', 60);
+    const { pathname, expires, signature } = parseLink(url);
+
+    assert.equal(pathname, '/files/Song%20%5BdQw4%5D.mp3');
+    assert.equal(new Date(expiresAt).getTime(), parseInt(expires, 10) * 1000);
+    assert.equal(verifySignedUrl('Song [dQw4].mp3', expires, signature), null);
+    assert.equal(verifySignedUrl('Other.mp3', expires, signature), 'Invalid signature');
+});
+
+test('changing the expiry invalidates the signature', () => {
+    const { expires, signature } = parseLink(createSignedUrl('a.mp3', 60).url);
+
+    assert.equal(verifySignedUrl('a.mp3', String(parseInt(expires, 10) + 3600), signature), 'Invalid signature');
+});
+
+test('expired and malformed links are rejected', () => {
+    const { expires, signature } = parseLink(createSignedUrl('a.mp3', -10).url);
+
+    assert.equal(verifySignedUrl('a.mp3', expires, signature), 'Download link has expired');
+    assert.equal(verifySignedUrl('a.mp3', undefined, undefined), 'Missing or malformed signature');
+    assert.equal(verifySignedUrl('a.mp3', '12ab', signature), 'Missing or malformed signature');
+    assert.equal(verifySignedUrl('a.mp3', expires, 'f00'), 'Missing or malformed signature');
+});
+
+test('bundle links and file links do not open each other', () => {
+    const bundle = parseLink(createSignedBundleUrl('task-1', 60).url);
+    const file = parseLink(createSignedUrl('task-1', 60).url);
+
+    assert.equal(bundle.pathname, '/files/bundle/task-1');
+    assert.equal(verifySignedBundleUrl('task-1', bundle.expires, bundle.signature), null);
+    assert.equal(verifySignedBundleUrl('task-2', bundle.expires, bundle.signature), 'Invalid signature');
+    assert.equal(verifySignedUrl('task-1', bundle.expires, bundle.signature), 'Invalid signature');
+    assert.equal(verifySignedBundleUrl('task-1', file.expires, file.signature), 'Invalid signature');
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import FileRetention from '../utils/file-retention.js';
+import StorageManager from '../utils/storage-manager.js';
+
+// Storage manager over a temporary downloads directory holding the given files
+async function storageWith(t, files, options = {}) {
+    const downloadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-manager-'));
+    t.after(() => fs.remove(downloadsDir));
+    for (const [filename, content] of Object.entries(files)) {
+        await fs.writeFile(path.join(downloadsDir, filename), content);
+    }
+
+    const retention = new FileRetention({ downloadsDir, maxAgeHours: 24, maxDownloads: 0 });
+    return new StorageManager({ downloadsDir, retention, minFreeBytes: 0, ...options });
+}
+
+test('sweep evicts the least recently used files until the directory fits', async (t) => {
+    const storage = await storageWith(t, {
+        'a.mp4': '0123456789',
+        'b.mp4': '0123456789',
+        'c.mp4': '0123456789'
+    }, { maxTotalBytes: 15 });
+
+    const now = Date.now();
+    const clock = t.mock.method(Date, 'now', () => now + 1000);
+    storage.recordAccess('c.mp4');
+    clock.mock.mockImplementation(() => now + 2000);
+    storage.recordAccess('a.mp4');
+    clock.mock.restore();
+
+    const result = await storage.sweep();
+
+    assert.equal(result.evicted, 2);
+    assert.equal(result.freedBytes, 20);
+    assert.deepEqual(await fs.readdir(storage.downloadsDir), ['a.mp4']);
+});
+
+test('sweep removes old files no task refers to and leaves new ones alone', async (t) => {
+    const storage = await storageWith(t, {
+        'task.mp4': 'video',
+        'stray.mp4': 'video'
+    }, { isOwned: filename => filename === 'task.mp4' });
+
+    const first = await storage.sweep();
+    assert.equal(first.orphaned, 0);
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 2 * 60 * 60 * 1000);
+    const second = await storage.sweep();
+
+    assert.equal(second.orphaned, 1);
+    assert.deepEqual(await fs.readdir(storage.downloadsDir), ['task.mp4']);
+});
+
+test('files of running downloads are neither removed as orphans nor evicted', async (t) => {
+    const storage = await storageWith(t, {
+        'video_1_abc.mkv': '0123456789',
+        'video_1_abc.transcoding.mp4': '0123456789',
+        'done.mp4': '0123456789'
+    }, {
+        maxTotalBytes: 5,
+        isOwned: filename => filename === 'done.mp4',
+        isInUse: filename => filename.startsWith('video_1_abc.')
+    });
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 2 * 60 * 60 * 1000);
+    const result = await storage.sweep();
+
+    assert.equal(result.orphaned, 0);
+    assert.equal(result.evicted, 1);
+    assert.deepEqual((await fs.readdir(storage.downloadsDir)).sort(), ['video_1_abc.mkv', 'video_1_abc.transcoding.mp4']);
+
+    const usage = await storage.getUsage();
+    assert.equal(usage.orphanedFileCount, 0);
+    assert.deepEqual(usage.leastRecentlyUsed, []);
+});
+
+test('unlimited storage evicts nothing', async (t) => {
+    const storage = await storageWith(t, { 'a.mp4': '0123456789' }, { maxTotalBytes: 0 });
+
+    const result = await storage.sweep();
+
+    assert.equal(result.evicted, 0);
+    assert.deepEqual(await fs.readdir(storage.downloadsDir), ['a.mp4']);
+});
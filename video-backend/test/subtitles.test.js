@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_SUBTITLE_LANGUAGES,
+    validateSubtitleOptions,
+    normalizeSubtitleOptions,
+    subtitleArgs,
+    listSubtitleLanguages
+} from '../utils/subtitles.js';
+
+test('validateSubtitleOptions accepts missing and well-formed options', () => {
+    assert.equal(validateSubtitleOptions(undefined), null);
+    assert.equal(validateSubtitleOptions(null), null);
+    assert.equal(validateSubtitleOptions({ languages: ['en', 'pt-BR', 'zh-Hans', 'en-orig'] }), null);
+    assert.equal(validateSubtitleOptions({ languages: ['de'], manual: false, automatic: true, format: 'vtt', embed: true }), null);
+});
+
+test('validateSubtitleOptions rejects bad languages, flags and formats', () => {
+    const tooMany = Array.from({ length: MAX_SUBTITLE_LANGUAGES + 1 }, () => 'en');
+
+    assert.match(validateSubtitleOptions('en'), /must be an object/);
+    assert.match(validateSubtitleOptions(['en']), /must be an object/);
+    assert.match(validateSubtitleOptions({}), /list of 1 to 10 language codes/);
+    assert.match(validateSubtitleOptions({ languages: [] }), /list of 1 to 10 language codes/);
+    assert.match(validateSubtitleOptions({ languages: tooMany }), /list of 1 to 10 language codes/);
+    assert.match(validateSubtitleOptions({ languages: ['en', 'english!'] }), /"english!" is not a language code/);
+    assert.match(validateSubtitleOptions({ languages: ['en,de'] }), /is not a language code/);
+    assert.match(validateSubtitleOptions({ languages: [1] }), /"1" is not a language code/);
+    assert.match(validateSubtitleOptions({ languages: ['en'], embed: 'yes' }), /embed must be true or false/);
+    assert.match(validateSubtitleOptions({ languages: ['en'], manual: false }), /Enable manual or automatic subtitles/);
+    assert.match(validateSubtitleOptions({ languages: ['en'], format: 'ass' }), /format must be one of: srt, vtt/);
+});
+
+test('normalizeSubtitleOptions fills defaults and drops duplicate languages', () => {
+    assert.deepEqual(normalizeSubtitleOptions({ languages: ['en', 'de', 'en'] }), {
+        languages: ['en', 'de'],
+        manual: true,
+        automatic: false,
+        format: 'srt',
+        embed: false
+    });
+});
+
+test('subtitleArgs requests the chosen kinds, languages and format', () => {
+    assert.deepEqual(subtitleArgs(null), []);
+    assert.deepEqual(
+        subtitleArgs(normalizeSubtitleOptions({ languages: ['en', 'de'], automatic: true, format: 'vtt' })),
+        ['--write-subs', '--write-auto-subs', '--sub-langs', 'en,de', '--sub-format', 'vtt/best', '--convert-subs', 'vtt']
+    );
+});
+
+test('listSubtitleLanguages skips live chat', () => {
+    const info = {
+        subtitles: { en: [{ name: 'English' }], live_chat: [{}] },
+        automatic_captions: { de: [] }
+    };
+
+    assert.deepEqual(listSubtitleLanguages(info), {
+        manual: [{ language: 'en', name: 'English' }],
+        automatic: [{ language: 'de', name: 'de' }]
+    });
+    assert.deepEqual(listSubtitleLanguages({}), { manual: [], automatic: [] });
+});
@@ -0,0 +1,256 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import TaskManager from '../utils/task-manager.js';
+
+// The hourly cleanup interval would keep the test process alive
+mock.method(TaskManager.prototype, 'startCleanupTimer', () => {});
+
+// Worker that runs until finish() is called, recording when it started
+function blockingWorker(started) {
+    const finishers = new Map();
+    const worker = (taskId) => new Promise(resolve => {
+        started.push(taskId);
+        finishers.set(taskId, resolve);
+    });
+    // Workers start on a later tick, and so does the next task once one finishes
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+    const finish = async (taskId) => {
+        await tick();
+        finishers.get(taskId)();
+        await tick();
+    };
+    return { worker, finish };
+}
+
+test('runs at most maxConcurrent tasks at once', async () => {
+    const manager = new TaskManager({ maxConcurrent: 2 });
+    const started = [];
+    const { worker, finish } = blockingWorker(started);
+    const [a, b, c] = ['a', 'b', 'c'].map(url => manager.createTask({ type: 'video', url }));
+
+    assert.equal(manager.enqueue(a, worker), 0);
+    assert.equal(manager.enqueue(b, worker), 0);
+    assert.equal(manager.enqueue(c, worker), 1);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(started, [a, b]);
+
+    await finish(a);
+    assert.deepEqual(started, [a, b, c]);
+    assert.equal(manager.getQueuePosition(c), null);
+});
+
+test('waiting tasks run by priority, then in submission order', async () => {
+    const manager = new TaskManager({ maxConcurrent: 1 });
+    const started = [];
+    const { worker, finish } = blockingWorker(started);
+    const create = (url, priority) => manager.createTask({ type: 'video', url, priority });
+
+    const first = create('first', 'low');
+    manager.enqueue(first, worker);
+    const low = create('low', 'low');
+    const normal = create('normal', 'normal');
+    const high = create('high', 'high');
+    const secondHigh = create('second-high', 'high');
+    [low, normal, high, secondHigh].forEach(taskId => manager.enqueue(taskId, worker));
+
+    assert.deepEqual(manager.queue, [high, secondHigh, normal, low]);
+    assert.equal(manager.getQueuePosition(normal), 3);
+
+    const snapshot = manager.getQueueSnapshot();
+    assert.deepEqual(snapshot.running.map(job => job.taskId), [first]);
+    assert.deepEqual(snapshot.waiting.map(job => [job.url, job.queuePosition]), [['high', 1], ['second-high', 2], ['normal', 3], ['low', 4]]);
+
+    for (const taskId of [first, high, secondHigh, normal]) {
+        await finish(taskId);
+    }
+    assert.deepEqual(started, [first, high, secondHigh, normal, low]);
+});
+
+test('removed and deleted tasks never start', async () => {
+    const manager = new TaskManager({ maxConcurrent: 1 });
+    const started = [];
+    const { worker, finish } = blockingWorker(started);
+    const [a, b, c] = ['a', 'b', 'c'].map(url => manager.createTask({ type: 'video', url }));
+    [a, b, c].forEach(taskId => manager.enqueue(taskId, worker));
+
+    assert.equal(manager.removeFromQueue(b), true);
+    assert.equal(manager.removeFromQueue(b), false);
+    manager.deleteTask(c);
+    await finish(a);
+
+    assert.deepEqual(started, [a]);
+    assert.equal(manager.enqueue('missing', worker), -1);
+});
+
+test('a throwing worker frees its slot', async () => {
+    const manager = new TaskManager({ maxConcurrent: 1 });
+    const started = [];
+    const failing = manager.createTask({ type: 'video', url: 'failing' });
+    const next = manager.createTask({ type: 'video', url: 'next' });
+
+    manager.enqueue(failing, async () => {
+        throw new Error('boom');
+    });
+    manager.enqueue(next, async (taskId) => {
+        started.push(taskId);
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(started, [next]);
+    assert.equal(manager.running.size, 0);
+});
+
+test('cancelTask removes waiting tasks from the queue and aborts running ones', async () => {
+    const manager = new TaskManager({ maxConcurrent: 1 });
+    const signals = new Map();
+    const worker = (taskId, signal) => new Promise(resolve => {
+        signals.set(taskId, signal);
+        signal.addEventListener('abort', resolve);
+    });
+    const running = manager.createTask({ type: 'video', url: 'running', status: 'pending' });
+    const waiting = manager.createTask({ type: 'video', url: 'waiting', status: 'pending' });
+    manager.enqueue(running, worker);
+    manager.enqueue(waiting, worker);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(manager.cancelTask(waiting), true);
+    assert.equal(manager.getTask(waiting).status, 'cancelled');
+    assert.equal(manager.getQueuePosition(waiting), null);
+
+    assert.equal(manager.cancelTask(running), true);
+    assert.equal(signals.get(running).aborted, true);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(manager.running.size, 0);
+    assert.equal(signals.has(waiting), false);
+});
+
+test('cancelTask leaves finished and unknown tasks alone', () => {
+    const manager = new TaskManager();
+    const done = manager.createTask({ type: 'video', url: 'done', status: 'completed' });
+
+    assert.equal(manager.cancelTask(done), false);
+    assert.equal(manager.getTask(done).status, 'completed');
+    assert.equal(manager.cancelTask('missing'), false);
+});
+
+test('evicting old tasks emits deleted for each of them', () => {
+    const manager = new TaskManager();
+    manager.maxTasks = 2;
+    const deleted = [];
+    manager.on('deleted', taskId => deleted.push(taskId));
+
+    const first = manager.createTask({ type: 'video', url: 'first', status: 'completed' });
+    manager.createTask({ type: 'video', url: 'second', status: 'completed' });
+    manager.createTask({ type: 'video', url: 'third', status: 'completed' });
+    manager.cleanupOldTasks();
+
+    assert.deepEqual(deleted, [first]);
+    assert.equal(manager.tasks.size, 2);
+});
+
+test('a finished batch is evicted together with its playlist items', () => {
+    const manager = new TaskManager();
+    manager.maxTasks = 3;
+    const deleted = [];
+    manager.on('deleted', taskId => deleted.push(taskId));
+
+    const { batchId, childIds } = manager.createBatch(
+        { url: 'playlist' },
+        ['one', 'two'].map(url => ({ type: 'video', url, status: 'pending' }))
+    );
+    childIds.forEach(childId => manager.updateTask(childId, { status: 'completed' }));
+    assert.equal(manager.getTask(batchId).status, 'completed');
+
+    const later = manager.createTask({ type: 'video', url: 'later', status: 'completed' });
+
+    assert.deepEqual(deleted, [batchId, ...childIds]);
+    assert.deepEqual([...manager.tasks.keys()], [later]);
+});
+
+test('items of an unfinished batch are never evicted', () => {
+    const manager = new TaskManager();
+    manager.maxTasks = 2;
+    const deleted = [];
+    manager.on('deleted', taskId => deleted.push(taskId));
+
+    const { batchId, childIds } = manager.createBatch(
+        { url: 'playlist' },
+        ['one', 'two'].map(url => ({ type: 'video', url, status: 'pending' }))
+    );
+    manager.updateTask(childIds[0], { status: 'completed' });
+    manager.createTask({ type: 'video', url: 'queued', status: 'pending' });
+
+    assert.deepEqual(deleted, []);
+    assert.equal(manager.getTask(batchId).status, 'processing');
+    assert.equal(manager.getTask(childIds[0]).status, 'completed');
+});
+
+// Store holding tasks from a previous run, recording what gets saved
+function storeWith(tasks) {
+    return {
+        saved: null,
+        async load() {
+            return tasks;
+        },
+        async save(saved) {
+            this.saved = saved;
+        }
+    };
+}
+
+test('restore queues unfinished tasks again and reconciles finished ones with the downloads directory', async (t) => {
+    const downloadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'task-manager-'));
+    t.after(() => fs.remove(downloadsDir));
+    await fs.writeFile(path.join(downloadsDir, 'kept.mp4'), 'video');
+    await fs.writeFile(path.join(downloadsDir, 'orphan.mp4.part'), 'partial');
+
+    const store = storeWith([
+        { taskId: 'pending', status: 'pending', progress: 0 },
+        { taskId: 'processing', status: 'processing', progress: 40 },
+        { taskId: 'kept', status: 'completed', filename: 'kept.mp4' },
+        { taskId: 'missing', status: 'completed', filename: 'missing.mp4' },
+        { taskId: 'failed', status: 'failed', error: 'boom' }
+    ]);
+    const manager = new TaskManager({ store, downloadsDir, resumeInterrupted: true });
+
+    const resumed = await manager.restore();
+
+    assert.deepEqual(resumed.map(task => [task.taskId, task.status, task.progress]), [['pending', 'pending', 0], ['processing', 'pending', 0]]);
+    assert.equal(manager.getTask('kept').status, 'completed');
+    assert.equal(manager.getTask('missing').status, 'failed');
+    assert.equal(manager.getTask('missing').error, 'Output file is no longer available');
+    assert.equal(manager.getTask('failed').status, 'failed');
+    // The leftover partial file is newer than the retention period
+    assert.deepEqual((await fs.readdir(downloadsDir)).sort(), ['kept.mp4', 'orphan.mp4.part']);
+    assert.equal(store.saved.length, 5);
+});
+
+test('restore removes unreferenced files older than the retention period', async (t) => {
+    const downloadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'task-manager-'));
+    t.after(() => fs.remove(downloadsDir));
+    await fs.writeFile(path.join(downloadsDir, 'kept.mp4'), 'video');
+    await fs.writeFile(path.join(downloadsDir, 'orphan.mp4.part'), 'partial');
+
+    const store = storeWith([{ taskId: 'kept', status: 'completed', filename: 'kept.mp4' }]);
+    const manager = new TaskManager({ store, downloadsDir, orphanMaxAgeHours: 1 });
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 2 * 60 * 60 * 1000);
+
+    await manager.restore();
+
+    assert.deepEqual(await fs.readdir(downloadsDir), ['kept.mp4']);
+});
+
+test('restore marks running tasks interrupted when resuming is off', async () => {
+    const manager = new TaskManager({
+        store: storeWith([{ taskId: 'processing', status: 'processing', progress: 40 }]),
+        resumeInterrupted: false
+    });
+
+    assert.deepEqual(await manager.restore(), []);
+    assert.equal(manager.getTask('processing').status, 'interrupted');
+    assert.equal(manager.getTask('processing').error, 'Task was interrupted by a server restart');
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { MemoryTaskStore, JsonFileTaskStore, createTaskStore } from '../utils/task-store.js';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'task-store-'));
+});
+
+after(async () => {
+    await fs.remove(dir);
+});
+
+test('JsonFileTaskStore saves and loads tasks', async () => {
+    const filePath = path.join(dir, 'nested', 'tasks.json');
+    const tasks = [{ taskId: 'a', status: 'completed' }, { taskId: 'b', status: 'pending' }];
+
+    await new JsonFileTaskStore(filePath).save(tasks);
+
+    assert.deepEqual(await new JsonFileTaskStore(filePath).load(), tasks);
+    assert.equal(await fs.pathExists(`${filePath}.tmp`), false);
+});
+
+test('concurrent JsonFileTaskStore saves run one after another and the last one wins', async () => {
+    const filePath = path.join(dir, 'concurrent.json');
+    const store = new JsonFileTaskStore(filePath);
+    const saves = Array.from({ length: 20 }, (_, i) => [{ taskId: `task-${i}`, status: 'pending' }]);
+
+    await Promise.all(saves.map(tasks => store.save(tasks)));
+
+    assert.deepEqual(await store.load(), saves[saves.length - 1]);
+    assert.equal(await fs.pathExists(`${filePath}.tmp`), false);
+});
+
+test('a failed JsonFileTaskStore save does not block the next one', async () => {
+    const blockedPath = path.join(dir, 'blocked');
+    await fs.writeFile(blockedPath, 'a file where the store expects a directory');
+    const store = new JsonFileTaskStore(path.join(blockedPath, 'tasks.json'));
+
+    await assert.rejects(store.save([{ taskId: 'a' }]));
+
+    store.filePath = path.join(dir, 'recovered.json');
+    await store.save([{ taskId: 'b' }]);
+    assert.deepEqual(await store.load(), [{ taskId: 'b' }]);
+});
+
+test('JsonFileTaskStore loads nothing from a missing or damaged file', async () => {
+    const damagedPath = path.join(dir, 'damaged.json');
+    await fs.writeFile(damagedPath, '{"tasks": [');
+
+    assert.deepEqual(await new JsonFileTaskStore(path.join(dir, 'missing.json')).load(), []);
+    assert.deepEqual(await new JsonFileTaskStore(damagedPath).load(), []);
+});
+
+test('MemoryTaskStore keeps nothing', async () => {
+    const store = new MemoryTaskStore();
+    await store.save([{ taskId: 'a' }]);
+
+    assert.deepEqual(await store.load(), []);
+});
+
+test('createTaskStore follows TASK_STORE', (t) => {
+    t.after(() => {
+        delete process.env.TASK_STORE;
+        delete process.env.TASK_STORE_PATH;
+    });
+
+    process.env.TASK_STORE = 'memory';
+    assert.ok(createTaskStore() instanceof MemoryTaskStore);
+
+    process.env.TASK_STORE = 'json';
+    process.env.TASK_STORE_PATH = path.join(dir, 'configured.json');
+    const store = createTaskStore();
+    assert.ok(store instanceof JsonFileTaskStore);
+    assert.equal(store.filePath, path.join(dir, 'configured.json'));
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_RANGES, parseTimestamp, collectRanges, normalizeRanges, formatTimestamp, toSectionSpec } from '../utils/time-ranges.js';
+
+test('parseTimestamp reads seconds and [[hh:]mm:]ss[.ms]', () => {
+    assert.equal(parseTimestamp(90), 90);
+    assert.equal(parseTimestamp('90'), 90);
+    assert.equal(parseTimestamp('1:30'), 90);
+    assert.equal(parseTimestamp(' 1:02:03.5 '), 3723.5);
+    assert.equal(parseTimestamp('75:30'), 4530);
+});
+
+test('parseTimestamp rejects malformed and out of range values', () => {
+    for (const value of [-1, '-5', '1:75', '1:60:00', '1:2:3:4', '1:5.5:00', 'abc', '', null, {}]) {
+        assert.ok(Number.isNaN(parseTimestamp(value)), `${JSON.stringify(value)} should be rejected`);
+    }
+});
+
+test('collectRanges combines start/end with ranges', () => {
+    assert.equal(collectRanges({}), null);
+    assert.deepEqual(collectRanges({ start: '0:10' }), [{ start: '0:10', end: undefined }]);
+    assert.deepEqual(
+        collectRanges({ end: 20, ranges: [{ start: 30, end: 40 }] }),
+        [{ start: undefined, end: 20 }, { start: 30, end: 40 }]
+    );
+    assert.deepEqual(collectRanges({ ranges: 'all' }), [null]);
+});
+
+test('normalizeRanges converts ranges to seconds', () => {
+    assert.deepEqual(
+        normalizeRanges([{ start: '', end: '1:00' }, { start: '2:00' }], 300),
+        { ranges: [{ start: 0, end: 60 }, { start: 120, end: null }] }
+    );
+});
+
+test('normalizeRanges reports invalid ranges', () => {
+    assert.match(normalizeRanges([null], null).error, /must be an object/);
+    assert.match(normalizeRanges([{ start: '1:75' }], null).error, /^Time range has an invalid timestamp/);
+    assert.match(normalizeRanges([{ start: 10, end: 20 }, { start: 30, end: 30 }], null).error, /^Range 2 must end after it starts/);
+    assert.match(normalizeRanges([{ start: 400 }], 300).error, /starts after the video ends \(5:00\)/);
+    assert.match(normalizeRanges([{ start: 0, end: 301 }], 300).error, /ends after the video ends/);
+    assert.match(normalizeRanges(Array(MAX_RANGES + 1).fill({ start: 0 }), null).error, /At most/);
+});
+
+test('formatTimestamp and toSectionSpec', () => {
+    assert.equal(formatTimestamp(65), '1:05');
+    assert.equal(formatTimestamp(3723.9), '1:02:03');
+    assert.equal(toSectionSpec({ start: 10, end: 20.5 }), '*10-20.5');
+    assert.equal(toSectionSpec({ start: 10, end: null }), '*10-inf');
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { once, EventEmitter } from 'events';
+
+// Read when the module loads, so set before importing it
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+const { default: WebhookNotifier, signPayload, isPrivateAddress, validateCallbackUrl } = await import('../utils/webhooks.js');
+
+let server;
+let receiverUrl;
+const received = [];
+const answers = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = answers.shift() || 204;
+            res.end();
+        });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    receiverUrl = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => {
+    server.close();
+});
+
+test('signPayload is the HMAC of "<timestamp>.<body>" keyed with WEBHOOK_SECRET', () => {
+    const expected = crypto.createHmac('sha256', 'test-secret').update('1700000000.{"a":1}').digest('hex');
+
+    assert.equal(signPayload('1700000000', '{"a":1}'), `sha256=${expected}`);
+    assert.notEqual(signPayload('1700000001', '{"a":1}'), signPayload('1700000000', '{"a":1}'));
+});
+
+test('isPrivateAddress covers loopback, private, link-local and mapped addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']) {
+        assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+        assert.equal(isPrivateAddress(address), false, address);
+    }
+});
+
+test('validateCallbackUrl checks the format and the address', async () => {
+    assert.equal(await validateCallbackUrl('https://93.184.216.34/hook'), null);
+    assert.match(await validateCallbackUrl('ftp://93.184.216.34/hook'), /http or https/);
+    assert.match(await validateCallbackUrl(`https://example.com/${'a'.repeat(2048)}`), /at most 2048 characters/);
+    assert.match(await validateCallbackUrl('not a url'), /not a valid URL/);
+    assert.match(await validateCallbackUrl('http://127.0.0.1:3003/api/admin/keys'), /local or private address/);
+    assert.match(await validateCallbackUrl('http://[::1]/'), /local or private address/);
+    assert.match(await validateCallbackUrl('http://169.254.169.254/latest/meta-data/'), /local or private address/);
+});
+
+test('hosts in WEBHOOK_ALLOWED_HOSTS may be private', async () => {
+    assert.equal(await validateCallbackUrl('http://localhost:8080/hook'), null);
+});
+
+test('delivers signed events and retries server errors', async () => {
+    const taskManager = new EventEmitter();
+    const notifier = new WebhookNotifier(taskManager, { urls: [receiverUrl], retryBaseDelay: 10 });
+    received.length = 0;
+    answers.push(500);
+
+    taskManager.emit('updated', { taskId: 'task-1', status: 'completed' }, 'processing');
+    while (notifier.getDeliveries('task-1').length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const deliveries = notifier.getDeliveries('task-1');
+    assert.deepEqual(deliveries.map(entry => [entry.attempt, entry.status, entry.statusCode]), [[1, 'retrying', 500], [2, 'delivered', 204]]);
+
+    const { headers, body } = received[1];
+    assert.equal(headers['x-webhook-event'], 'task.completed');
+    assert.equal(headers['x-webhook-delivery'], received[0].headers['x-webhook-delivery']);
+    assert.equal(headers['x-webhook-signature'], signPayload(headers['x-webhook-timestamp'], body));
+    assert.equal(JSON.parse(body).task.taskId, 'task-1');
+});
+
+test('task callback URLs are checked again before delivery', async () => {
+    const notifier = new WebhookNotifier(new EventEmitter(), { urls: [] });
+    received.length = 0;
+
+    const entry = await notifier.sendTest(receiverUrl);
+
+    assert.equal(entry.delivered, false);
+    assert.match(entry.error, /local or private address/);
+    assert.equal(received.length, 0);
+});
@@ -0,0 +1,130 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { Writable } from 'stream';
+import { finished } from 'stream/promises';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { zipSize, writeZip } from '../utils/zip-stream.js';
+
+const FOUR_GB = 2 ** 32;
+const hasUnzip = (() => {
+    try {
+        execFileSync('unzip', ['-v'], { stdio: 'ignore' });
+        return true;
+    } catch {
+        return false;
+    }
+})();
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zip-stream-'));
+});
+
+after(async () => {
+    await fs.remove(dir);
+});
+
+// Write files into the temp directory and describe them as archive entries
+async function makeEntries(files) {
+    const entries = [];
+    for (const [name, content] of Object.entries(files)) {
+        const filePath = path.join(dir, name.replace(/\//g, '_'));
+        await fs.writeFile(filePath, content);
+        const { size, mtime } = await fs.stat(filePath);
+        entries.push({ name, path: filePath, size, mtime });
+    }
+    return entries;
+}
+
+// Archive the entries into a file and return its path and the byte count writeZip reported
+async function archive(entries, name) {
+    const zipPath = path.join(dir, name);
+    const output = fs.createWriteStream(zipPath);
+    const written = await writeZip(output, entries);
+    output.end();
+    await finished(output);
+    return { zipPath, written };
+}
+
+test('zipSize matches the archive writeZip produces', async () => {
+    const entries = await makeEntries({
+        'a.mp3': 'first file',
+        'chapters/02 - Zweites Kapitel.mp3': Buffer.alloc(70000, 7),
+        'empty.txt': ''
+    });
+
+    const { zipPath, written } = await archive(entries, 'size.zip');
+
+    assert.equal(written, zipSize(entries));
+    assert.equal((await fs.stat(zipPath)).size, written);
+});
+
+test('archives pass unzip -t and extract to the original files', { skip: !hasUnzip && 'unzip is not installed' }, async () => {
+    const files = {
+        'Song [dQw4].mp3': Buffer.from(Array.from({ length: 100000 }, (_, i) => i % 251)),
+        'subs/Song.de.srt': '1\n00:00:01,000 --> 00:00:02,000\nHallo Wölt\n',
+        'empty.txt': ''
+    };
+    const { zipPath } = await archive(await makeEntries(files), 'roundtrip.zip');
+
+    const report = execFileSync('unzip', ['-t', zipPath], { encoding: 'utf8' });
+    assert.match(report, /No errors detected/);
+
+    const outDir = path.join(dir, 'extracted');
+    execFileSync('unzip', ['-q', zipPath, '-d', outDir]);
+    for (const [name, content] of Object.entries(files)) {
+        assert.deepEqual(await fs.readFile(path.join(outDir, name)), Buffer.from(content));
+    }
+});
+
+test('entries of 4 GB and more get ZIP64 extra fields in the local header', async () => {
+    // A small file announced as 4 GB: the local header is written before the size mismatch is noticed
+    const [entry] = await makeEntries({ 'big.mkv': 'not really big' });
+    const chunks = [];
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+
+    await assert.rejects(writeZip(output, [{ ...entry, size: FOUR_GB }]), /changed while it was being archived/);
+
+    const header = Buffer.concat(chunks);
+    const nameLength = header.readUInt16LE(26);
+    const extraStart = 30 + nameLength;
+
+    assert.equal(header.readUInt32LE(0), 0x04034b50);
+    assert.equal(header.readUInt16LE(4), 45);
+    assert.equal(header.readUInt32LE(18), 0xffffffff);
+    assert.equal(header.readUInt32LE(22), 0xffffffff);
+    assert.equal(header.readUInt16LE(28), 20);
+    assert.equal(header.readUInt16LE(extraStart), 0x0001);
+    assert.equal(header.readUInt16LE(extraStart + 2), 16);
+    assert.equal(header.readBigUInt64LE(extraStart + 4), BigInt(FOUR_GB));
+    assert.equal(header.readBigUInt64LE(extraStart + 12), BigInt(FOUR_GB));
+});
+
+test('a 4 GB entry passes unzip -t', {
+    // Writes and checks a 4 GB archive, so only on request
+    skip: (!process.env.ZIP64_ROUND_TRIP && 'set ZIP64_ROUND_TRIP=1 to run') || (!hasUnzip && 'unzip is not installed'),
+    timeout: 30 * 60 * 1000
+}, async () => {
+    const bigPath = path.join(dir, 'big.bin');
+    // Sparse, so only the archive takes up disk space
+    await fs.writeFile(bigPath, '');
+    await fs.truncate(bigPath, FOUR_GB + 10);
+    const { mtime } = await fs.stat(bigPath);
+    const [small] = await makeEntries({ 'after.txt': 'entry after the large one' });
+    const entries = [{ name: 'big.bin', path: bigPath, size: FOUR_GB + 10, mtime }, small];
+
+    const { zipPath, written } = await archive(entries, 'zip64.zip');
+
+    assert.equal(written, zipSize(entries));
+    const report = execFileSync('unzip', ['-t', zipPath], { encoding: 'utf8' });
+    assert.match(report, /No errors detected/);
+});
@@ -0,0 +1,66 @@
+import { spawn } from 'child_process';
+
+const CHECK_TIMEOUT = 5000;
+const CACHE_TTL = 60 * 1000; // Health checks may be polled, versions rarely change
+
+let cached = null;
+
+/**
+ * Run a binary's version command
+ * @param {string} command - Binary name
+ * @param {Array} args - Arguments that print the version
+ * @param {RegExp} pattern - Extracts the version from the first output line
+ * @returns {Promise<object>} - { available, version } or { available: false, error }
+ */
+export function checkBinary(command, args, pattern = /(\S+)/) {
+    return new Promise((resolve) => {
+        let output = '';
+        let settled = false;
+        const finish = (result) => {
+            if (!settled) {
+                settled = true;
+                clearTimeout(timer);
+                resolve(result);
+            }
+        };
+
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'ignore'] });
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            finish({ available: false, error: `${command} did not respond within ${CHECK_TIMEOUT / 1000}s` });
+        }, CHECK_TIMEOUT);
+
+        child.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+        child.on('error', (error) => {
+            finish({
+                available: false,
+                error: error.code === 'ENOENT' ? `${command} is not installed or not on the PATH` : error.message
+            });
+        });
+        child.on('close', (code) => {
+            const match = output.split('\n')[0].match(pattern);
+            finish(code === 0
+                ? { available: true, version: match ? match[1] : null }
+                : { available: false, error: `${command} exited with code ${code}` });
+        });
+    });
+}
+
+/**
+ * Check that yt-dlp and ffmpeg can be run. Results are cached for a minute.
+ * @returns {Promise<object>} - { ytDlp, ffmpeg }
+ */
+export async function checkDependencies() {
+    if (cached && Date.now() - cached.checkedAt < CACHE_TTL) {
+        return cached.result;
+    }
+
+    const [ytDlp, ffmpeg] = await Promise.all([
+        checkBinary('yt-dlp', ['--version']),
+        checkBinary('ffmpeg', ['-version'], /version (\S+)/)
+    ]);
+    cached = { checkedAt: Date.now(), result: { ytDlp, ffmpeg } };
+    return cached.result;
+}
@@ -0,0 +1,95 @@
+// Failure classes, checked in order. Specific reasons come before the generic "unavailable"
+// because yt-dlp prefixes many of them with "Video unavailable".
+const ERROR_CLASSES = [
+    {
+        code: 'private',
+        retryable: false,
+        message: 'This video is private',
+        pattern: /private video|video is private/i
+    },
+    {
+        code: 'age_restricted',
+        retryable: false,
+        message: 'This video is age-restricted and requires signing in',
+        pattern: /confirm your age|age[- ]restricted|inappropriate for some users/i
+    },
+    {
+        code: 'geo_blocked',
+        retryable: false,
+        message: 'This video is not available in the server\'s country',
+        pattern: /not (made this video )?available in your country|geo[- ]?restrict|blocked it in your country/i
+    },
+    {
+        code: 'rate_limited',
+        retryable: true,
+        message: 'YouTube is rate limiting this server, try again later',
+        pattern: /HTTP Error 429|too many requests|confirm you.re not a bot|rate[- ]?limit/i
+    },
+    {
+        code: 'format_unavailable',
+        retryable: true,
+        message: 'The requested quality or format is not available for this video',
+        pattern: /requested format is not available|no video formats found|format is not available/i
+    },
+    {
+        code: 'network',
+        retryable: true,
+        message: 'A network error interrupted the download',
+        pattern: /unable to download (webpage|video data|api page)|connection (reset|refused|aborted)|timed out|name resolution|network is unreachable|HTTP Error 5\d\d|IncompleteRead|ECONNRESET|ETIMEDOUT|getaddrinfo|SSL/i
+    },
+    {
+        // Another 30 minute attempt would hold a worker for up to DOWNLOAD_MAX_ATTEMPTS × 30 minutes
+        code: 'timeout',
+        retryable: false,
+        message: 'The download took too long and was stopped',
+        pattern: /download timeout/i
+    },
+    {
+        code: 'unavailable',
+        retryable: false,
+        message: 'This video is unavailable or has been removed',
+        pattern: /video unavailable|has been removed|account .* terminated|does not exist/i
+    },
+    {
+        code: 'unsupported_url',
+        retryable: false,
+        message: 'This URL is not supported',
+        pattern: /unsupported url|is not a valid url|invalid url/i
+    }
+];
+
+export const ERROR_CODES = [...ERROR_CLASSES.map(errorClass => errorClass.code), 'unknown'];
+
+/**
+ * Last "ERROR:" line yt-dlp printed, or the last non-empty line
+ * @param {string} output - Captured stderr
+ * @returns {string|null} - Most relevant line
+ */
+function lastErrorLine(output) {
+    const lines = output.split('\n').map(line => line.trim()).filter(Boolean);
+    const errorLines = lines.filter(line => line.startsWith('ERROR:'));
+    const line = errorLines[errorLines.length - 1] || lines[lines.length - 1];
+    return line ? line.replace(/^ERROR:\s*/, '') : null;
+}
+
+/**
+ * Classify a failed download from its error and yt-dlp's stderr
+ * @param {Error} error - Error from processVideo or processAudio, with stderr in error.details
+ * @returns {object} - { code, retryable, message, detail }
+ */
+export function classifyError(error) {
+    const output = `${error.details || ''}\n${error.message || ''}`;
+    const detail = lastErrorLine(error.details || '') || error.message;
+    const errorClass = ERROR_CLASSES.find(({ pattern }) => pattern.test(output));
+
+    if (!errorClass) {
+        return { code: 'unknown', retryable: false, message: error.message, detail };
+    }
+
+    return {
+        code: errorClass.code,
+        retryable: errorClass.retryable,
+        message: errorClass.message,
+        detail
+    };
+}
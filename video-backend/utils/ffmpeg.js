@@ -0,0 +1,68 @@
+import { spawn } from 'child_process';
+
+/**
+ * Run ffmpeg with the given arguments
+ * @param {Array} args - ffmpeg arguments, without the binary name
+ * @param {object} options - Extra options
+ * @param {AbortSignal} options.signal - Kills ffmpeg and rejects with a cancelled error
+ * @returns {Promise<void>}
+ */
+export function runFfmpeg(args, options = {}) {
+    const { signal } = options;
+
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createCancelledError());
+            return;
+        }
+
+        const ffmpegArgs = ['-hide_banner', '-loglevel', 'error', '-y', ...args];
+        console.log(`Command: ffmpeg ${ffmpegArgs.join(' ')}`);
+
+        const ffmpegProcess = spawn('ffmpeg', ffmpegArgs, {
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        let errorOutput = '';
+        let cancelled = false;
+
+        const onAbort = () => {
+            cancelled = true;
+            ffmpegProcess.kill('SIGTERM');
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        ffmpegProcess.stderr.on('data', (data) => {
+            errorOutput += data.toString();
+        });
+
+        ffmpegProcess.on('close', (code) => {
+            signal?.removeEventListener('abort', onAbort);
+
+            if (cancelled) {
+                reject(createCancelledError());
+            } else if (code === 0) {
+                resolve();
+            } else {
+                const error = new Error(`ffmpeg process failed with code ${code}`);
+                error.details = errorOutput;
+                reject(error);
+            }
+        });
+
+        ffmpegProcess.on('error', (error) => {
+            signal?.removeEventListener('abort', onAbort);
+            if (error.code === 'ENOENT') {
+                reject(new Error('ffmpeg is not installed or not in PATH'));
+            } else {
+                reject(new Error(`Process error: ${error.message}`));
+            }
+        });
+    });
+}
+
+function createCancelledError() {
+    const error = new Error('Download cancelled');
+    error.cancelled = true;
+    return error;
+}
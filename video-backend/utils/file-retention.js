@@ -0,0 +1,85 @@
+import path from 'path';
+import fs from 'fs-extra';
+
+/**
+ * Removes downloaded files once they are older than the retention period
+ * or have been downloaded completely the configured number of times.
+ * The storage manager runs the age sweep on its schedule.
+ */
+class FileRetention {
+    constructor(options = {}) {
+        this.downloadsDir = options.downloadsDir;
+        this.maxAgeHours = options.maxAgeHours
+            ?? (parseFloat(process.env.FILE_RETENTION_HOURS) || 24);
+        this.maxDownloads = options.maxDownloads
+            ?? (parseInt(process.env.FILE_MAX_DOWNLOADS, 10) || 0); // 0 = unlimited
+        this.onRemove = options.onRemove || (() => {});
+        this.removeDelay = 60 * 1000; // Lets parallel range requests finish
+        this.downloadCounts = new Map(); // Filename -> completed downloads
+        this.pendingRemovals = new Set();
+    }
+
+    /**
+     * Remove files older than the retention period
+     * @returns {Promise<number>} - Number of removed files
+     */
+    async sweep() {
+        const maxAge = this.maxAgeHours * 60 * 60 * 1000;
+        const now = Date.now();
+        let removed = 0;
+
+        try {
+            const files = await fs.readdir(this.downloadsDir);
+            for (const file of files) {
+                const stats = await fs.stat(path.join(this.downloadsDir, file));
+                // yt-dlp may set mtime to the upload date, ctime tracks when we wrote or renamed the file
+                const age = now - Math.max(stats.mtimeMs, stats.ctimeMs);
+                if (stats.isFile() && age > maxAge) {
+                    await this.remove(file, 'expired');
+                    removed++;
+                }
+            }
+        } catch (error) {
+            console.error('Error cleaning up old files:', error);
+        }
+
+        return removed;
+    }
+
+    /**
+     * Count a completed download and schedule removal once the limit is reached
+     * @param {string} filename - Downloaded file
+     * @returns {number} - Completed downloads of the file so far
+     */
+    recordDownload(filename) {
+        const count = (this.downloadCounts.get(filename) || 0) + 1;
+        this.downloadCounts.set(filename, count);
+
+        if (this.maxDownloads > 0 && count >= this.maxDownloads && !this.pendingRemovals.has(filename)) {
+            this.pendingRemovals.add(filename);
+            setTimeout(() => this.remove(filename, `downloaded ${count} times`), this.removeDelay);
+        }
+
+        return count;
+    }
+
+    /**
+     * Delete a file and forget its download count
+     * @param {string} filename - File to remove
+     * @param {string} reason - Why the file is removed, for logging
+     */
+    async remove(filename, reason) {
+        this.pendingRemovals.delete(filename);
+        this.downloadCounts.delete(filename);
+
+        try {
+            await fs.remove(path.join(this.downloadsDir, filename));
+            console.log(`Cleaned up file (${reason}): ${filename}`);
+            this.onRemove(filename);
+        } catch (error) {
+            console.error(`Error cleaning up file ${filename}:`, error);
+        }
+    }
+}
+
+export default FileRetention;
@@ -0,0 +1,140 @@
+// Placeholders a filename template may use
+export const TEMPLATE_FIELDS = ['title', 'uploader', 'channel', 'id', 'date', 'quality', 'format', 'index', 'section', 'chapter', 'ext'];
+
+export const DEFAULT_FILENAME_TEMPLATE = process.env.FILENAME_TEMPLATE || '{title} [{id}].{ext}';
+
+// Files split by chapters use this unless the request's template names the chapter itself
+export const DEFAULT_CHAPTER_TEMPLATE = '{section} - {chapter}.{ext}';
+
+const MAX_FILENAME_BYTES = 200;
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+/**
+ * Check a filename template for unknown placeholders
+ * @param {string} template - Filename template
+ * @returns {string|null} - Error message or null if valid
+ */
+export function validateTemplate(template) {
+    if (typeof template !== 'string' || !template.trim()) {
+        return 'Filename template must be a non-empty string';
+    }
+
+    if (template.length > 200) {
+        return 'Filename template must be at most 200 characters';
+    }
+
+    const unknown = [...template.matchAll(/\{([^}]*)\}/g)]
+        .map(match => match[1])
+        .filter(field => !TEMPLATE_FIELDS.includes(field));
+
+    if (unknown.length > 0) {
+        return `Unknown placeholder ${unknown.map(field => `{${field}}`).join(', ')}. Use: ${TEMPLATE_FIELDS.map(field => `{${field}}`).join(', ')}`;
+    }
+
+    return null;
+}
+
+/**
+ * Make a string safe to use as a filename on any common filesystem
+ * @param {string} name - Proposed filename
+ * @returns {string} - Sanitized filename, possibly empty
+ */
+export function sanitizeFilename(name) {
+    let sanitized = String(name)
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .replace(/[/\\:*?"<>|]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+/, '')
+        .replace(/[. ]+$/, '');
+
+    if (RESERVED_NAMES.test(sanitized)) {
+        sanitized = `_${sanitized}`;
+    }
+
+    return sanitized;
+}
+
+/**
+ * Shorten a filename to the byte limit while keeping its extension
+ * @param {string} stem - Filename without extension
+ * @param {string} ext - Extension without dot
+ * @returns {string} - Filename with extension
+ */
+function truncateFilename(stem, ext) {
+    const suffix = ext ? `.${ext}` : '';
+    let truncated = stem;
+
+    while (Buffer.byteLength(truncated + suffix) > MAX_FILENAME_BYTES && truncated.length > 0) {
+        truncated = truncated.slice(0, -1);
+    }
+
+    return `${truncated.trim()}${suffix}`;
+}
+
+/**
+ * Render a filename template from video metadata
+ * @param {string} template - Template such as "{uploader} - {title} [{id}].{ext}"
+ * @param {object} values - Placeholder values
+ * @returns {string|null} - Sanitized filename or null if nothing usable remains
+ */
+export function renderFilename(template, values) {
+    const { ext } = values;
+
+    // Placeholders for missing values collapse to nothing
+    let rendered = template.replace(/\{([^}]*)\}/g, (match, field) => {
+        const value = values[field];
+        return value === undefined || value === null ? '' : String(value).replace(/[/\\]/g, '_');
+    });
+
+    // {ext} is optional in templates, the real extension is always enforced
+    const extSuffix = `.${ext}`;
+    if (rendered.endsWith(extSuffix)) {
+        rendered = rendered.slice(0, -extSuffix.length);
+    }
+
+    const stem = sanitizeFilename(rendered.replace(/\[\s*\]|\(\s*\)/g, ''));
+    if (!stem) {
+        return null;
+    }
+
+    return truncateFilename(stem, ext);
+}
+
+/**
+ * Build placeholder values from yt-dlp metadata
+ * @param {object} metadata - yt-dlp info JSON
+ * @param {object} task - Task options (quality, format, playlistIndex, section, chapter)
+ * @param {string} ext - Output file extension
+ * @returns {object} - Placeholder values
+ */
+export function templateValues(metadata = {}, task = {}, ext) {
+    const uploadDate = metadata.upload_date;
+
+    return {
+        title: metadata.title,
+        uploader: metadata.uploader || metadata.channel,
+        channel: metadata.channel || metadata.uploader,
+        id: metadata.id,
+        date: uploadDate && /^\d{8}$/.test(uploadDate)
+            ? `${uploadDate.slice(0, 4)}-${uploadDate.slice(4, 6)}-${uploadDate.slice(6, 8)}`
+            : uploadDate,
+        quality: task.quality,
+        format: task.format,
+        index: task.playlistIndex,
+        section: task.section,
+        chapter: task.chapter,
+        ext
+    };
+}
+
+/**
+ * Build a Content-Disposition header that survives non-ASCII filenames
+ * @param {string} filename - Filename to offer the client
+ * @param {string} type - "attachment" or "inline"
+ * @returns {string} - Header value
+ */
+export function contentDisposition(filename, type = 'attachment') {
+    const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
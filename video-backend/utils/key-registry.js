@@ -0,0 +1,295 @@
+import path from 'path';
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const KEY_ROLES = ['user', 'admin'];
+
+/**
+ * Read a non-negative integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} - Parsed value
+ */
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) || value < 0 ? fallback : value;
+}
+
+// Quotas for keys that don't set their own, 0 means unlimited
+export const DEFAULT_QUOTAS = {
+    maxConcurrentJobs: envInt('DEFAULT_MAX_CONCURRENT_JOBS', 3),
+    dailyBytes: envInt('DEFAULT_DAILY_BYTES', 0),
+    requestsPerMinute: envInt('DEFAULT_REQUESTS_PER_MINUTE', 10)
+};
+
+// The API_KEY variable stays valid as an unlimited admin key
+const ENV_ADMIN_KEY = {
+    id: 'env-admin',
+    name: 'API_KEY',
+    role: 'admin',
+    quotas: { maxConcurrentJobs: 0, dailyBytes: 0, requestsPerMinute: 0 }
+};
+
+/**
+ * Hash a key secret for storage and lookup
+ * @param {string} secret - Key secret
+ * @returns {string} - Hex SHA-256
+ */
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Check a create-key request
+ * @param {object} body - { name, role, quotas }
+ * @returns {string|null} - Error message or null if valid
+ */
+export function validateKeyRequest({ name, role = 'user', quotas = {} }) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+        return 'Name must be a non-empty string of at most 100 characters';
+    }
+
+    if (!KEY_ROLES.includes(role)) {
+        return `Role must be one of: ${KEY_ROLES.join(', ')}`;
+    }
+
+    if (typeof quotas !== 'object' || quotas === null || Array.isArray(quotas)) {
+        return 'Quotas must be an object';
+    }
+
+    for (const [field, value] of Object.entries(quotas)) {
+        if (!(field in DEFAULT_QUOTAS)) {
+            return `Unknown quota "${field}". Use: ${Object.keys(DEFAULT_QUOTAS).join(', ')}`;
+        }
+        if (!Number.isInteger(value) || value < 0) {
+            return `Quota "${field}" must be a non-negative integer (0 = unlimited)`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Named API keys with roles, quotas and daily usage, backed by a JSON file.
+ * Only a hash of each key is stored; the key itself is shown once on creation.
+ */
+class KeyRegistry {
+    /**
+     * @param {string} filePath - Path of the JSON file holding keys
+     * @param {object} options - Extra options
+     * @param {string} options.adminKey - Key that is always accepted as admin, if any
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.adminKeyHash = options.adminKey ? hashSecret(options.adminKey) : null;
+        this.keys = new Map(); // Key hash -> key record
+        this.saving = Promise.resolve(); // Last queued write; writes share the temp file, so they run one at a time
+    }
+
+    /**
+     * Load keys from disk
+     */
+    async load() {
+        try {
+            if (!await fs.pathExists(this.filePath)) {
+                return;
+            }
+
+            const data = await fs.readJson(this.filePath);
+            (Array.isArray(data.keys) ? data.keys : []).forEach(key => this.keys.set(key.keyHash, key));
+            console.log(`Loaded ${this.keys.size} API keys`);
+        } catch (error) {
+            console.error(`Failed to load key registry ${this.filePath}:`, error);
+        }
+    }
+
+    /**
+     * Persist all keys, replacing the previous contents. Saves run in call order, so the last one wins.
+     * @returns {Promise<void>} - Settles once this save has been written
+     */
+    save() {
+        const write = this.saving.then(() => this.write());
+        this.saving = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Write the current keys to the file
+     */
+    async write() {
+        // Write to a temp file first so a crash never leaves a half-written registry
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJson(tempPath, { savedAt: new Date().toISOString(), keys: Array.from(this.keys.values()) }, { spaces: 2 });
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+    }
+
+    /**
+     * Look up the key for a request
+     * @param {string} secret - Value of the X-API-Key header
+     * @returns {object|null} - Key record or null if unknown or revoked
+     */
+    authenticate(secret) {
+        if (!secret) {
+            return null;
+        }
+
+        const keyHash = hashSecret(secret);
+        if (this.adminKeyHash && crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(this.adminKeyHash))) {
+            return ENV_ADMIN_KEY;
+        }
+
+        const key = this.keys.get(keyHash);
+        return key && !key.revokedAt ? key : null;
+    }
+
+    /**
+     * Create a key
+     * @param {object} data - { name, role, quotas }, see validateKeyRequest
+     * @returns {Promise<object>} - Key summary including the secret, which is not stored
+     * @throws {Error} - If the key could not be saved, in which case it is not created
+     */
+    async createKey({ name, role = 'user', quotas = {} }) {
+        const secret = `ytk_${crypto.randomBytes(24).toString('base64url')}`;
+        const key = {
+            id: uuidv4(),
+            name: name.trim(),
+            role,
+            prefix: secret.slice(0, 8),
+            keyHash: hashSecret(secret),
+            quotas,
+            usage: { date: null, bytes: 0 },
+            createdAt: new Date().toISOString(),
+            revokedAt: null
+        };
+
+        this.keys.set(key.keyHash, key);
+        try {
+            await this.save();
+        } catch (error) {
+            // A key that isn't on disk would stop working at the next restart
+            this.keys.delete(key.keyHash);
+            throw error;
+        }
+        console.log(`Created API key ${key.id} (${key.name})`);
+
+        return { ...this.present(key), key: secret };
+    }
+
+    /**
+     * Revoke a key so it is no longer accepted
+     * @param {string} id - Key ID
+     * @returns {Promise<object|null>} - Revoked key summary or null if unknown
+     * @throws {Error} - If the revocation could not be saved, in which case the key stays valid
+     */
+    async revokeKey(id) {
+        const key = this.findById(id);
+        if (!key) {
+            return null;
+        }
+
+        if (!key.revokedAt) {
+            key.revokedAt = new Date().toISOString();
+            try {
+                await this.save();
+            } catch (error) {
+                // Keep memory and disk in sync, so retrying the revocation writes it again
+                key.revokedAt = null;
+                throw error;
+            }
+            console.log(`Revoked API key ${key.id} (${key.name})`);
+        }
+
+        return this.present(key);
+    }
+
+    /**
+     * List all keys without their hashes
+     * @returns {Array} - Key summaries
+     */
+    listKeys() {
+        return Array.from(this.keys.values()).map(key => this.present(key));
+    }
+
+    /**
+     * Find a key by ID
+     * @param {string} id - Key ID
+     * @returns {object|null} - Key record or null
+     */
+    findById(id) {
+        return Array.from(this.keys.values()).find(key => key.id === id) || null;
+    }
+
+    /**
+     * Effective quotas of a key
+     * @param {object} key - Key record
+     * @returns {object} - Quotas with defaults filled in
+     */
+    getQuotas(key) {
+        return { ...DEFAULT_QUOTAS, ...key.quotas };
+    }
+
+    /**
+     * Bytes downloaded by a key today (UTC)
+     * @param {object} key - Key record
+     * @returns {number} - Bytes
+     */
+    getDailyBytes(key) {
+        return key.usage?.date === today() ? key.usage.bytes : 0;
+    }
+
+    /**
+     * Add downloaded bytes to a key's daily usage
+     * @param {string} id - Key ID
+     * @param {number} bytes - Bytes downloaded
+     */
+    async recordBytes(id, bytes) {
+        const key = this.findById(id);
+        if (!key) {
+            return;
+        }
+
+        key.usage = { date: today(), bytes: this.getDailyBytes(key) + bytes };
+
+        // Usage is best effort, a failed write must not fail the download
+        try {
+            await this.save();
+        } catch (error) {
+            console.error('Failed to save key usage:', error);
+        }
+    }
+
+    /**
+     * Key summary safe to return to clients
+     * @param {object} key - Key record
+     * @returns {object} - Summary
+     */
+    present(key) {
+        const { keyHash, ...summary } = key;
+        return { ...summary, quotas: this.getQuotas(key), usage: { date: today(), bytes: this.getDailyBytes(key) } };
+    }
+}
+
+/**
+ * Current UTC date as YYYY-MM-DD
+ * @returns {string} - Date
+ */
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Create the key registry from API_KEYS_PATH and API_KEY
+ * @returns {KeyRegistry} - Key registry instance
+ */
+export function createKeyRegistry() {
+    const filePath = process.env.API_KEYS_PATH || path.join(__dirname, '..', 'data', 'keys.json');
+    return new KeyRegistry(filePath, { adminKey: process.env.API_KEY || 'your-api-key-here' });
+}
+
+export default KeyRegistry;
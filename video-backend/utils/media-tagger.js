@@ -0,0 +1,158 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { runFfmpeg } from './ffmpeg.js';
+
+// Tags a request may override
+export const TAG_FIELDS = ['title', 'artist', 'album', 'date', 'description'];
+
+const MAX_TAG_LENGTH = 5000;
+
+// Containers where ffmpeg can store a cover image
+const COVER_FORMATS = ['mp4', 'm4a', 'mp3', 'flac'];
+
+/**
+ * Check user supplied tag overrides
+ * @param {object} tags - Tag overrides
+ * @returns {string|null} - Error message or null if valid
+ */
+export function validateTags(tags) {
+    if (tags === undefined || tags === null) {
+        return null;
+    }
+
+    if (typeof tags !== 'object' || Array.isArray(tags)) {
+        return 'Tags must be an object';
+    }
+
+    for (const [key, value] of Object.entries(tags)) {
+        if (!TAG_FIELDS.includes(key)) {
+            return `Unknown tag "${key}". Use: ${TAG_FIELDS.join(', ')}`;
+        }
+        if (typeof value !== 'string' || value.length > MAX_TAG_LENGTH) {
+            return `Tag "${key}" must be a string of at most ${MAX_TAG_LENGTH} characters`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build the tags to embed from video metadata and user overrides
+ * @param {object} metadata - Metadata read from yt-dlp
+ * @param {object} overrides - User supplied tags, empty strings clear a tag
+ * @returns {object} - Tag name to value
+ */
+export function buildTags(metadata = {}, overrides = {}) {
+    const uploadDate = metadata.upload_date;
+
+    const tags = {
+        title: metadata.title,
+        artist: metadata.uploader || metadata.channel,
+        date: uploadDate && /^\d{8}$/.test(uploadDate)
+            ? `${uploadDate.slice(0, 4)}-${uploadDate.slice(4, 6)}-${uploadDate.slice(6, 8)}`
+            : uploadDate,
+        description: metadata.description,
+        comment: metadata.webpage_url,
+        ...overrides
+    };
+
+    return Object.fromEntries(
+        Object.entries(tags).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+}
+
+/**
+ * Write chapters in ffmpeg's metadata file format
+ * @param {Array} chapters - yt-dlp chapters ({ start_time, end_time, title })
+ * @param {string} filePath - Where to write the metadata file
+ */
+async function writeChapterFile(chapters, filePath) {
+    const escape = value => String(value).replace(/([=;#\\\n])/g, '\\$1');
+    const lines = [';FFMETADATA1'];
+
+    for (const chapter of chapters) {
+        lines.push(
+            '[CHAPTER]',
+            'TIMEBASE=1/1000',
+            `START=${Math.round(chapter.start_time * 1000)}`,
+            `END=${Math.round(chapter.end_time * 1000)}`,
+            `title=${escape(chapter.title || '')}`
+        );
+    }
+
+    await fs.writeFile(filePath, `${lines.join('\n')}\n`);
+}
+
+/**
+ * Embed tags, chapters and cover art into a media file in place
+ * @param {string} filePath - Media file to tag
+ * @param {object} options - What to embed
+ * @param {object} options.tags - Tag name to value, see buildTags
+ * @param {Array} options.chapters - Chapters to embed, if any
+ * @param {string} options.thumbnailPath - JPEG cover image, if any
+ * @param {boolean} options.isAudio - Whether the file is audio only
+ * @param {AbortSignal} options.signal - Aborts ffmpeg
+ * @returns {Promise<object>} - What was embedded
+ */
+export async function embedMetadata(filePath, options = {}) {
+    const { tags = {}, chapters, thumbnailPath, isAudio = false, signal } = options;
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    const dir = path.dirname(filePath);
+    const stem = path.basename(filePath, `.${ext}`);
+    const taggedPath = path.join(dir, `${stem}.tagging.${ext}`);
+    const chapterPath = path.join(dir, `${stem}.chapters.txt`);
+
+    const withCover = Boolean(thumbnailPath) && COVER_FORMATS.includes(ext) && await fs.pathExists(thumbnailPath);
+    const withChapters = Array.isArray(chapters) && chapters.length > 0 && ext !== 'wav';
+
+    const inputs = ['-i', filePath];
+    const maps = [isAudio ? '0:a' : '0'];
+    let nextInput = 1;
+
+    if (withCover) {
+        inputs.push('-i', thumbnailPath);
+        maps.push(String(nextInput++));
+    }
+
+    const args = [...inputs];
+    if (withChapters) {
+        await writeChapterFile(chapters, chapterPath);
+        args.push('-f', 'ffmetadata', '-i', chapterPath);
+    }
+
+    maps.forEach(map => args.push('-map', map));
+    args.push('-map_metadata', '0');
+    if (withChapters) {
+        args.push('-map_chapters', String(nextInput));
+    }
+    args.push('-c', 'copy');
+
+    for (const [key, value] of Object.entries(tags)) {
+        args.push('-metadata', `${key}=${value}`);
+    }
+
+    if (withCover) {
+        if (ext === 'mp3') {
+            args.push('-id3v2_version', '3', '-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)');
+        } else {
+            // The cover is the stream after the source's own video stream, if any
+            args.push(`-disposition:v:${isAudio ? 0 : 1}`, 'attached_pic');
+        }
+    }
+
+    args.push(taggedPath);
+
+    try {
+        await runFfmpeg(args, { signal });
+        await fs.move(taggedPath, filePath, { overwrite: true });
+    } finally {
+        await fs.remove(taggedPath);
+        await fs.remove(chapterPath);
+    }
+
+    return {
+        tags: Object.keys(tags),
+        chapters: withChapters ? chapters.length : 0,
+        cover: withCover
+    };
+}
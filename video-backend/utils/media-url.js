@@ -0,0 +1,23 @@
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * Check that a value is an http or https URL before it is handed to yt-dlp,
+ * which would otherwise read values like "--exec" or local paths as options and files
+ * @param {*} url - Value to check
+ * @returns {string|null} - Error message or null if valid
+ */
+export function validateMediaUrl(url) {
+    if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) {
+        return `URL must be a string of at most ${MAX_URL_LENGTH} characters`;
+    }
+
+    try {
+        const { protocol } = new URL(url);
+        if (protocol !== 'http:' && protocol !== 'https:') {
+            return 'URL must use http or https';
+        }
+    } catch {
+        return 'URL is not valid';
+    }
+    return null;
+}
@@ -0,0 +1,188 @@
+import { FINISHED_STATUSES } from './task-manager.js';
+
+const THROUGHPUT_WINDOW = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Counts finished downloads, failures by reason, durations and served bytes
+ * since the server started. Batches are counted through their items.
+ */
+class Metrics {
+    /**
+     * @param {TaskManager} taskManager - Task manager whose updates are counted
+     */
+    constructor(taskManager) {
+        this.taskManager = taskManager;
+        this.startedAt = Date.now();
+        this.finished = Object.fromEntries(FINISHED_STATUSES.map(status => [status, 0]));
+        this.failures = {}; // Error code -> count
+        this.downloadTime = { count: 0, totalMs: 0 };
+        this.queueWait = { count: 0, totalMs: 0 };
+        this.served = { files: 0, bytes: 0 };
+        this.cacheHits = { cached: 0, coalesced: 0 }; // Requests answered by an existing or running download
+        this.completions = { download: 0, cache: 0 }; // Completed tasks by where their files came from
+        this.completedBytes = { download: 0, cache: 0 }; // Size of the files of completed tasks, by the same source
+        this.processingSince = new Map(); // Task ID -> when processing started
+        this.recentCompletions = []; // Completion timestamps within the throughput window
+
+        // Cache hits on a new request are created already completed
+        taskManager.on('created', task => this.recordUpdate(task, null));
+        taskManager.on('updated', (task, previousStatus) => this.recordUpdate(task, previousStatus));
+        taskManager.on('deleted', taskId => this.processingSince.delete(taskId));
+    }
+
+    /**
+     * Count a task's status change
+     * @param {object} task - Updated task
+     * @param {string|null} previousStatus - Status before the update, null for a new task
+     */
+    recordUpdate(task, previousStatus) {
+        if (task.type === 'batch' || task.status === previousStatus) {
+            return;
+        }
+
+        const now = Date.now();
+        if (task.status === 'processing') {
+            this.processingSince.set(task.taskId, now);
+            this.queueWait.count++;
+            this.queueWait.totalMs += Math.max(0, now - new Date(task.createdAt).getTime());
+            return;
+        }
+
+        if (!FINISHED_STATUSES.includes(task.status)) {
+            return;
+        }
+
+        this.finished[task.status]++;
+        const startedAt = this.processingSince.get(task.taskId);
+        this.processingSince.delete(task.taskId);
+
+        if (task.status === 'completed') {
+            // Tasks resumed after a restart have no start time
+            if (startedAt) {
+                this.downloadTime.count++;
+                this.downloadTime.totalMs += now - startedAt;
+            }
+            this.recentCompletions.push(now);
+
+            const source = task.cachedFrom ? 'cache' : 'download';
+            this.completions[source]++;
+            this.completedBytes[source] += (task.files || []).reduce((total, file) => total + (file.size || 0), 0);
+        } else if (task.status === 'failed' || task.status === 'interrupted') {
+            const reason = task.errorCode || 'unknown';
+            this.failures[reason] = (this.failures[reason] || 0) + 1;
+        }
+    }
+
+    /**
+     * Count a request that reused a download instead of starting one
+     * @param {string} kind - 'cached' for a finished download, 'coalesced' for a running one
+     */
+    recordCacheHit(kind) {
+        this.cacheHits[kind]++;
+    }
+
+    /**
+     * Count a file response
+     * @param {number} bytes - Bytes sent
+     */
+    recordServed(bytes) {
+        this.served.files++;
+        this.served.bytes += bytes;
+    }
+
+    /**
+     * Current statistics
+     * @returns {object} - Task counts, throughput, durations, failures and served bytes
+     */
+    getSnapshot() {
+        const now = Date.now();
+        this.recentCompletions = this.recentCompletions.filter(time => now - time < THROUGHPUT_WINDOW);
+
+        const uptimeSeconds = Math.round((now - this.startedAt) / 1000);
+        const { running, waiting, maxConcurrent } = this.taskManager.getQueueSnapshot();
+        const failedCount = Object.values(this.failures).reduce((sum, count) => sum + count, 0);
+        const attempted = this.finished.completed + failedCount;
+        const average = ({ count, totalMs }) => count > 0 ? Math.round(totalMs / count / 100) / 10 : null;
+
+        return {
+            uptimeSeconds,
+            tasks: {
+                ...this.taskManager.getStatistics(),
+                active: this.taskManager.getActiveTasksCount()
+            },
+            queue: {
+                running: running.length,
+                waiting: waiting.length,
+                maxConcurrent
+            },
+            finished: { ...this.finished },
+            completions: {
+                bySource: { ...this.completions },
+                bytesBySource: { ...this.completedBytes }
+            },
+            throughput: {
+                completedLastHour: this.recentCompletions.length,
+                completedPerHour: uptimeSeconds > 0
+                    ? Math.round(this.finished.completed / (uptimeSeconds / 3600) * 10) / 10
+                    : 0
+            },
+            durations: {
+                averageDownloadSeconds: average(this.downloadTime),
+                averageQueueWaitSeconds: average(this.queueWait)
+            },
+            failures: {
+                rate: attempted > 0 ? Math.round(failedCount / attempted * 1000) / 1000 : 0,
+                byReason: { ...this.failures }
+            },
+            served: { ...this.served },
+            cacheHits: { ...this.cacheHits }
+        };
+    }
+
+    /**
+     * Statistics in the Prometheus text exposition format
+     * @param {object} extra - Gauges to add, name -> value
+     * @returns {string} - Metrics text
+     */
+    toPrometheus(extra = {}) {
+        const snapshot = this.getSnapshot();
+        const lines = [];
+        // Samples are [suffix and labels, value]
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP video_backend_${name} ${help}`, `# TYPE video_backend_${name} ${type}`);
+            for (const [labels, value] of samples) {
+                lines.push(`video_backend_${name}${labels} ${value}`);
+            }
+        };
+        const labelled = (label, values) => Object.entries(values)
+            .map(([key, value]) => [`{${label}="${key}"}`, value]);
+
+        const { total, active, ...byStatus } = snapshot.tasks;
+        metric('uptime_seconds', 'gauge', 'Seconds since the server started', [['', snapshot.uptimeSeconds]]);
+        metric('tasks', 'gauge', 'Tasks in memory by status', labelled('status', byStatus));
+        metric('queue_running', 'gauge', 'Downloads being processed', [['', snapshot.queue.running]]);
+        metric('queue_waiting', 'gauge', 'Downloads waiting for a worker', [['', snapshot.queue.waiting]]);
+        metric('tasks_finished_total', 'counter', 'Downloads finished by outcome', labelled('status', snapshot.finished));
+        metric('tasks_completed_total', 'counter', 'Completed tasks by whether they downloaded or reused files', labelled('source', snapshot.completions.bySource));
+        metric('completed_bytes_total', 'counter', 'Size of the files of completed tasks', labelled('source', snapshot.completions.bytesBySource));
+        metric('task_failures_total', 'counter', 'Failed downloads by reason', labelled('reason', snapshot.failures.byReason));
+        metric('download_duration_seconds', 'summary', 'Processing time of completed downloads', [
+            ['_sum', this.downloadTime.totalMs / 1000],
+            ['_count', this.downloadTime.count]
+        ]);
+        metric('queue_wait_seconds', 'summary', 'Time downloads waited before processing started', [
+            ['_sum', this.queueWait.totalMs / 1000],
+            ['_count', this.queueWait.count]
+        ]);
+        metric('files_served_total', 'counter', 'File responses sent', [['', snapshot.served.files]]);
+        metric('bytes_served_total', 'counter', 'Bytes of files sent', [['', snapshot.served.bytes]]);
+        metric('cache_hits_total', 'counter', 'Download requests that reused an existing or running download', labelled('kind', snapshot.cacheHits));
+        for (const [name, { help, value }] of Object.entries(extra)) {
+            metric(name, 'gauge', help, [['', value]]);
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+export default Metrics;
@@ -0,0 +1,30 @@
+import path from 'path';
+
+// Content types for the files this service produces
+const MIME_TYPES = {
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    mkv: 'video/x-matroska',
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    opus: 'audio/ogg',
+    ogg: 'audio/ogg',
+    wav: 'audio/wav',
+    flac: 'audio/flac',
+    jpg: 'image/jpeg',
+    png: 'image/png',
+    srt: 'application/x-subrip',
+    vtt: 'text/vtt',
+    zip: 'application/zip',
+    json: 'application/json'
+};
+
+/**
+ * Look up the Content-Type for a file by its extension
+ * @param {string} filename - File name
+ * @returns {string} - MIME type, application/octet-stream if unknown
+ */
+export function mimeType(filename) {
+    const ext = path.extname(filename).slice(1).toLowerCase();
+    return MIME_TYPES[ext] || 'application/octet-stream';
+}
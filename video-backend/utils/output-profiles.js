@@ -0,0 +1,310 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { runFfmpeg } from './ffmpeg.js';
+
+export const CONTAINERS = ['mp4', 'mkv', 'webm'];
+export const VIDEO_CODECS = ['h264', 'vp9', 'av1'];
+export const AUDIO_CODECS = ['aac', 'opus'];
+
+// Codecs each container can hold without re-encoding
+const CONTAINER_CODECS = {
+    mp4: { video: ['h264', 'vp9', 'av1'], audio: ['aac', 'opus'] },
+    mkv: { video: ['h264', 'vp9', 'av1'], audio: ['aac', 'opus'] },
+    webm: { video: ['vp9', 'av1'], audio: ['opus'] }
+};
+
+// Codec used when the source doesn't fit the container and the profile names none
+const CONTAINER_DEFAULTS = {
+    mp4: { video: 'h264', audio: 'aac' },
+    mkv: { video: 'h264', audio: 'aac' },
+    webm: { video: 'vp9', audio: 'opus' }
+};
+
+// Start of yt-dlp's codec strings (avc1.640028, vp09.00.40.08, av01.0.08M.08, mp4a.40.2)
+const CODEC_PATTERNS = {
+    h264: 'avc1|h264',
+    vp9: 'vp0?9',
+    av1: 'av01',
+    aac: 'mp4a|aac',
+    opus: 'opus'
+};
+
+const ENCODERS = {
+    h264: ['-c:v', 'libx264', '-preset', 'medium', '-pix_fmt', 'yuv420p'],
+    vp9: ['-c:v', 'libvpx-vp9', '-row-mt', '1'],
+    av1: ['-c:v', 'libsvtav1', '-preset', '8'],
+    aac: ['-c:a', 'aac'],
+    opus: ['-c:a', 'libopus']
+};
+const DEFAULT_CRF = { h264: 23, vp9: 32, av1: 35 };
+const DEFAULT_AUDIO_BITRATE = { aac: 128, opus: 128 };
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+const PROFILE_FIELDS = ['label', 'container', 'videoCodec', 'maxHeight', 'maxFps', 'crf', 'videoBitrate', 'audioCodec', 'audioBitrate'];
+
+// Built-in profiles. The first three keep the source's video codec, as the plain quality names always did.
+export const DEFAULT_OUTPUT_PROFILES = {
+    '720p': { label: '720p (HD)', container: 'mp4', maxHeight: 720, audioCodec: 'aac' },
+    '1080p': { label: '1080p (Full HD)', container: 'mp4', maxHeight: 1080, audioCodec: 'aac' },
+    '4K': { label: '4K (Ultra HD)', container: 'mp4', maxHeight: 2160, audioCodec: 'aac' },
+    '480p-small': { label: '480p, small file (H.264)', container: 'mp4', videoCodec: 'h264', maxHeight: 480, maxFps: 30, crf: 28, audioCodec: 'aac', audioBitrate: 96 },
+    '1080p-h264': { label: '1080p, plays everywhere (H.264)', container: 'mp4', videoCodec: 'h264', maxHeight: 1080, audioCodec: 'aac', audioBitrate: 160 },
+    '1080p-webm': { label: '1080p WebM (VP9)', container: 'webm', videoCodec: 'vp9', maxHeight: 1080, audioCodec: 'opus', audioBitrate: 160 },
+    '4K-av1': { label: '4K MKV (AV1)', container: 'mkv', videoCodec: 'av1', maxHeight: 2160, audioCodec: 'opus', audioBitrate: 160 }
+};
+export const DEFAULT_OUTPUT_PROFILE = '720p';
+
+/**
+ * Check one profile definition
+ * @param {string} name - Profile name
+ * @param {object} profile - Profile settings
+ * @returns {string|null} - Error message or null if valid
+ */
+export function validateProfile(name, profile) {
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+        return `Profile name "${name}" may only contain letters, digits, ".", "_" and "-" (at most 32)`;
+    }
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return `Profile "${name}" must be an object`;
+    }
+
+    const unknown = Object.keys(profile).find(key => !PROFILE_FIELDS.includes(key));
+    if (unknown) {
+        return `Profile "${name}" has an unknown setting "${unknown}". Use: ${PROFILE_FIELDS.join(', ')}`;
+    }
+    if (!CONTAINERS.includes(profile.container)) {
+        return `Profile "${name}": container must be one of: ${CONTAINERS.join(', ')}`;
+    }
+    if (profile.videoCodec != null && !CONTAINER_CODECS[profile.container].video.includes(profile.videoCodec)) {
+        return `Profile "${name}": videoCodec must be one of: ${CONTAINER_CODECS[profile.container].video.join(', ')}`;
+    }
+    if (profile.audioCodec != null && !CONTAINER_CODECS[profile.container].audio.includes(profile.audioCodec)) {
+        return `Profile "${name}": audioCodec must be one of: ${CONTAINER_CODECS[profile.container].audio.join(', ')}`;
+    }
+    if (profile.label !== undefined && (typeof profile.label !== 'string' || profile.label.length > 100)) {
+        return `Profile "${name}": label must be a string of at most 100 characters`;
+    }
+
+    const limits = { maxHeight: [144, 4320], maxFps: [1, 120], crf: [0, 63], videoBitrate: [100, 100000], audioBitrate: [32, 512] };
+    for (const [field, [min, max]] of Object.entries(limits)) {
+        const value = profile[field];
+        if (value != null && (!Number.isInteger(value) || value < min || value > max)) {
+            return `Profile "${name}": ${field} must be a whole number from ${min} to ${max}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Load the output profiles: the built-in ones, changed by the JSON file at
+ * OUTPUT_PROFILES_PATH if set. The file maps names to profiles; null removes a built-in one.
+ * @param {string} filePath - Profile file, if any
+ * @returns {Promise<object>} - { profiles, defaultProfile }
+ */
+export async function loadOutputProfiles(filePath = process.env.OUTPUT_PROFILES_PATH) {
+    const profiles = { ...DEFAULT_OUTPUT_PROFILES };
+
+    if (filePath) {
+        const overrides = await fs.readJson(filePath);
+        for (const [name, profile] of Object.entries(overrides)) {
+            if (profile === null) {
+                delete profiles[name];
+                continue;
+            }
+            const error = validateProfile(name, profile);
+            if (error) {
+                throw new Error(`Invalid output profile in ${filePath}: ${error}`);
+            }
+            profiles[name] = profile;
+        }
+    }
+
+    const defaultProfile = process.env.DEFAULT_OUTPUT_PROFILE || DEFAULT_OUTPUT_PROFILE;
+    if (!profiles[defaultProfile]) {
+        throw new Error(`Default output profile "${defaultProfile}" does not exist`);
+    }
+
+    return { profiles, defaultProfile };
+}
+
+/**
+ * Profile settings with every field present, as stored on a task
+ * @param {object} profile - Profile settings
+ * @returns {object} - Resolved profile
+ */
+export function resolveProfile(profile) {
+    return {
+        container: profile.container,
+        videoCodec: profile.videoCodec ?? null,
+        maxHeight: profile.maxHeight ?? null,
+        maxFps: profile.maxFps ?? null,
+        crf: profile.crf ?? null,
+        videoBitrate: profile.videoBitrate ?? null,
+        audioCodec: profile.audioCodec ?? null,
+        audioBitrate: profile.audioBitrate ?? null
+    };
+}
+
+/**
+ * Profiles worth offering for a video: those whose height limit the video reaches,
+ * and those with the lowest limit, which always apply
+ * @param {object} profiles - Profile name to settings
+ * @param {number} sourceHeight - Largest height the video is available in, 0 if unknown
+ * @returns {Array} - Profile names
+ */
+export function availableProfiles(profiles, sourceHeight) {
+    const heights = Object.values(profiles).map(profile => profile.maxHeight).filter(Boolean);
+    const lowest = Math.min(...heights);
+
+    return Object.entries(profiles)
+        .filter(([, { maxHeight }]) => !sourceHeight || !maxHeight || maxHeight <= sourceHeight || maxHeight === lowest)
+        .map(([name]) => name);
+}
+
+/**
+ * Normalize a yt-dlp codec string
+ * @param {string} codec - Codec as reported by yt-dlp, e.g. avc1.640028
+ * @returns {string|null} - h264, vp9, av1, aac, opus or null for anything else
+ */
+export function normalizeCodec(codec) {
+    if (!codec || codec === 'none') {
+        return null;
+    }
+    const match = Object.entries(CODEC_PATTERNS)
+        .find(([, pattern]) => new RegExp(`^(${pattern})`, 'i').test(codec));
+    return match ? match[0] : null;
+}
+
+/**
+ * yt-dlp format selectors for a profile, tried in order when a format is unavailable:
+ * streams that need no re-encoding, then any codec within the limits, then anything
+ * @param {object} profile - Resolved profile
+ * @returns {Array} - Format selectors
+ */
+export function profileFormatSelectors(profile) {
+    const limits = `${profile.maxHeight ? `[height<=${profile.maxHeight}]` : ''}${profile.maxFps ? `[fps<=${profile.maxFps}]` : ''}`;
+    // No filter when any codec will do
+    const codecFilter = (field, codecs, all) => codecs.length === all.length
+        ? ''
+        : `[${field}~='^(${codecs.map(codec => CODEC_PATTERNS[codec]).join('|')})']`;
+
+    const allowed = CONTAINER_CODECS[profile.container];
+    const video = codecFilter('vcodec', profile.videoCodec ? [profile.videoCodec] : allowed.video, VIDEO_CODECS);
+    const audio = codecFilter('acodec', profile.audioCodec ? [profile.audioCodec] : allowed.audio, AUDIO_CODECS);
+
+    return [
+        `bestvideo${limits}${video}+bestaudio${audio}/bestvideo${limits}${video}+bestaudio`,
+        `bestvideo${limits}+bestaudio/best${limits}`,
+        'bestvideo+bestaudio/best'
+    ];
+}
+
+/**
+ * Decide what the re-encode stage has to do with a downloaded file
+ * @param {object} profile - Resolved profile
+ * @param {object} source - { container, vcodec, acodec, height, fps } of the download
+ * @returns {object|null} - { video, audio, scale, fps } where video and audio are "copy" or a codec, or null if the file already fits
+ */
+export function planTranscode(profile, source) {
+    const allowed = CONTAINER_CODECS[profile.container];
+    const defaults = CONTAINER_DEFAULTS[profile.container];
+    const vcodec = normalizeCodec(source.vcodec);
+    const acodec = normalizeCodec(source.acodec);
+
+    const scale = Boolean(profile.maxHeight) && (!source.height || source.height > profile.maxHeight);
+    const fps = Boolean(profile.maxFps) && source.fps > profile.maxFps;
+    // A codec yt-dlp didn't report is trusted unless the profile asks for a specific one
+    const fits = (codec, allowedCodecs, wanted) => codec
+        ? allowedCodecs.includes(codec) && (!wanted || codec === wanted)
+        : !wanted;
+    const videoFits = fits(vcodec, allowed.video, profile.videoCodec);
+    const audioFits = fits(acodec, allowed.audio, profile.audioCodec);
+
+    // A source height we couldn't read only matters when the video is re-encoded anyway
+    const video = videoFits && !fps && (!scale || !source.height)
+        ? 'copy'
+        : profile.videoCodec || (allowed.video.includes(vcodec) ? vcodec : defaults.video);
+    const audio = audioFits ? 'copy' : profile.audioCodec || defaults.audio;
+
+    if (video === 'copy' && audio === 'copy' && source.container === profile.container) {
+        return null;
+    }
+    return { video, audio, scale: video !== 'copy' && scale, fps: video !== 'copy' && fps };
+}
+
+/**
+ * Re-encode or remux a downloaded file to match its profile, replacing it
+ * @param {object} file - { filename, path, size } of the download
+ * @param {object} profile - Resolved profile
+ * @param {object} source - { vcodec, acodec, height, fps } from yt-dlp's metadata
+ * @param {object} options - Extra options
+ * @param {AbortSignal} options.signal - Aborts ffmpeg
+ * @returns {Promise<object>} - { filename, path, size, transcoded } of the resulting file
+ */
+export async function transcodeToProfile(file, profile, source = {}, options = {}) {
+    const ext = path.extname(file.path).slice(1).toLowerCase();
+    const plan = planTranscode(profile, { ...source, container: ext });
+    if (!plan) {
+        return { ...file, transcoded: null };
+    }
+
+    const dir = path.dirname(file.path);
+    const stem = path.basename(file.path, `.${ext}`);
+    const workPath = path.join(dir, `${stem}.transcoding.${profile.container}`);
+    const finalPath = path.join(dir, `${stem}.${profile.container}`);
+
+    const args = ['-i', file.path, '-map', '0:v:0', '-map', '0:a:0?'];
+
+    if (plan.video === 'copy') {
+        args.push('-c:v', 'copy');
+    } else {
+        args.push(...ENCODERS[plan.video]);
+        const filters = [];
+        if (plan.scale) {
+            filters.push(`scale=-2:'min(ih,${profile.maxHeight})'`);
+        }
+        if (plan.fps) {
+            filters.push(`fps=${profile.maxFps}`);
+        }
+        if (filters.length > 0) {
+            args.push('-vf', filters.join(','));
+        }
+        if (profile.videoBitrate) {
+            args.push('-b:v', `${profile.videoBitrate}k`);
+        } else {
+            // VP9 only runs in constant quality mode with the bitrate set to 0
+            args.push('-crf', String(profile.crf ?? DEFAULT_CRF[plan.video]), ...(plan.video === 'vp9' ? ['-b:v', '0'] : []));
+        }
+    }
+
+    if (plan.audio === 'copy') {
+        args.push('-c:a', 'copy');
+    } else {
+        args.push(...ENCODERS[plan.audio], '-b:a', `${profile.audioBitrate || DEFAULT_AUDIO_BITRATE[plan.audio]}k`);
+    }
+
+    if (profile.container === 'mp4') {
+        args.push('-movflags', '+faststart');
+    }
+    args.push(workPath);
+
+    try {
+        await runFfmpeg(args, { signal: options.signal });
+        await fs.move(workPath, finalPath, { overwrite: true });
+        if (finalPath !== file.path) {
+            await fs.remove(file.path);
+        }
+    } finally {
+        await fs.remove(workPath);
+    }
+
+    const stats = await fs.stat(finalPath);
+    return {
+        ...file,
+        filename: path.basename(finalPath),
+        path: finalPath,
+        size: stats.size,
+        transcoded: { video: plan.video, audio: plan.audio }
+    };
+}
@@ -0,0 +1,37 @@
+/**
+ * Filter playlist entries by 1-based indices. Indices past the end of the playlist are ignored.
+ * @param {Array} entries - Playlist entries, each with its 1-based index
+ * @param {Array|string} items - Indices as an array ([1, 2, 8]) or a range string ("1-5,8"), empty for all
+ * @returns {Array} - Selected entries in playlist order
+ * @throws {Error} - If the selection is malformed, contains 0 or a reversed range
+ */
+export function selectPlaylistItems(entries, items) {
+    if (items === undefined || items === null || items === '') {
+        return entries;
+    }
+
+    const indices = new Set();
+    const parts = Array.isArray(items) ? items.map(String) : String(items).split(',');
+
+    for (const part of parts) {
+        const match = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid item selection "${part}", use indices like 1-5,8`);
+        }
+
+        const start = parseInt(match[1], 10);
+        const end = match[2] ? parseInt(match[2], 10) : start;
+        if (start === 0) {
+            throw new Error(`Invalid item selection "${part.trim()}", indices start at 1`);
+        }
+        if (end < start) {
+            throw new Error(`Invalid item selection "${part.trim()}", the range ends before it starts`);
+        }
+
+        for (let index = start; index <= Math.min(end, entries.length); index++) {
+            indices.add(index);
+        }
+    }
+
+    return entries.filter(entry => indices.has(entry.index));
+}
@@ -0,0 +1,38 @@
+/**
+ * Sliding window request counter per client
+ */
+class RateLimiter {
+    /**
+     * @param {number} windowMs - Window length in milliseconds
+     */
+    constructor(windowMs = 60 * 1000) {
+        this.windowMs = windowMs;
+        this.hits = new Map(); // Client ID -> request timestamps within the window
+    }
+
+    /**
+     * Count a request if the client is under its limit
+     * @param {string} clientId - Client ID
+     * @param {number} limit - Requests allowed per window, 0 for unlimited
+     * @returns {number} - 0 if allowed, otherwise seconds until a request is allowed again
+     */
+    take(clientId, limit) {
+        if (!limit) {
+            return 0;
+        }
+
+        const now = Date.now();
+        const recent = (this.hits.get(clientId) || []).filter(time => now - time < this.windowMs);
+
+        if (recent.length >= limit) {
+            this.hits.set(clientId, recent);
+            return Math.max(1, Math.ceil((recent[0] + this.windowMs - now) / 1000));
+        }
+
+        recent.push(now);
+        this.hits.set(clientId, recent);
+        return 0;
+    }
+}
+
+export default RateLimiter;
@@ -0,0 +1,165 @@
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { taskFilenames } from './task-manager.js';
+
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com'];
+const PATH_PREFIXES = ['shorts', 'embed', 'live', 'v', 'e'];
+
+// Task fields a cached or coalesced task takes over from the task that did the download
+const RESULT_FIELDS = ['title', 'videoId', 'filename', 'downloadUrl', 'files', 'transcoded', 'subtitleError', 'taggingError', 'chapterError', 'result'];
+const MIRRORED_FIELDS = [
+    ...RESULT_FIELDS,
+    'status', 'stage', 'progress', 'speed', 'eta', 'downloadedBytes', 'totalBytes',
+    'retryAt', 'retryReason', 'error', 'errorCode', 'errorDetail'
+];
+
+/**
+ * Extract the YouTube video ID from the URL forms that point at one video
+ * (watch?v=, youtu.be/, /shorts/, /embed/, /live/, music.youtube.com)
+ * @param {string} url - Video URL
+ * @returns {string|null} - 11 character video ID or null for other URLs
+ */
+export function extractVideoId(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+
+    const host = parsed.hostname.toLowerCase();
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    let id = null;
+
+    if (host === 'youtu.be' || host === 'www.youtu.be') {
+        id = segments[0];
+    } else if (YOUTUBE_HOSTS.includes(host)) {
+        if (segments[0] === 'watch') {
+            id = parsed.searchParams.get('v');
+        } else if (PATH_PREFIXES.includes(segments[0])) {
+            id = segments[1];
+        }
+    }
+
+    return id && VIDEO_ID_PATTERN.test(id) ? id : null;
+}
+
+/**
+ * Key identifying a download's output: the video plus every option that changes the files.
+ * Priority and owner don't count.
+ * @param {string} url - Video URL
+ * @param {object} media - Download options as stored on the task
+ * @returns {string|null} - Cache key or null if the URL isn't a single YouTube video
+ */
+export function resultCacheKey(url, media) {
+    const videoId = extractVideoId(url);
+    if (!videoId) {
+        return null;
+    }
+
+    const options = {
+        type: media.type,
+        quality: media.type === 'video' ? media.quality : undefined,
+        outputProfile: media.type === 'video' ? media.outputProfile : undefined,
+        format: media.type === 'audio' ? media.format : undefined,
+        bitrate: media.type === 'audio' ? media.bitrate : undefined,
+        filenameTemplate: media.filenameTemplate,
+        embed: media.embed,
+        tags: Object.entries(media.tags || {}).sort(([a], [b]) => a.localeCompare(b)),
+        ranges: media.ranges || null,
+        accurateCuts: media.ranges ? Boolean(media.accurateCuts) : undefined,
+        subtitles: media.subtitles || null,
+        splitChapters: media.splitChapters || undefined
+    };
+    const hash = crypto.createHash('sha256').update(JSON.stringify(options)).digest('hex').slice(0, 16);
+    return `${videoId}:${hash}`;
+}
+
+/**
+ * Finds completed downloads to reuse and running downloads to join
+ */
+class ResultCache {
+    /**
+     * @param {TaskManager} taskManager - Task manager holding the downloads
+     * @param {string} downloadsDir - Directory of downloaded files
+     */
+    constructor(taskManager, downloadsDir) {
+        this.taskManager = taskManager;
+        this.downloadsDir = downloadsDir;
+    }
+
+    /**
+     * Find the newest completed download with this key whose files are all still there
+     * @param {string} cacheKey - Key from resultCacheKey()
+     * @param {string} excludeTaskId - Task to ignore, usually the one looking
+     * @returns {Promise<object|null>} - Completed task or null
+     */
+    async findCompleted(cacheKey, excludeTaskId = null) {
+        const candidates = this.taskManager.getAllTasks()
+            .filter(task => task.cacheKey === cacheKey && task.taskId !== excludeTaskId)
+            .filter(task => task.status === 'completed' && !task.error)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+        for (const task of candidates) {
+            const filenames = taskFilenames(task);
+            const expected = Array.isArray(task.files) ? task.files.length : 1;
+            if (filenames.length === 0 || filenames.length < expected) {
+                continue;
+            }
+
+            const present = await Promise.all(filenames.map(filename => fs.pathExists(path.join(this.downloadsDir, filename))));
+            if (present.every(Boolean)) {
+                return task;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find a queued or running download with this key that other requests can join
+     * @param {string} cacheKey - Key from resultCacheKey()
+     * @returns {object|null} - Task doing the download or null
+     */
+    findInFlight(cacheKey) {
+        return this.taskManager.getAllTasks()
+            .find(task => task.cacheKey === cacheKey && !task.coalescedWith
+                && (task.status === 'pending' || task.status === 'processing')) || null;
+    }
+
+    /**
+     * Tasks that joined a download and haven't finished
+     * @param {string} taskId - Task doing the download
+     * @returns {Array} - Joined tasks
+     */
+    getFollowers(taskId) {
+        return this.taskManager.getAllTasks()
+            .filter(task => task.coalescedWith === taskId)
+            .filter(task => task.status === 'pending' || task.status === 'processing');
+    }
+}
+
+/**
+ * Result fields of a completed download, for a task that reuses it
+ * @param {object} task - Completed task
+ * @returns {object} - Fields to copy
+ */
+export function cachedResult(task) {
+    return pick(task, RESULT_FIELDS);
+}
+
+/**
+ * Progress and result fields of a download, for the tasks that joined it
+ * @param {object} task - Task doing the download
+ * @returns {object} - Fields to copy
+ */
+export function mirroredState(task) {
+    return pick(task, MIRRORED_FIELDS);
+}
+
+function pick(task, fields) {
+    return Object.fromEntries(fields.filter(field => task[field] !== undefined).map(field => [field, task[field]]));
+}
+
+export default ResultCache;
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+
+// Without a configured secret, links stop working when the server restarts
+const SECRET = process.env.DOWNLOAD_URL_SECRET || crypto.randomBytes(32).toString('hex');
+
+export const DOWNLOAD_URL_TTL = parseInt(process.env.DOWNLOAD_URL_TTL, 10) || 60 * 60; // Seconds
+
+/**
+ * Compute the signature for a file and expiry time
+ * @param {string} filename - Downloaded file name
+ * @param {number} expires - Expiry as Unix time in seconds
+ * @returns {string} - Hex HMAC-SHA256
+ */
+function sign(filename, expires) {
+    return crypto.createHmac('sha256', SECRET)
+        .update(`${filename}\n${expires}`)
+        .digest('hex');
+}
+
+/**
+ * Build a download link that works without the API key until it expires
+ * @param {string} filename - Downloaded file name
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {object} - { url, expiresAt }
+ */
+export function createSignedUrl(filename, ttl = DOWNLOAD_URL_TTL) {
+    return signedLink(filename, `/files/${encodeURIComponent(filename)}`, ttl);
+}
+
+/**
+ * Build a link to a task's ZIP bundle that works without the API key until it expires
+ * @param {string} taskId - Task whose files are bundled
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {object} - { url, expiresAt }
+ */
+export function createSignedBundleUrl(taskId, ttl = DOWNLOAD_URL_TTL) {
+    return signedLink(bundleResource(taskId), `/files/bundle/${encodeURIComponent(taskId)}`, ttl);
+}
+
+/**
+ * Sign a path for a resource
+ * @param {string} resource - What the signature grants access to
+ * @param {string} pathname - Path the link points to
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {object} - { url, expiresAt }
+ */
+function signedLink(resource, pathname, ttl) {
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    return {
+        url: `${pathname}?expires=${expires}&signature=${sign(resource, expires)}`,
+        expiresAt: new Date(expires * 1000).toISOString()
+    };
+}
+
+/**
+ * What a bundle link signs. Filenames never contain a slash, so a file's signature can't open a bundle.
+ * @param {string} taskId - Task whose files are bundled
+ * @returns {string} - Signed resource name
+ */
+function bundleResource(taskId) {
+    return `bundle/${taskId}`;
+}
+
+/**
+ * Check a signed link
+ * @param {string} filename - Requested file name
+ * @param {string} expires - expires query parameter
+ * @param {string} signature - signature query parameter
+ * @returns {string|null} - Error message or null if the link is valid
+ */
+export function verifySignedUrl(filename, expires, signature) {
+    if (!/^\d+$/.test(expires || '') || !/^[0-9a-f]{64}$/.test(signature || '')) {
+        return 'Missing or malformed signature';
+    }
+
+    const expected = Buffer.from(sign(filename, expires), 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+        return 'Invalid signature';
+    }
+
+    if (parseInt(expires, 10) * 1000 < Date.now()) {
+        return 'Download link has expired';
+    }
+
+    return null;
+}
+
+/**
+ * Check a signed bundle link
+ * @param {string} taskId - Requested task
+ * @param {string} expires - expires query parameter
+ * @param {string} signature - signature query parameter
+ * @returns {string|null} - Error message or null if the link is valid
+ */
+export function verifySignedBundleUrl(taskId, expires, signature) {
+    return verifySignedUrl(bundleResource(taskId), expires, signature);
+}
@@ -0,0 +1,26 @@
+/**
+ * Prepare a response for Server-Sent Events
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {function} - send(event, data) writes one event to the stream
+ */
+export function openEventStream(req, res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+    res.flushHeaders();
+
+    // Comment lines keep idle connections from being dropped by proxies
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+    }, 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+    });
+
+    return (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
@@ -0,0 +1,237 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { statfs } from 'fs/promises';
+
+// Partial downloads and intermediate files of yt-dlp, ffmpeg, the media tagger, transcoder and subtitle embedder
+const TEMP_FILE_PATTERN = /\.(part|ytdl)$|\.part-Frag\d+|\.(temp|tagging|transcoding|subtitling)\.|\.info\.json$|\.chapters\.txt$/;
+
+const MB = 1024 * 1024;
+
+/**
+ * Keeps the downloads directory within its limits. Each sweep runs the retention
+ * policy, removes files no task refers to and evicts the least recently used files
+ * while the directory is over its size limit. New jobs are refused while free disk
+ * space is below the threshold.
+ */
+class StorageManager {
+    constructor(options = {}) {
+        this.downloadsDir = options.downloadsDir;
+        this.retention = options.retention;
+        this.isOwned = options.isOwned || (() => true);
+        this.isInUse = options.isInUse || (() => false); // Files of running downloads, never removed
+        this.maxTotalBytes = options.maxTotalBytes
+            ?? (parseFloat(process.env.STORAGE_MAX_MB) || 0) * MB; // 0 = unlimited
+        this.minFreeBytes = options.minFreeBytes
+            ?? (process.env.STORAGE_MIN_FREE_MB !== undefined
+                ? parseFloat(process.env.STORAGE_MIN_FREE_MB) || 0 // 0 = no check
+                : 500) * MB;
+        this.sweepInterval = (parseFloat(process.env.STORAGE_SWEEP_MINUTES) || 15) * 60 * 1000;
+        this.orphanGracePeriod = 60 * 60 * 1000; // Leaves running downloads and resumable .part files alone
+        this.lastAccess = new Map(); // Filename -> time of the last download request
+        this.lastSweep = null;
+        this.sweeping = null;
+        this.sweepTimer = null;
+    }
+
+    /**
+     * Sweep now and then once per sweep interval
+     */
+    start() {
+        this.sweep();
+        this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+    }
+
+    /**
+     * Stop the periodic sweep
+     */
+    stop() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+    }
+
+    /**
+     * Note that a file was requested, which makes it the last candidate for eviction
+     * @param {string} filename - Requested file
+     */
+    recordAccess(filename) {
+        this.lastAccess.set(filename, Date.now());
+    }
+
+    /**
+     * Apply retention, orphan removal and the size limit. Concurrent calls share one sweep.
+     * @returns {Promise<object>} - What the sweep removed
+     */
+    sweep() {
+        if (!this.sweeping) {
+            this.sweeping = this.runSweep().finally(() => {
+                this.sweeping = null;
+            });
+        }
+        return this.sweeping;
+    }
+
+    async runSweep() {
+        const startedAt = new Date().toISOString();
+        const result = { expired: 0, orphaned: 0, evicted: 0, freedBytes: 0 };
+
+        try {
+            result.expired = await this.retention.sweep();
+
+            const now = Date.now();
+            let files = await this.listFiles();
+
+            for (const file of files) {
+                if (!file.owned && !file.inUse && now - file.modifiedAt > this.orphanGracePeriod) {
+                    await this.removeFile(file, 'orphaned');
+                    result.orphaned++;
+                    result.freedBytes += file.size;
+                }
+            }
+            files = files.filter(file => file.owned || file.inUse || now - file.modifiedAt <= this.orphanGracePeriod);
+
+            if (this.maxTotalBytes > 0) {
+                let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+                const candidates = files
+                    .filter(file => file.owned && !file.inUse)
+                    .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+
+                for (const file of candidates) {
+                    if (totalBytes <= this.maxTotalBytes) {
+                        break;
+                    }
+                    await this.removeFile(file, 'storage limit reached');
+                    totalBytes -= file.size;
+                    result.evicted++;
+                    result.freedBytes += file.size;
+                }
+            }
+        } catch (error) {
+            console.error('Error managing storage:', error);
+            result.error = error.message;
+        }
+
+        this.lastSweep = { startedAt, finishedAt: new Date().toISOString(), ...result };
+        return this.lastSweep;
+    }
+
+    /**
+     * Remove a file through the retention policy, so its task is updated
+     * @param {object} file - Entry from listFiles()
+     * @param {string} reason - Why the file is removed, for logging
+     */
+    async removeFile(file, reason) {
+        this.lastAccess.delete(file.filename);
+        await this.retention.remove(file.filename, reason);
+    }
+
+    /**
+     * Describe the files in the downloads directory
+     * @returns {Promise<Array>} - { filename, size, modifiedAt, lastUsedAt, owned, inUse, temporary }
+     */
+    async listFiles() {
+        const files = [];
+        for (const filename of await fs.readdir(this.downloadsDir)) {
+            try {
+                const stats = await fs.stat(path.join(this.downloadsDir, filename));
+                if (!stats.isFile()) {
+                    continue;
+                }
+
+                // ctime tracks when we wrote or renamed the file, mtime may be the upload date
+                const modifiedAt = Math.max(stats.mtimeMs, stats.ctimeMs);
+                files.push({
+                    filename,
+                    size: stats.size,
+                    modifiedAt,
+                    lastUsedAt: Math.max(modifiedAt, this.lastAccess.get(filename) || 0),
+                    owned: this.isOwned(filename),
+                    inUse: this.isInUse(filename),
+                    temporary: TEMP_FILE_PATTERN.test(filename)
+                });
+            } catch (error) {
+                // Removed while listing
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Free and total space of the file system holding the downloads directory
+     * @returns {Promise<object|null>} - { freeBytes, totalBytes } or null if unavailable
+     */
+    async getDiskSpace() {
+        try {
+            const stats = await statfs(this.downloadsDir);
+            return {
+                freeBytes: stats.bavail * stats.bsize,
+                totalBytes: stats.blocks * stats.bsize
+            };
+        } catch (error) {
+            console.error('Failed to read disk space:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether there is enough free disk space to start a download
+     * @returns {Promise<string|null>} - Error message or null if downloads can start
+     */
+    async checkFreeSpace() {
+        if (this.minFreeBytes <= 0) {
+            return null;
+        }
+
+        const disk = await this.getDiskSpace();
+        if (disk && disk.freeBytes < this.minFreeBytes) {
+            return `Only ${Math.round(disk.freeBytes / MB)} MB of disk space is left on the server, ` +
+                `downloads start again once ${Math.round(this.minFreeBytes / MB)} MB are free`;
+        }
+        return null;
+    }
+
+    /**
+     * Summarize disk usage, limits and the last sweep
+     * @returns {Promise<object>} - Usage report
+     */
+    async getUsage() {
+        const files = await this.listFiles();
+        const disk = await this.getDiskSpace();
+        const sum = list => list.reduce((total, file) => total + file.size, 0);
+        const temporary = files.filter(file => file.temporary);
+        const orphaned = files.filter(file => !file.owned && !file.inUse && !file.temporary);
+
+        return {
+            totalBytes: sum(files),
+            fileCount: files.length,
+            temporaryBytes: sum(temporary),
+            temporaryFileCount: temporary.length,
+            orphanedBytes: sum(orphaned),
+            orphanedFileCount: orphaned.length,
+            disk,
+            acceptingDownloads: !disk || this.minFreeBytes <= 0 || disk.freeBytes >= this.minFreeBytes,
+            limits: {
+                maxTotalBytes: this.maxTotalBytes,
+                minFreeBytes: this.minFreeBytes,
+                maxAgeHours: this.retention.maxAgeHours,
+                maxDownloads: this.retention.maxDownloads,
+                sweepIntervalMinutes: this.sweepInterval / 60000
+            },
+            // Next files to go when the size limit is reached
+            leastRecentlyUsed: files
+                .filter(file => file.owned && !file.inUse)
+                .sort((a, b) => a.lastUsedAt - b.lastUsedAt)
+                .slice(0, 10)
+                .map(file => ({
+                    filename: file.filename,
+                    size: file.size,
+                    lastUsedAt: new Date(file.lastUsedAt).toISOString()
+                })),
+            lastSweep: this.lastSweep
+        };
+    }
+}
+
+export default StorageManager;
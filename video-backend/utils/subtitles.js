@@ -0,0 +1,148 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { runFfmpeg } from './ffmpeg.js';
+
+export const SUBTITLE_FORMATS = ['srt', 'vtt'];
+export const MAX_SUBTITLE_LANGUAGES = 10;
+
+// YouTube language codes: en, de, pt-BR, zh-Hans, en-orig
+const LANGUAGE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8}){0,2}$/;
+
+// Subtitle codec when embedding into each container; MKV takes SRT and WebVTT as they are
+const EMBED_CODECS = {
+    mp4: 'mov_text',
+    mkv: 'copy',
+    webm: 'webvtt'
+};
+
+/**
+ * Check the subtitle options of a download request
+ * @param {object} subtitles - { languages, manual, automatic, format, embed }
+ * @returns {string|null} - Error message or null if valid
+ */
+export function validateSubtitleOptions(subtitles) {
+    if (subtitles === undefined || subtitles === null) {
+        return null;
+    }
+
+    if (typeof subtitles !== 'object' || Array.isArray(subtitles)) {
+        return 'Subtitles must be an object';
+    }
+
+    const { languages, manual = true, automatic = false, format = 'srt', embed = false } = subtitles;
+
+    if (!Array.isArray(languages) || languages.length === 0 || languages.length > MAX_SUBTITLE_LANGUAGES) {
+        return `languages must be a list of 1 to ${MAX_SUBTITLE_LANGUAGES} language codes`;
+    }
+    const invalid = languages.find(language => typeof language !== 'string' || !LANGUAGE_PATTERN.test(language));
+    if (invalid !== undefined) {
+        return `"${invalid}" is not a language code like en, de or pt-BR`;
+    }
+
+    for (const [field, value] of Object.entries({ manual, automatic, embed })) {
+        if (typeof value !== 'boolean') {
+            return `${field} must be true or false`;
+        }
+    }
+    if (!manual && !automatic) {
+        return 'Enable manual or automatic subtitles, or both';
+    }
+
+    if (!SUBTITLE_FORMATS.includes(format)) {
+        return `format must be one of: ${SUBTITLE_FORMATS.join(', ')}`;
+    }
+
+    return null;
+}
+
+/**
+ * Subtitle options with defaults filled in, as stored on the task
+ * @param {object} subtitles - Validated subtitle options
+ * @returns {object} - { languages, manual, automatic, format, embed }
+ */
+export function normalizeSubtitleOptions(subtitles) {
+    return {
+        languages: [...new Set(subtitles.languages)],
+        manual: subtitles.manual ?? true,
+        automatic: subtitles.automatic ?? false,
+        format: subtitles.format || 'srt',
+        embed: subtitles.embed ?? false
+    };
+}
+
+/**
+ * yt-dlp arguments that write the requested subtitles next to the output
+ * @param {object} subtitles - Normalized subtitle options, if any
+ * @returns {Array} - yt-dlp arguments
+ */
+export function subtitleArgs(subtitles) {
+    if (!subtitles) {
+        return [];
+    }
+
+    // With both kinds yt-dlp takes the manual subtitles where a language has them
+    return [
+        ...(subtitles.manual ? ['--write-subs'] : []),
+        ...(subtitles.automatic ? ['--write-auto-subs'] : []),
+        '--sub-langs', subtitles.languages.join(','),
+        '--sub-format', `${subtitles.format}/best`,
+        '--convert-subs', subtitles.format
+    ];
+}
+
+/**
+ * Subtitle languages a video offers, from yt-dlp's video info
+ * @param {object} info - yt-dlp --dump-json output
+ * @returns {object} - { manual, automatic }, each a list of { language, name }
+ */
+export function listSubtitleLanguages(info) {
+    const list = (tracks = {}) => Object.entries(tracks)
+        .filter(([language]) => language !== 'live_chat')
+        .map(([language, formats]) => ({
+            language,
+            name: formats?.[0]?.name || language
+        }));
+
+    return {
+        manual: list(info.subtitles),
+        automatic: list(info.automatic_captions)
+    };
+}
+
+/**
+ * Add subtitle files as soft subtitle tracks to a video in place
+ * @param {string} filePath - Video file
+ * @param {Array} subtitleFiles - { path, language, automatic } of each track
+ * @param {object} options - Extra options
+ * @param {AbortSignal} options.signal - Aborts ffmpeg
+ */
+export async function embedSubtitles(filePath, subtitleFiles, options = {}) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    const stem = path.basename(filePath, `.${ext}`);
+    const embeddedPath = path.join(path.dirname(filePath), `${stem}.subtitling.${ext}`);
+    const codec = EMBED_CODECS[ext];
+    if (!codec) {
+        throw new Error(`Subtitles can't be embedded into .${ext} files`);
+    }
+
+    const args = ['-i', filePath];
+    subtitleFiles.forEach(file => args.push('-i', file.path));
+    args.push('-map', '0:v', '-map', '0:a?');
+    subtitleFiles.forEach((file, index) => args.push('-map', String(index + 1)));
+    args.push('-c', 'copy', '-c:s', codec);
+
+    subtitleFiles.forEach((file, index) => {
+        args.push(
+            `-metadata:s:s:${index}`, `language=${file.language}`,
+            `-metadata:s:s:${index}`, `title=${file.language}${file.automatic ? ' (auto-generated)' : ''}`
+        );
+    });
+    args.push(embeddedPath);
+
+    try {
+        await runFfmpeg(args, { signal: options.signal });
+        await fs.move(embeddedPath, filePath, { overwrite: true });
+    } finally {
+        await fs.remove(embeddedPath);
+    }
+}
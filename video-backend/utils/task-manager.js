@@ -1,10 +1,62 @@
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
+import path from 'path';
+import fs from 'fs-extra';
+import { MemoryTaskStore } from './task-store.js';
+
+// Queue priorities, higher weight runs first
+export const TASK_PRIORITIES = {
+    high: 2,
+    normal: 1,
+    low: 0
+};
+
+// Statuses a task never leaves once reached
+export const FINISHED_STATUSES = ['completed', 'failed', 'interrupted', 'cancelled'];
+
+/**
+ * Names of the files a finished task produced that are still kept
+ * @param {object} task - Task
+ * @returns {Array} - File names
+ */
+export function taskFilenames(task) {
+    if (Array.isArray(task.files)) {
+        return task.files.filter(file => !file.expired).map(file => file.filename);
+    }
+    return task.filename ? [task.filename] : [];
+}
+
+/**
+ * Emits 'created' (task), 'updated' (task, previousStatus) and 'deleted' (taskId, task)
+ */
+class TaskManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.setMaxListeners(0); // One listener per open event stream
 
-class TaskManager {
-    constructor() {
         this.tasks = new Map();
         this.maxTasks = 100; // Maximum number of tasks to keep in memory
         this.cleanupInterval = 60 * 60 * 1000; // 1 hour
+
+        // Worker pool state
+        this.maxConcurrent = options.maxConcurrent
+            || parseInt(process.env.MAX_CONCURRENT_DOWNLOADS, 10)
+            || 2;
+        this.queue = []; // Task IDs waiting for a free worker
+        this.workers = new Map(); // Task ID -> worker function
+        this.running = new Set(); // Task IDs currently being processed
+        this.controllers = new Map(); // Task ID -> AbortController of running worker
+
+        // Persistence
+        this.store = options.store || new MemoryTaskStore();
+        this.downloadsDir = options.downloadsDir || null;
+        this.resumeInterrupted = options.resumeInterrupted
+            ?? process.env.RESUME_INTERRUPTED_TASKS !== 'false';
+        // Unreferenced files younger than the file retention period are kept at startup
+        this.orphanMaxAgeHours = options.orphanMaxAgeHours
+            ?? (parseFloat(process.env.FILE_RETENTION_HOURS) || 24);
+        this.saveDelay = 1000; // Coalesce bursts of progress updates into one write
+        this.saveTimer = null;
         
         // Start cleanup timer
         this.startCleanupTimer();
@@ -19,6 +71,7 @@ class TaskManager {
         const taskId = uuidv4();
         const task = {
             taskId,
+            priority: 'normal',
             ...taskData,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
@@ -26,6 +79,8 @@ class TaskManager {
 
         this.tasks.set(taskId, task);
         this.cleanupOldTasks();
+        this.scheduleSave();
+        this.emit('created', task);
         
         console.log(`Created task ${taskId}: ${taskData.type} - ${taskData.url}`);
         return taskId;
@@ -59,6 +114,12 @@ class TaskManager {
         };
 
         this.tasks.set(taskId, updatedTask);
+        this.scheduleSave();
+        this.emit('updated', updatedTask, task.status);
+
+        if (updatedTask.parentId) {
+            this.refreshBatch(updatedTask.parentId);
+        }
         
         console.log(`Updated task ${taskId}: status=${updatedTask.status}, progress=${updatedTask.progress}%`);
         return true;
@@ -70,8 +131,12 @@ class TaskManager {
      * @returns {boolean} - Success status
      */
     deleteTask(taskId) {
+        this.removeFromQueue(taskId);
+        const task = this.tasks.get(taskId);
         const deleted = this.tasks.delete(taskId);
         if (deleted) {
+            this.scheduleSave();
+            this.emit('deleted', taskId, task);
             console.log(`Deleted task ${taskId}`);
         }
         return deleted;
@@ -95,29 +160,64 @@ class TaskManager {
     }
 
     /**
-     * Get recent results (completed and failed tasks)
+     * Get recent results (finished tasks) with the settings they were requested with.
+     * Playlist items are left out, they are listed in their batch.
      * @param {number} limit - Maximum number of results to return
+     * @param {string} ownerId - Only return tasks of this API key, all tasks if omitted
      * @returns {Array} - Array of recent results
      */
-    getRecentResults(limit = 20) {
+    getRecentResults(limit = 20, ownerId = null) {
         const results = Array.from(this.tasks.values())
-            .filter(task => task.status === 'completed' || task.status === 'failed')
+            .filter(task => FINISHED_STATUSES.includes(task.status) && !task.parentId)
+            .filter(task => !ownerId || task.ownerId === ownerId)
             .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
             .slice(0, limit);
 
         return results.map(task => ({
             taskId: task.taskId,
+            type: task.type,
             status: task.status,
             url: task.url,
+            title: task.title,
             quality: task.quality,
+            outputProfile: task.outputProfile,
+            format: task.format,
+            bitrate: task.bitrate,
+            priority: task.priority,
+            filenameTemplate: task.filenameTemplate,
+            embed: task.embed,
+            tags: task.tags,
+            subtitles: task.subtitles,
+            ranges: task.ranges,
+            accurateCuts: task.accurateCuts,
+            splitChapters: task.splitChapters,
             filename: task.filename,
+            files: task.files,
             downloadUrl: task.downloadUrl,
+            totalCount: task.totalCount,
+            completedCount: task.completedCount,
+            failedCount: task.failedCount,
             error: task.error,
+            errorCode: task.errorCode,
             createdAt: task.createdAt,
             updatedAt: task.updatedAt
         }));
     }
 
+    /**
+     * Finished tasks that can be removed from the results, with their playlist items
+     * @param {string} taskId - Task ID
+     * @returns {Array} - The task and its children, empty if the task is still running
+     */
+    getRemovableTasks(taskId) {
+        const task = this.tasks.get(taskId);
+        if (!task || !FINISHED_STATUSES.includes(task.status)) {
+            return [];
+        }
+
+        return task.type === 'batch' ? [task, ...this.getBatchChildren(taskId)] : [task];
+    }
+
     /**
      * Get task statistics
      * @returns {object} - Task statistics
@@ -129,7 +229,9 @@ class TaskManager {
             pending: 0,
             processing: 0,
             completed: 0,
-            failed: 0
+            failed: 0,
+            interrupted: 0,
+            cancelled: 0
         };
 
         tasks.forEach(task => {
@@ -142,22 +244,50 @@ class TaskManager {
     }
 
     /**
-     * Clean up old tasks to prevent memory leaks
+     * Clean up old tasks to prevent memory leaks.
+     * Batches are evicted together with their playlist items, and only once every item has finished.
      */
     cleanupOldTasks() {
         if (this.tasks.size <= this.maxTasks) {
             return;
         }
 
-        const tasks = Array.from(this.tasks.values())
+        // Never evict tasks that are still queued, running or waiting on children
+        const candidates = this.getEvictableTasks()
             .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
 
-        const tasksToRemove = tasks.slice(0, this.tasks.size - this.maxTasks);
-        
-        tasksToRemove.forEach(task => {
-            this.tasks.delete(task.taskId);
-            console.log(`Cleaned up old task: ${task.taskId}`);
-        });
+        for (const task of candidates) {
+            if (this.tasks.size <= this.maxTasks) {
+                break;
+            }
+            this.evictTask(task.taskId);
+        }
+    }
+
+    /**
+     * Finished tasks that can be evicted with everything that belongs to them.
+     * Playlist items are left to their batch unless the batch is gone.
+     * @returns {Array} - Finished standalone tasks and batches whose items have all finished
+     */
+    getEvictableTasks() {
+        return Array.from(this.tasks.values())
+            .filter(task => !task.parentId || !this.tasks.has(task.parentId))
+            .filter(task => {
+                const removable = this.getRemovableTasks(task.taskId);
+                return removable.length > 0 && removable.every(entry => FINISHED_STATUSES.includes(entry.status));
+            });
+    }
+
+    /**
+     * Delete a task and, for a batch, its playlist items.
+     * Through deleteTask, so event streams and listeners learn about the removal.
+     * @param {string} taskId - Task ID
+     * @returns {number} - Number of deleted tasks
+     */
+    evictTask(taskId) {
+        const removable = this.getRemovableTasks(taskId);
+        removable.forEach(task => this.deleteTask(task.taskId));
+        return removable.length;
     }
 
     /**
@@ -168,23 +298,14 @@ class TaskManager {
             const now = new Date();
             const maxAge = 24 * 60 * 60 * 1000; // 24 hours
             
-            const tasksToDelete = [];
-            
-            for (const [taskId, task] of this.tasks.entries()) {
-                const taskAge = now - new Date(task.updatedAt);
-                
-                // Remove old completed or failed tasks
-                if ((task.status === 'completed' || task.status === 'failed') && taskAge > maxAge) {
-                    tasksToDelete.push(taskId);
-                }
-            }
+            // Remove old finished tasks, batches together with their items
+            const tasksToDelete = this.getEvictableTasks()
+                .filter(task => now - new Date(task.updatedAt) > maxAge);
 
-            tasksToDelete.forEach(taskId => {
-                this.deleteTask(taskId);
-            });
+            const deleted = tasksToDelete.reduce((count, task) => count + this.evictTask(task.taskId), 0);
 
-            if (tasksToDelete.length > 0) {
-                console.log(`Cleaned up ${tasksToDelete.length} old tasks`);
+            if (deleted > 0) {
+                console.log(`Cleaned up ${deleted} old tasks`);
             }
         }, this.cleanupInterval);
     }
@@ -195,6 +316,9 @@ class TaskManager {
     clearAllTasks() {
         const count = this.tasks.size;
         this.tasks.clear();
+        this.queue = [];
+        this.workers.clear();
+        this.scheduleSave();
         console.log(`Cleared all ${count} tasks`);
     }
 
@@ -208,6 +332,18 @@ class TaskManager {
             .length;
     }
 
+    /**
+     * Count queued and running downloads of one API key. Batches count through their items.
+     * @param {string} ownerId - API key ID
+     * @returns {number} - Number of active downloads
+     */
+    countActiveJobs(ownerId) {
+        return Array.from(this.tasks.values())
+            .filter(task => task.ownerId === ownerId && task.type !== 'batch')
+            .filter(task => task.status === 'pending' || task.status === 'processing')
+            .length;
+    }
+
     /**
      * Check if task exists
      * @param {string} taskId - Task ID
@@ -216,6 +352,435 @@ class TaskManager {
     hasTask(taskId) {
         return this.tasks.has(taskId);
     }
+
+    /**
+     * Find the completed task that produced a file
+     * @param {string} filename - Downloaded file name
+     * @returns {object|null} - Task or null if no task owns the file
+     */
+    findTaskByFilename(filename) {
+        return this.findTasksByFilename(filename)[0] || null;
+    }
+
+    /**
+     * Find every completed task that refers to a file. Reused downloads share their files.
+     * @param {string} filename - Downloaded file name
+     * @returns {Array} - Tasks referring to the file
+     */
+    findTasksByFilename(filename) {
+        return Array.from(this.tasks.values())
+            .filter(task => task.status === 'completed' && taskFilenames(task).includes(filename));
+    }
+
+    /**
+     * Mark a file as removed by the retention policy
+     * @param {string} filename - Removed file name
+     */
+    markFileExpired(filename) {
+        for (const task of this.findTasksByFilename(filename)) {
+            const files = (task.files || [{ filename: task.filename, downloadUrl: task.downloadUrl }])
+                .map(file => file.filename === filename ? { ...file, expired: true } : file);
+            this.updateTask(task.taskId, { files });
+        }
+    }
+
+    /**
+     * Create a batch task with one child task per item
+     * @param {object} batchData - Batch task data
+     * @param {Array} itemsData - Task data for each child
+     * @returns {object} - { batchId, childIds }
+     */
+    createBatch(batchData, itemsData) {
+        const batchId = this.createTask({
+            ...batchData,
+            type: 'batch',
+            status: 'pending',
+            progress: 0,
+            totalCount: itemsData.length,
+            completedCount: 0,
+            failedCount: 0,
+            cancelledCount: 0
+        });
+
+        const childIds = itemsData.map(itemData => this.createTask({
+            priority: batchData.priority,
+            ...itemData,
+            parentId: batchId
+        }));
+
+        this.updateTask(batchId, { childIds });
+        return { batchId, childIds };
+    }
+
+    /**
+     * Get the child tasks of a batch
+     * @param {string} batchId - Batch task ID
+     * @returns {Array} - Child tasks
+     */
+    getBatchChildren(batchId) {
+        const batch = this.tasks.get(batchId);
+        return (batch?.childIds || [])
+            .map(childId => this.tasks.get(childId))
+            .filter(Boolean);
+    }
+
+    /**
+     * Recompute aggregate progress and status of a batch from its children.
+     * Failed items don't fail the batch; it only fails when nothing completed.
+     * @param {string} batchId - Batch task ID
+     */
+    refreshBatch(batchId) {
+        const batch = this.tasks.get(batchId);
+        if (!batch || FINISHED_STATUSES.includes(batch.status)) {
+            return;
+        }
+
+        const children = this.getBatchChildren(batchId);
+        if (children.length === 0) {
+            return;
+        }
+
+        const isFinished = child => FINISHED_STATUSES.includes(child.status);
+        const completedCount = children.filter(child => child.status === 'completed').length;
+        const failedCount = children.filter(child => child.status === 'failed' || child.status === 'interrupted').length;
+        const cancelledCount = children.filter(child => child.status === 'cancelled').length;
+        const finishedCount = children.filter(isFinished).length;
+        const progress = Math.round(
+            children.reduce((sum, child) => sum + (isFinished(child) ? 100 : (child.progress || 0)), 0) / children.length
+        );
+
+        let status = finishedCount > 0 || children.some(child => child.status === 'processing')
+            ? 'processing'
+            : 'pending';
+        let error;
+
+        if (finishedCount === children.length) {
+            if (completedCount > 0) {
+                status = 'completed';
+            } else if (cancelledCount === children.length) {
+                status = 'cancelled';
+            } else {
+                status = 'failed';
+                error = 'All items in the batch failed';
+            }
+        }
+
+        const unchanged = status === batch.status
+            && progress === batch.progress
+            && completedCount === batch.completedCount
+            && failedCount === batch.failedCount
+            && cancelledCount === batch.cancelledCount;
+        if (unchanged) {
+            return;
+        }
+
+        this.updateTask(batchId, {
+            status,
+            progress,
+            completedCount,
+            failedCount,
+            cancelledCount,
+            ...(error ? { error, result: { error } } : {})
+        });
+    }
+
+    /**
+     * Cancel a waiting or running task
+     * @param {string} taskId - Task ID
+     * @returns {boolean} - Whether the task was cancelled
+     */
+    cancelTask(taskId) {
+        const task = this.tasks.get(taskId);
+        if (!task || FINISHED_STATUSES.includes(task.status)) {
+            return false;
+        }
+
+        this.removeFromQueue(taskId);
+        this.updateTask(taskId, {
+            status: 'cancelled',
+            cancelledAt: new Date().toISOString()
+        });
+
+        // Cancelling a batch cancels every unfinished item in it
+        if (task.type === 'batch') {
+            (task.childIds || []).forEach(childId => this.cancelTask(childId));
+        }
+
+        // Signal the running worker so it can kill its child process
+        const controller = this.controllers.get(taskId);
+        if (controller) {
+            controller.abort();
+        }
+
+        console.log(`Cancelled task ${taskId}`);
+        return true;
+    }
+
+    /**
+     * Queue a task for processing by the worker pool
+     * @param {string} taskId - Task ID
+     * @param {function} worker - Async function (taskId, signal) that processes the task
+     * @returns {number} - 1-based queue position, 0 if started immediately, -1 if task not found
+     */
+    enqueue(taskId, worker) {
+        if (!this.tasks.has(taskId)) {
+            return -1;
+        }
+
+        this.workers.set(taskId, worker);
+        this.queue.push(taskId);
+        this.sortQueue();
+        this.processQueue();
+
+        return this.getQueuePosition(taskId) || 0;
+    }
+
+    /**
+     * Remove a waiting task from the queue
+     * @param {string} taskId - Task ID
+     * @returns {boolean} - Whether the task was waiting in the queue
+     */
+    removeFromQueue(taskId) {
+        const index = this.queue.indexOf(taskId);
+        if (index === -1) {
+            return false;
+        }
+
+        this.queue.splice(index, 1);
+        this.workers.delete(taskId);
+        return true;
+    }
+
+    /**
+     * Order waiting tasks by priority, then by creation time
+     */
+    sortQueue() {
+        const weight = (taskId) => {
+            const task = this.tasks.get(taskId);
+            return TASK_PRIORITIES[task?.priority] ?? TASK_PRIORITIES.normal;
+        };
+
+        this.queue.sort((a, b) => {
+            const diff = weight(b) - weight(a);
+            if (diff !== 0) {
+                return diff;
+            }
+            return new Date(this.tasks.get(a)?.createdAt) - new Date(this.tasks.get(b)?.createdAt);
+        });
+    }
+
+    /**
+     * Start waiting tasks while there are free workers
+     */
+    processQueue() {
+        while (this.running.size < this.maxConcurrent && this.queue.length > 0) {
+            const taskId = this.queue.shift();
+            const worker = this.workers.get(taskId);
+            this.workers.delete(taskId);
+
+            if (!worker || !this.tasks.has(taskId)) {
+                continue;
+            }
+
+            const controller = new AbortController();
+            this.running.add(taskId);
+            this.controllers.set(taskId, controller);
+            console.log(`Starting task ${taskId} (${this.running.size}/${this.maxConcurrent} workers busy)`);
+
+            Promise.resolve()
+                .then(() => worker(taskId, controller.signal))
+                .catch(error => {
+                    console.error(`Worker for task ${taskId} threw:`, error);
+                })
+                .finally(() => {
+                    this.running.delete(taskId);
+                    this.controllers.delete(taskId);
+                    this.processQueue();
+                });
+        }
+    }
+
+    /**
+     * Get position of a waiting task in the queue
+     * @param {string} taskId - Task ID
+     * @returns {number|null} - 1-based position or null if not waiting
+     */
+    getQueuePosition(taskId) {
+        const index = this.queue.indexOf(taskId);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Get a snapshot of running and waiting jobs
+     * @returns {object} - Queue state
+     */
+    getQueueSnapshot() {
+        const summarize = (taskId) => {
+            const task = this.tasks.get(taskId);
+            return {
+                taskId,
+                url: task?.url,
+                type: task?.type,
+                quality: task?.quality,
+                format: task?.format,
+                priority: task?.priority,
+                status: task?.status,
+                progress: task?.progress,
+                createdAt: task?.createdAt
+            };
+        };
+
+        return {
+            maxConcurrent: this.maxConcurrent,
+            running: Array.from(this.running).map(summarize),
+            waiting: this.queue.map((taskId, index) => ({
+                ...summarize(taskId),
+                queuePosition: index + 1
+            }))
+        };
+    }
+
+    /**
+     * Persist tasks to the store after a short delay
+     */
+    scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.persist();
+        }, this.saveDelay);
+    }
+
+    /**
+     * Persist tasks to the store immediately
+     * @returns {Promise<void>}
+     */
+    async persist() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        try {
+            await this.store.save(this.getAllTasks());
+        } catch (error) {
+            console.error('Failed to persist tasks:', error);
+        }
+    }
+
+    /**
+     * Reload tasks from the store and reconcile them with the downloads directory.
+     * Unfinished tasks are returned so the caller can queue them again.
+     * @returns {Promise<Array>} - Tasks that should be re-queued
+     */
+    async restore() {
+        const storedTasks = await this.store.load();
+        const files = await this.listDownloadedFiles();
+        const toResume = [];
+        const now = new Date().toISOString();
+
+        for (const storedTask of storedTasks) {
+            let task = storedTask;
+
+            // Batch state is derived from its children, refreshed below
+            if (task.type === 'batch') {
+                this.tasks.set(task.taskId, task);
+                continue;
+            }
+
+            if (task.status === 'pending' || (task.status === 'processing' && this.resumeInterrupted)) {
+                task = { ...task, status: 'pending', progress: 0, updatedAt: now };
+                toResume.push(task);
+            } else if (task.status === 'processing') {
+                task = {
+                    ...task,
+                    status: 'interrupted',
+                    error: 'Task was interrupted by a server restart',
+                    result: { error: 'Task was interrupted by a server restart' },
+                    updatedAt: now
+                };
+            } else if (task.status === 'completed' && files && taskFilenames(task).some(filename => !files.includes(filename))) {
+                task = {
+                    ...task,
+                    status: 'failed',
+                    error: 'Output file is no longer available',
+                    result: { error: 'Output file is no longer available' },
+                    updatedAt: now
+                };
+            }
+
+            this.tasks.set(task.taskId, task);
+        }
+
+        this.getAllTasks()
+            .filter(task => task.type === 'batch')
+            .forEach(batch => this.refreshBatch(batch.taskId));
+
+        if (files) {
+            await this.removeOrphanedFiles(files);
+        }
+
+        this.cleanupOldTasks();
+        await this.persist();
+
+        console.log(`Restored ${storedTasks.length} tasks (${toResume.length} to resume)`);
+        return toResume;
+    }
+
+    /**
+     * List files currently in the downloads directory
+     * @returns {Promise<Array|null>} - File names or null if no directory is configured
+     */
+    async listDownloadedFiles() {
+        if (!this.downloadsDir) {
+            return null;
+        }
+
+        try {
+            await fs.ensureDir(this.downloadsDir);
+            return await fs.readdir(this.downloadsDir);
+        } catch (error) {
+            console.error('Failed to read downloads directory:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove files in the downloads directory that no task refers to and that are older than the file retention period
+     * @param {Array} files - File names present in the downloads directory
+     */
+    async removeOrphanedFiles(files) {
+        const known = new Set(
+            Array.from(this.tasks.values())
+                .filter(task => task.status === 'completed')
+                .flatMap(taskFilenames)
+        );
+        const maxAge = this.orphanMaxAgeHours * 60 * 60 * 1000;
+        const now = Date.now();
+
+        for (const file of files) {
+            if (known.has(file)) {
+                continue;
+            }
+
+            try {
+                const filePath = path.join(this.downloadsDir, file);
+                // ctime too, as yt-dlp backdates mtime to the upload date
+                const stats = await fs.stat(filePath);
+                if (now - Math.max(stats.mtimeMs, stats.ctimeMs) <= maxAge) {
+                    continue;
+                }
+
+                await fs.remove(filePath);
+                console.log(`Removed orphaned file: ${file}`);
+            } catch (error) {
+                console.error(`Failed to remove orphaned file ${file}:`, error);
+            }
+        }
+    }
 }
 
-export default TaskManager;
\ No newline at end of file
+export default TaskManager;
@@ -0,0 +1,93 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Task store that keeps nothing between restarts.
+ * Any store must implement async load() and save(tasks).
+ */
+export class MemoryTaskStore {
+    async load() {
+        return [];
+    }
+
+    async save() {
+        // Nothing to persist
+    }
+}
+
+/**
+ * Task store backed by a JSON file on disk
+ */
+export class JsonFileTaskStore {
+    /**
+     * @param {string} filePath - Path of the JSON file holding tasks
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.saving = Promise.resolve(); // Last queued write; writes share the temp file, so they run one at a time
+    }
+
+    /**
+     * Load persisted tasks
+     * @returns {Promise<Array>} - Array of task objects
+     */
+    async load() {
+        try {
+            if (!await fs.pathExists(this.filePath)) {
+                return [];
+            }
+
+            const data = await fs.readJson(this.filePath);
+            return Array.isArray(data.tasks) ? data.tasks : [];
+        } catch (error) {
+            console.error(`Failed to load task store ${this.filePath}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist all tasks, replacing the previous contents. Saves run in call order, so the last one wins.
+     * @param {Array} tasks - Array of task objects
+     * @returns {Promise<void>} - Settles once this save has been written
+     */
+    save(tasks) {
+        const write = this.saving.then(() => this.write(tasks));
+        this.saving = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Write tasks to the file
+     * @param {Array} tasks - Array of task objects
+     */
+    async write(tasks) {
+        // Write to a temp file first so a crash never leaves a half-written store
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJson(tempPath, { savedAt: new Date().toISOString(), tasks }, { spaces: 2 });
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+    }
+}
+
+/**
+ * Create the task store selected by the TASK_STORE environment variable
+ * @returns {object} - Task store instance
+ */
+export function createTaskStore() {
+    const type = process.env.TASK_STORE || 'json';
+
+    if (type === 'memory') {
+        return new MemoryTaskStore();
+    }
+
+    if (type !== 'json') {
+        console.warn(`Unknown TASK_STORE "${type}", falling back to json`);
+    }
+
+    const filePath = process.env.TASK_STORE_PATH || path.join(__dirname, '..', 'data', 'tasks.json');
+    return new JsonFileTaskStore(filePath);
+}
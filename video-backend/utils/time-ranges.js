@@ -0,0 +1,118 @@
+export const MAX_RANGES = 20;
+
+/**
+ * Parse a timestamp given as seconds or as [[hh:]mm:]ss[.ms]
+ * @param {number|string} value - Timestamp
+ * @returns {number} - Seconds, NaN if invalid
+ */
+export function parseTimestamp(value) {
+    if (typeof value === 'number') {
+        return value >= 0 ? value : NaN;
+    }
+
+    if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) {
+        return NaN;
+    }
+
+    const parts = value.trim().split(':').map(parseFloat);
+
+    // Minutes and seconds after the leading component must stay below 60
+    if (parts.slice(1).some(part => part >= 60)) {
+        return NaN;
+    }
+
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Collect time ranges from a download request
+ * @param {object} body - Request body with start/end and/or ranges
+ * @returns {Array|null} - Raw { start, end } ranges or null if none were requested
+ */
+export function collectRanges({ start, end, ranges }) {
+    const collected = [];
+
+    if (start !== undefined || end !== undefined) {
+        collected.push({ start, end });
+    }
+
+    if (Array.isArray(ranges)) {
+        collected.push(...ranges);
+    } else if (ranges !== undefined) {
+        collected.push(null); // Rejected by normalizeRanges
+    }
+
+    return collected.length > 0 ? collected : null;
+}
+
+/**
+ * Convert raw ranges to seconds and check them against the video duration
+ * @param {Array} ranges - Raw { start, end } ranges, end may be omitted for "until the end"
+ * @param {number|null} duration - Video duration in seconds, if known
+ * @returns {object} - { ranges } with numeric start/end (end null = until the end) or { error }
+ */
+export function normalizeRanges(ranges, duration) {
+    if (ranges.length > MAX_RANGES) {
+        return { error: `At most ${MAX_RANGES} time ranges are allowed` };
+    }
+
+    const normalized = [];
+
+    for (const [index, range] of ranges.entries()) {
+        const label = ranges.length > 1 ? `Range ${index + 1}` : 'Time range';
+
+        if (!range || typeof range !== 'object') {
+            return { error: `${label} must be an object with start and end` };
+        }
+
+        const start = range.start === undefined || range.start === null || range.start === ''
+            ? 0
+            : parseTimestamp(range.start);
+        const end = range.end === undefined || range.end === null || range.end === ''
+            ? null
+            : parseTimestamp(range.end);
+
+        if (isNaN(start) || (end !== null && isNaN(end))) {
+            return { error: `${label} has an invalid timestamp, use seconds or hh:mm:ss` };
+        }
+
+        if (end !== null && end <= start) {
+            return { error: `${label} must end after it starts` };
+        }
+
+        if (duration) {
+            if (start >= duration) {
+                return { error: `${label} starts after the video ends (${formatTimestamp(duration)})` };
+            }
+            if (end !== null && end > duration) {
+                return { error: `${label} ends after the video ends (${formatTimestamp(duration)})` };
+            }
+        }
+
+        normalized.push({ start, end });
+    }
+
+    return { ranges: normalized };
+}
+
+/**
+ * Format seconds as h:mm:ss or m:ss
+ * @param {number} seconds - Seconds
+ * @returns {string} - Formatted timestamp
+ */
+export function formatTimestamp(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    const pad = value => value.toString().padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+}
+
+/**
+ * Build the yt-dlp --download-sections value for a range
+ * @param {object} range - { start, end } in seconds
+ * @returns {string} - Section specification
+ */
+export function toSectionSpec(range) {
+    return `*${range.start}-${range.end === null ? 'inf' : range.end}`;
+}
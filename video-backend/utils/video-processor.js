@@ -3,10 +3,19 @@ import path from 'path';
 import fs from 'fs-extra';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { renderFilename, templateValues } from './filename-template.js';
+import { toSectionSpec } from './time-ranges.js';
+import { profileFormatSelectors } from './output-profiles.js';
+import { subtitleArgs, listSubtitleLanguages } from './subtitles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+export const AUDIO_FORMATS = ['mp3', 'wav', 'flac', 'opus', 'm4a'];
+export const AUDIO_BITRATES = ['64', '96', '128', '160', '192', '256', '320'];
+export const DEFAULT_AUDIO_BITRATE = '192';
+const LOSSLESS_AUDIO_FORMATS = ['wav', 'flac'];
+
 class VideoProcessor {
     constructor() {
         this.downloadsDir = path.join(__dirname, '..', 'downloads');
@@ -18,42 +27,227 @@ class VideoProcessor {
     }
 
     /**
-     * Process video download and conversion
+     * Download and merge video. The result may still need re-encoding to match the profile, see transcodeToProfile.
      * @param {string} url - YouTube URL
-     * @param {string} quality - Video quality (720p, 1080p, 4K)
-     * @param {function} progressCallback - Progress callback function
+     * @param {object} profile - Resolved output profile
+     * @param {function} progressCallback - Progress callback (percent, { speed, eta, downloadedBytes, totalBytes })
+     * @param {object} options - Extra options
+     * @param {boolean} options.writeThumbnail - Also save the thumbnail as JPEG next to the output
+     * @param {Array} options.ranges - Only download these { start, end } sections, one file each
+     * @param {boolean} options.accurateCuts - Re-encode around cuts instead of cutting at keyframes
+     * @param {object} options.subtitles - Normalized subtitle options, to also write subtitle files
+     * @param {boolean} options.splitChapters - Split into one file per chapter when the video has chapters
+     * @param {number} options.formatFallback - Index into formatSelectors('video', profile), 0 for the preferred selector
+     * @param {AbortSignal} options.signal - Aborts the download and removes partial files
+     * @param {function} options.onStart - Called with the output base name before yt-dlp starts; every file the download writes begins with it
      * @returns {Promise<object>} - Result object with filename
      */
-    async processVideo(url, quality, progressCallback) {
-        return new Promise((resolve, reject) => {
-            try {
-                // Generate unique filename
-                const timestamp = Date.now();
-                const hash = crypto.createHash('md5').update(url).digest('hex').substring(0, 8);
-                const filename = `video_${timestamp}_${hash}.mp4`;
-                const outputPath = path.join(this.downloadsDir, filename);
-
-                // Map quality to yt-dlp format - use specific format selection with fallbacks
-                const qualityMap = {
-                    '720p': '398+140/136+140/best[height<=720]+140/best[height<=720]',
-                    '1080p': '399+140/137+140/best[height<=1080]+140/best[height<=1080]',
-                    '4K': '401+140/313+140/best[height<=2160]+140/best[height<=2160]'
-                };
+    async processVideo(url, profile, progressCallback, options = {}) {
+        // WebM can't hold every codec a fallback format may bring, so those merge to MKV and are converted afterwards
+        const ext = profile.container === 'webm' ? 'mkv' : profile.container;
+        const baseName = this.createBaseName('video', url);
+        const filename = `${baseName}.${ext}`;
+
+        const selectors = this.formatSelectors('video', profile);
+        const formatSelector = selectors[Math.min(options.formatFallback || 0, selectors.length - 1)];
+
+        // Prepare yt-dlp command with minimal options to avoid merge issues
+        const ytDlpArgs = [
+            '--format', formatSelector,
+            ...this.outputArgs(baseName, ext, options),
+            '--no-playlist',
+            '--merge-output-format', ext,
+            '--write-info-json',
+            ...this.thumbnailArgs(options),
+            ...subtitleArgs(options.subtitles),
+            ...this.sectionArgs(options),
+            ...this.chapterArgs(options),
+            '--progress-template', '%(progress)j',
+            '--no-warnings',
+            url
+        ];
+
+        console.log(`Starting video download: ${url} (${profile.container}, ${profile.videoCodec || 'any codec'}, ${profile.maxHeight ? `up to ${profile.maxHeight}p` : 'any height'})`);
+        options.onStart?.(baseName);
+        return this.runDownload(ytDlpArgs, {
+            url,
+            baseName,
+            filename,
+            sections: options.ranges?.length || 0,
+            splitChapters: Boolean(options.splitChapters),
+            label: 'Video',
+            signal: options.signal
+        }, progressCallback);
+    }
+
+    /**
+     * Download and extract audio
+     * @param {string} url - YouTube URL
+     * @param {string} format - Audio format (mp3, wav, flac, opus, m4a)
+     * @param {function} progressCallback - Progress callback (percent, { speed, eta, downloadedBytes, totalBytes })
+     * @param {object} options - Extra options
+     * @param {string} options.bitrate - Target bitrate in kbps, ignored for lossless formats
+     * @param {boolean} options.writeThumbnail - Also save the thumbnail as JPEG next to the output
+     * @param {Array} options.ranges - Only download these { start, end } sections, one file each
+     * @param {boolean} options.accurateCuts - Re-encode around cuts instead of cutting at keyframes
+     * @param {object} options.subtitles - Normalized subtitle options, to also write subtitle files
+     * @param {boolean} options.splitChapters - Split into one file per chapter when the video has chapters
+     * @param {number} options.formatFallback - Index into formatSelectors('audio'), 0 for the preferred selector
+     * @param {AbortSignal} options.signal - Aborts the download and removes partial files
+     * @param {function} options.onStart - Called with the output base name before yt-dlp starts; every file the download writes begins with it
+     * @returns {Promise<object>} - Result object with filename
+     */
+    async processAudio(url, format, progressCallback, options = {}) {
+        const { bitrate = DEFAULT_AUDIO_BITRATE } = options;
+        const selectors = this.formatSelectors('audio');
+        const formatSelector = selectors[Math.min(options.formatFallback || 0, selectors.length - 1)];
+
+        // yt-dlp names the extracted file after the target format
+        const baseName = this.createBaseName('audio', url);
+        const filename = `${baseName}.${format}`;
+
+        const ytDlpArgs = [
+            '--format', formatSelector,
+            '--extract-audio',
+            '--audio-format', format,
+            ...this.outputArgs(baseName, '%(ext)s', options),
+            '--no-playlist',
+            '--write-info-json',
+            ...this.thumbnailArgs(options),
+            ...subtitleArgs(options.subtitles),
+            ...this.sectionArgs(options),
+            ...this.chapterArgs(options),
+            '--progress-template', '%(progress)j',
+            '--no-warnings'
+        ];
+
+        if (!LOSSLESS_AUDIO_FORMATS.includes(format)) {
+            ytDlpArgs.push('--audio-quality', `${bitrate}K`);
+        }
+
+        ytDlpArgs.push(url);
+
+        console.log(`Starting audio download: ${url} (${format})`);
+        options.onStart?.(baseName);
+        return this.runDownload(ytDlpArgs, {
+            url,
+            baseName,
+            filename,
+            sections: options.ranges?.length || 0,
+            splitChapters: Boolean(options.splitChapters),
+            label: 'Audio',
+            signal: options.signal
+        }, progressCallback);
+    }
+
+    /**
+     * yt-dlp format selectors to try in order when a format is unavailable
+     * @param {string} type - "video" or "audio"
+     * @param {object} profile - Resolved output profile, for video
+     * @returns {Array} - Format selectors, most specific first
+     */
+    formatSelectors(type, profile) {
+        if (type === 'audio') {
+            return ['bestaudio/best', 'best'];
+        }
+
+        return profileFormatSelectors(profile);
+    }
+
+    /**
+     * yt-dlp output templates. With several sections each one is named after its start time, and
+     * chapters split off the output are numbered (<base name>.chapter.001.<ext>); the info JSON,
+     * thumbnail and subtitles (<base name>.<language>.<ext>) always keep the plain base name.
+     * @param {string} baseName - Output filename without extension
+     * @param {string} ext - Output extension or yt-dlp's %(ext)s
+     * @param {object} options - Download options
+     * @returns {Array} - yt-dlp arguments
+     */
+    outputArgs(baseName, ext, options) {
+        const sectionPart = options.ranges?.length > 1 ? '.%(section_start)s' : '';
+        return [
+            '--output', path.join(this.downloadsDir, `${baseName}${sectionPart}.${ext}`),
+            '--output', `infojson:${path.join(this.downloadsDir, `${baseName}.%(ext)s`)}`,
+            '--output', `thumbnail:${path.join(this.downloadsDir, `${baseName}.%(ext)s`)}`,
+            '--output', `subtitle:${path.join(this.downloadsDir, `${baseName}.%(ext)s`)}`,
+            '--output', `chapter:${path.join(this.downloadsDir, `${baseName}.chapter.%(section_number)03d.%(ext)s`)}`
+        ];
+    }
+
+    /**
+     * yt-dlp arguments that download only the requested time ranges
+     * @param {object} options - Download options
+     * @returns {Array} - yt-dlp arguments
+     */
+    sectionArgs(options) {
+        if (!options.ranges?.length) {
+            return [];
+        }
+
+        const args = options.ranges.flatMap(range => ['--download-sections', toSectionSpec(range)]);
+        if (options.accurateCuts) {
+            args.push('--force-keyframes-at-cuts');
+        }
+        return args;
+    }
+
+    /**
+     * yt-dlp arguments that split the finished output into one file per chapter.
+     * yt-dlp keeps the whole file as well, runDownload removes it once the chapters exist.
+     * @param {object} options - Download options
+     * @returns {Array} - yt-dlp arguments
+     */
+    chapterArgs(options) {
+        return options.splitChapters ? ['--split-chapters'] : [];
+    }
 
-                const formatSelector = qualityMap[quality] || 'best';
+    /**
+     * yt-dlp arguments that save the thumbnail as <output>.jpg
+     * @param {object} options - Download options
+     * @returns {Array} - yt-dlp arguments
+     */
+    thumbnailArgs(options) {
+        return options.writeThumbnail
+            ? ['--write-thumbnail', '--convert-thumbnails', 'jpg']
+            : [];
+    }
 
-                // Prepare yt-dlp command with minimal options to avoid merge issues
-                const ytDlpArgs = [
-                    '--format', formatSelector,
-                    '--output', outputPath,
-                    '--no-playlist',
-                    '--merge-output-format', 'mp4',
-                    '--progress-template', '%(progress)j',
-                    '--no-warnings',
-                    url
-                ];
+    /**
+     * Build a unique output name without extension
+     * @param {string} prefix - Filename prefix
+     * @param {string} url - Source URL
+     * @returns {string} - Base filename
+     */
+    createBaseName(prefix, url) {
+        const timestamp = Date.now();
+        const hash = crypto.createHash('md5').update(url).digest('hex').substring(0, 8);
+        return `${prefix}_${timestamp}_${hash}`;
+    }
+
+    /**
+     * Run yt-dlp and track progress until the output files exist
+     * @param {Array} ytDlpArgs - yt-dlp arguments
+     * @param {object} job - Job description
+     * @param {string} job.url - Source URL, for logging
+     * @param {string} job.baseName - Output filename without extension, used to clean up partial files
+     * @param {string} job.filename - Expected output filename
+     * @param {number} job.sections - Number of requested sections, more than one gives one file per section
+     * @param {boolean} job.splitChapters - Whether yt-dlp splits the output by chapters
+     * @param {string} job.label - Human readable job kind for log and error messages
+     * @param {AbortSignal} job.signal - Aborts the download and removes partial files
+     * @param {function} progressCallback - Progress callback
+     * @returns {Promise<object>} - Result object with the first file's filename and all files
+     */
+    runDownload(ytDlpArgs, job, progressCallback) {
+        const { url, baseName, filename, sections = 0, splitChapters = false, label, signal } = job;
+
+        return new Promise((resolve, reject) => {
+            try {
+                if (signal?.aborted) {
+                    reject(this.createCancelledError());
+                    return;
+                }
 
-                console.log(`Starting video download: ${url} (${quality})`);
                 console.log(`Command: yt-dlp ${ytDlpArgs.join(' ')}`);
 
                 // Spawn yt-dlp process
@@ -63,22 +257,41 @@ class VideoProcessor {
 
                 let progressData = '';
                 let errorOutput = '';
+                let cancelled = false;
+                let timedOut = false;
+
+                // Kill yt-dlp when the task is cancelled
+                const onAbort = () => {
+                    cancelled = true;
+                    console.log(`Cancelling ${label.toLowerCase()} download: ${url}`);
+                    ytDlpProcess.kill('SIGTERM');
+                };
+                signal?.addEventListener('abort', onAbort, { once: true });
 
                 // Handle stdout for progress
                 ytDlpProcess.stdout.on('data', (data) => {
                     const output = data.toString();
                     progressData += output;
 
-                    // Parse progress information
+                    // Parse complete lines, keep a trailing partial line for the next chunk
                     const lines = progressData.split('\n');
+                    progressData = lines.pop();
                     for (const line of lines) {
                         if (line.trim()) {
                             try {
                                 const progressInfo = JSON.parse(line.trim());
-                                if (progressInfo.status === 'downloading' && progressInfo.percent) {
-                                    const progress = parseFloat(progressInfo.percent);
+                                if (progressInfo.status === 'downloading') {
+                                    const totalBytes = progressInfo.total_bytes || progressInfo.total_bytes_estimate;
+                                    const progress = progressInfo.percent
+                                        ? parseFloat(progressInfo.percent)
+                                        : (totalBytes ? (progressInfo.downloaded_bytes / totalBytes) * 100 : NaN);
                                     if (!isNaN(progress) && progressCallback) {
-                                        progressCallback(progress);
+                                        progressCallback(progress, {
+                                            speed: progressInfo.speed ?? null,
+                                            eta: progressInfo.eta ?? null,
+                                            downloadedBytes: progressInfo.downloaded_bytes ?? null,
+                                            totalBytes: totalBytes ?? null
+                                        });
                                     }
                                 }
                             } catch (e) {
@@ -97,20 +310,50 @@ class VideoProcessor {
 
                 // Handle process completion
                 ytDlpProcess.on('close', async (code) => {
+                    signal?.removeEventListener('abort', onAbort);
+
+                    if (cancelled) {
+                        await this.removePartialFiles(baseName);
+                        reject(this.createCancelledError());
+                        return;
+                    }
+
+                    // Already rejected when the timeout fired, only the partial files are left to clean up
+                    if (timedOut) {
+                        await this.removePartialFiles(baseName);
+                        return;
+                    }
+
                     if (code === 0) {
-                        // Check if file was created
+                        // Check if the files were created
                         try {
-                            const stats = await fs.stat(outputPath);
-                            if (stats.size > 0) {
-                                console.log(`Video download completed: ${filename} (${this.formatFileSize(stats.size)})`);
-                                resolve({
-                                    filename,
-                                    path: outputPath,
-                                    size: stats.size
-                                });
-                            } else {
-                                throw new Error('Downloaded file is empty');
+                            const ext = path.extname(filename).slice(1);
+                            let files = sections > 1
+                                ? await this.collectSectionFiles(baseName, ext)
+                                : [await this.statOutput(filename)];
+                            if (files.length === 0) {
+                                throw new Error('No sections were downloaded');
                             }
+
+                            const metadata = await this.readInfoJson(baseName);
+
+                            // Without chapters yt-dlp splits nothing and the whole file stays the result
+                            const chapterFiles = splitChapters ? await this.collectChapterFiles(baseName, ext, metadata?.chapters) : [];
+                            if (chapterFiles.length > 0) {
+                                await fs.remove(files[0].path);
+                                files = chapterFiles;
+                            }
+
+                            const totalSize = files.reduce((total, file) => total + file.size, 0);
+                            console.log(`${label} download completed: ${files.map(file => file.filename).join(', ')} (${this.formatFileSize(totalSize)})`);
+                            const thumbnailPath = path.join(this.downloadsDir, `${baseName}.jpg`);
+                            resolve({
+                                ...files[0],
+                                files,
+                                metadata,
+                                subtitles: await this.collectSubtitleFiles(baseName, metadata),
+                                thumbnailPath: await fs.pathExists(thumbnailPath) ? thumbnailPath : null
+                            });
                         } catch (error) {
                             console.error('Error checking output file:', error);
                             reject(new Error(`Output file not found or empty: ${error.message}`));
@@ -136,8 +379,9 @@ class VideoProcessor {
 
                 // Set timeout for very long downloads
                 const timeout = setTimeout(() => {
+                    timedOut = true;
                     ytDlpProcess.kill('SIGTERM');
-                    reject(new Error('Video download timeout (30 minutes)'));
+                    reject(new Error(`${label} download timeout (30 minutes)`));
                 }, 30 * 60 * 1000); // 30 minutes
 
                 ytDlpProcess.on('close', () => {
@@ -145,12 +389,215 @@ class VideoProcessor {
                 });
 
             } catch (error) {
-                console.error('Video processing error:', error);
+                console.error(`${label} processing error:`, error);
                 reject(error);
             }
         });
     }
 
+    /**
+     * Check that a finished output file exists and is not empty
+     * @param {string} filename - Output filename
+     * @returns {Promise<object>} - { filename, path, size }
+     */
+    async statOutput(filename) {
+        const filePath = path.join(this.downloadsDir, filename);
+        const stats = await fs.stat(filePath);
+        if (stats.size === 0) {
+            throw new Error('Downloaded file is empty');
+        }
+        return { filename, path: filePath, size: stats.size };
+    }
+
+    /**
+     * Find the files written for a multi-section download, in timeline order
+     * @param {string} baseName - Output filename without extension
+     * @param {string} ext - Output extension
+     * @returns {Promise<Array>} - { filename, path, size } for each section
+     */
+    async collectSectionFiles(baseName, ext) {
+        const pattern = /^\.(\d+(?:\.\d+)?)\.([a-z0-9]+)$/;
+        const sections = (await fs.readdir(this.downloadsDir))
+            .filter(file => file.startsWith(`${baseName}.`))
+            .map(file => ({ file, match: file.slice(baseName.length).match(pattern) }))
+            .filter(({ match }) => match && match[2] === ext)
+            .sort((a, b) => parseFloat(a.match[1]) - parseFloat(b.match[1]));
+
+        return Promise.all(sections.map(({ file }) => this.statOutput(file)));
+    }
+
+    /**
+     * Find the files yt-dlp split off the output, in chapter order
+     * @param {string} baseName - Output filename without extension
+     * @param {string} ext - Output extension
+     * @param {Array} chapters - yt-dlp chapters ({ start_time, end_time, title }) from the info JSON
+     * @returns {Promise<Array>} - { filename, path, size, chapter } for each chapter, chapter being { number, title, start, end }
+     */
+    async collectChapterFiles(baseName, ext, chapters) {
+        const pattern = /^\.chapter\.(\d+)\.([a-z0-9]+)$/;
+        const parts = (await fs.readdir(this.downloadsDir))
+            .filter(file => file.startsWith(`${baseName}.chapter.`))
+            .map(file => ({ file, match: file.slice(baseName.length).match(pattern) }))
+            .filter(({ match }) => match && match[2] === ext)
+            .sort((a, b) => parseInt(a.match[1], 10) - parseInt(b.match[1], 10));
+
+        return Promise.all(parts.map(async ({ file, match }) => {
+            const number = parseInt(match[1], 10);
+            const chapter = chapters?.[number - 1] || {};
+            return {
+                ...await this.statOutput(file),
+                chapter: {
+                    number,
+                    title: chapter.title || `Chapter ${number}`,
+                    start: chapter.start_time ?? null,
+                    end: chapter.end_time ?? null
+                }
+            };
+        }));
+    }
+
+    /**
+     * Find the subtitle files written next to the output
+     * @param {string} baseName - Output filename without extension
+     * @param {object} metadata - Metadata from readInfoJson, tells manual from auto-generated subtitles
+     * @returns {Promise<Array>} - { filename, path, size, language, automatic } for each file, by language
+     */
+    async collectSubtitleFiles(baseName, metadata) {
+        const pattern = /^\.([A-Za-z0-9-]+)\.(srt|vtt)$/;
+        const manual = metadata?.manualSubtitles || [];
+        const subtitles = (await fs.readdir(this.downloadsDir))
+            .filter(file => file.startsWith(`${baseName}.`))
+            .map(file => ({ file, match: file.slice(baseName.length).match(pattern) }))
+            .filter(({ match }) => match)
+            .sort((a, b) => a.match[1].localeCompare(b.match[1]));
+
+        return Promise.all(subtitles.map(async ({ file, match }) => ({
+            ...await this.statOutput(file),
+            language: match[1],
+            automatic: !manual.includes(match[1])
+        })));
+    }
+
+    /**
+     * Name a subtitle file after its video, <video name>.<language>.<ext>, so players pick it up
+     * @param {object} subtitle - Subtitle file from collectSubtitleFiles
+     * @param {string} mediaFilename - Final name of the video or audio file
+     * @returns {Promise<object>} - Subtitle file with the final filename and path
+     */
+    async renameSubtitle(subtitle, mediaFilename) {
+        const stem = mediaFilename.slice(0, -path.extname(mediaFilename).length);
+        const filename = `${stem}.${subtitle.language}${path.extname(subtitle.filename)}`;
+        const filePath = path.join(this.downloadsDir, filename);
+
+        try {
+            await fs.move(subtitle.path, filePath, { overwrite: false });
+            return { ...subtitle, filename, path: filePath };
+        } catch (error) {
+            console.error(`Failed to rename ${subtitle.filename}:`, error.message);
+            return subtitle;
+        }
+    }
+
+    /**
+     * Read and remove the info JSON yt-dlp wrote next to the output
+     * @param {string} baseName - Output filename without extension
+     * @returns {Promise<object|null>} - Relevant metadata or null if unavailable
+     */
+    async readInfoJson(baseName) {
+        const infoPath = path.join(this.downloadsDir, `${baseName}.info.json`);
+
+        try {
+            const info = await fs.readJson(infoPath);
+            await fs.remove(infoPath);
+            return {
+                id: info.id,
+                title: info.title,
+                uploader: info.uploader,
+                channel: info.channel,
+                upload_date: info.upload_date,
+                duration: info.duration,
+                description: info.description,
+                thumbnail: info.thumbnail,
+                webpage_url: info.webpage_url,
+                chapters: info.chapters || null,
+                manualSubtitles: Object.keys(info.subtitles || {}),
+                // Streams yt-dlp picked, to decide whether they need re-encoding
+                vcodec: info.vcodec ?? null,
+                acodec: info.acodec ?? null,
+                height: info.height ?? null,
+                fps: info.fps ?? null
+            };
+        } catch (error) {
+            console.warn(`No info JSON for ${baseName}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Rename a finished download according to a filename template.
+     * Keeps the generated name when the template renders empty.
+     * @param {object} result - Result from processVideo or processAudio
+     * @param {string} template - Filename template
+     * @param {object} task - Task options used by placeholders
+     * @returns {Promise<object>} - Result with the final filename and path
+     */
+    async renameOutput(result, template, task = {}) {
+        const ext = path.extname(result.filename).slice(1);
+        const friendlyName = renderFilename(template, templateValues(result.metadata || {}, task, ext));
+        if (!friendlyName || friendlyName === result.filename) {
+            return result;
+        }
+
+        const stem = friendlyName.slice(0, -(ext.length + 1));
+
+        // Append (2), (3), ... until the name is free
+        for (let attempt = 1; attempt < 100; attempt++) {
+            const filename = attempt === 1 ? friendlyName : `${stem} (${attempt}).${ext}`;
+            const filePath = path.join(this.downloadsDir, filename);
+
+            try {
+                await fs.move(result.path, filePath, { overwrite: false });
+                console.log(`Renamed ${result.filename} to ${filename}`);
+                return { ...result, filename, path: filePath };
+            } catch (error) {
+                if (!/exists/i.test(error.message)) {
+                    console.error(`Failed to rename ${result.filename}:`, error);
+                    return result;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Remove partial and intermediate files left by an unfinished download
+     * @param {string} baseName - Output filename without extension
+     */
+    async removePartialFiles(baseName) {
+        try {
+            const files = await fs.readdir(this.downloadsDir);
+            for (const file of files) {
+                if (file.startsWith(`${baseName}.`)) {
+                    await fs.remove(path.join(this.downloadsDir, file));
+                    console.log(`Removed partial file: ${file}`);
+                }
+            }
+        } catch (error) {
+            console.error('Error removing partial files:', error);
+        }
+    }
+
+    /**
+     * Create the error used to reject cancelled downloads
+     * @returns {Error} - Error flagged as cancelled
+     */
+    createCancelledError() {
+        const error = new Error('Download cancelled');
+        error.cancelled = true;
+        return error;
+    }
+
     /**
      * Format file size in human readable format
      * @param {number} bytes - File size in bytes
@@ -172,13 +619,58 @@ class VideoProcessor {
      * @returns {Promise<object>} - Video information
      */
     async getVideoInfo(url) {
-        return new Promise((resolve, reject) => {
-            const ytDlpArgs = [
-                '--dump-json',
-                '--no-playlist',
-                url
-            ];
+        const videoInfo = await this.runJsonCommand(['--dump-json', '--no-playlist', url], 'video info');
+
+        const formats = (videoInfo.formats || [])
+            .filter(format => format.vcodec !== 'none' || format.acodec !== 'none')
+            .filter(format => format.format_note !== 'storyboard')
+            .map(format => ({
+                formatId: format.format_id,
+                ext: format.ext,
+                height: format.height ?? null,
+                fps: format.fps ?? null,
+                vcodec: format.vcodec,
+                acodec: format.acodec,
+                filesize: format.filesize || format.filesize_approx || null,
+                bitrate: format.tbr ?? null,
+                note: format.format_note ?? null
+            }));
+
+        const heights = [...new Set(formats.map(format => format.height).filter(Boolean))]
+            .sort((a, b) => a - b);
+        const maxHeight = heights.length > 0 ? heights[heights.length - 1] : 0;
+
+        return {
+            id: videoInfo.id,
+            title: videoInfo.title,
+            duration: videoInfo.duration,
+            uploader: videoInfo.uploader,
+            upload_date: videoInfo.upload_date,
+            view_count: videoInfo.view_count,
+            like_count: videoInfo.like_count,
+            description: videoInfo.description,
+            thumbnail: videoInfo.thumbnail,
+            webpage_url: videoInfo.webpage_url,
+            resolutions: heights,
+            maxHeight,
+            subtitles: listSubtitleLanguages(videoInfo),
+            chapters: (videoInfo.chapters || []).map(chapter => ({
+                title: chapter.title,
+                start: chapter.start_time,
+                end: chapter.end_time
+            })),
+            formats
+        };
+    }
 
+    /**
+     * Run yt-dlp and parse its JSON output
+     * @param {Array} ytDlpArgs - yt-dlp arguments
+     * @param {string} label - What is being fetched, for error messages
+     * @returns {Promise<object>} - Parsed JSON output
+     */
+    runJsonCommand(ytDlpArgs, label) {
+        return new Promise((resolve, reject) => {
             const ytDlpProcess = spawn('yt-dlp', ytDlpArgs, {
                 stdio: ['pipe', 'pipe', 'pipe']
             });
@@ -197,21 +689,12 @@ class VideoProcessor {
             ytDlpProcess.on('close', (code) => {
                 if (code === 0) {
                     try {
-                        const videoInfo = JSON.parse(output);
-                        resolve({
-                            title: videoInfo.title,
-                            duration: videoInfo.duration,
-                            uploader: videoInfo.uploader,
-                            upload_date: videoInfo.upload_date,
-                            view_count: videoInfo.view_count,
-                            like_count: videoInfo.like_count,
-                            description: videoInfo.description
-                        });
+                        resolve(JSON.parse(output));
                     } catch (error) {
-                        reject(new Error(`Failed to parse video info: ${error.message}`));
+                        reject(new Error(`Failed to parse ${label}: ${error.message}`));
                     }
                 } else {
-                    reject(new Error(`Failed to get video info: ${errorOutput}`));
+                    reject(new Error(`Failed to get ${label}: ${errorOutput}`));
                 }
             });
 
@@ -224,6 +707,61 @@ class VideoProcessor {
             });
         });
     }
+
+    /**
+     * Check whether a URL points to a playlist or channel rather than a single video
+     * @param {string} url - YouTube URL
+     * @returns {boolean} - Whether the URL is a playlist or channel
+     */
+    isPlaylistUrl(url) {
+        try {
+            const parsed = new URL(url);
+            if (parsed.pathname === '/playlist' && parsed.searchParams.has('list')) {
+                return true;
+            }
+            return /^\/(@|channel\/|c\/|user\/)/.test(parsed.pathname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * List playlist or channel entries without downloading them
+     * @param {string} url - Playlist or channel URL
+     * @returns {Promise<object>} - Playlist title, uploader and entries
+     */
+    async getPlaylistEntries(url) {
+        // A bare channel URL lists its tabs (Videos, Shorts, ...) instead of videos
+        let listUrl = url;
+        if (/^https?:\/\/[^/]+\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)\/?$/.test(url)) {
+            listUrl = `${url.replace(/\/$/, '')}/videos`;
+        }
+
+        const playlistInfo = await this.runJsonCommand([
+            '--flat-playlist',
+            '--dump-single-json',
+            '--no-warnings',
+            listUrl
+        ], 'playlist info');
+
+        const entries = (playlistInfo.entries || [])
+            .filter(entry => entry && (entry.url || entry.id))
+            .map((entry, index) => ({
+                index: index + 1,
+                id: entry.id,
+                title: entry.title || entry.id,
+                duration: entry.duration ?? null,
+                url: entry.url && entry.url.startsWith('http')
+                    ? entry.url
+                    : `https://www.youtube.com/watch?v=${entry.id}`
+            }));
+
+        return {
+            title: playlistInfo.title,
+            uploader: playlistInfo.uploader || playlistInfo.channel,
+            entries
+        };
+    }
 }
 
-export default VideoProcessor;
\ No newline at end of file
+export default VideoProcessor;
@@ -0,0 +1,289 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+
+// Without a configured secret, receivers can't verify signatures across restarts
+const SECRET = process.env.WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Task statuses that trigger a notification, and their event names
+export const WEBHOOK_EVENTS = {
+    completed: 'task.completed',
+    failed: 'task.failed',
+    cancelled: 'task.cancelled'
+};
+
+const MAX_LOG_ENTRIES = 50; // Per task
+const MAX_URL_LENGTH = 2048;
+
+// Hosts that may receive webhooks even though they resolve to a private address, such as a bot on the same network
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved addresses
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is one webhooks must not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True for loopback, private, link-local and reserved addresses
+ */
+export function isPrivateAddress(address) {
+    // BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check that a callback URL's host resolves only to public addresses, unless it is in WEBHOOK_ALLOWED_HOSTS.
+ * Run again before every delivery, since DNS answers can change after the URL was accepted.
+ * @param {string} url - Callback URL in a valid format
+ * @returns {Promise<string|null>} - Error message or null if the host may be called
+ */
+export async function checkCallbackAddress(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (ALLOWED_HOSTS.includes(hostname)) {
+        return null;
+    }
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch {
+        return `callbackUrl host ${hostname} could not be resolved`;
+    }
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        return `callbackUrl host ${hostname} is a local or private address`;
+    }
+    return null;
+}
+
+/**
+ * Check a callback URL from a request: its format and that it points to a public host
+ * @param {*} url - Value of the callbackUrl field
+ * @returns {Promise<string|null>} - Error message or null if valid
+ */
+export async function validateCallbackUrl(url) {
+    return checkUrlFormat(url) || await checkCallbackAddress(url);
+}
+
+/**
+ * Check that a value is an http or https URL
+ * @param {*} url - Value to check
+ * @returns {string|null} - Error message or null if valid
+ */
+function checkUrlFormat(url) {
+    if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) {
+        return `callbackUrl must be a URL of at most ${MAX_URL_LENGTH} characters`;
+    }
+
+    try {
+        const { protocol } = new URL(url);
+        if (protocol !== 'http:' && protocol !== 'https:') {
+            return 'callbackUrl must use http or https';
+        }
+    } catch {
+        return 'callbackUrl is not a valid URL';
+    }
+    return null;
+}
+
+/**
+ * Signature of a payload: hex HMAC-SHA256 of "<timestamp>.<body>"
+ * @param {string} timestamp - Value of the X-Webhook-Timestamp header
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Value of the X-Webhook-Signature header
+ */
+export function signPayload(timestamp, body) {
+    const digest = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Posts signed JSON notifications when tasks complete, fail or are cancelled.
+ * Each task's callbackUrl and every server-wide webhook receive them; failed
+ * deliveries are retried with exponential backoff. Playlist items are not
+ * notified on their own, their batch is.
+ */
+class WebhookNotifier {
+    /**
+     * @param {TaskManager} taskManager - Task manager whose transitions are notified
+     * @param {object} options - Options
+     * @param {function} options.present - Turns a task into its API representation for the payload
+     */
+    constructor(taskManager, options = {}) {
+        this.taskManager = taskManager;
+        this.present = options.present || (task => task);
+        this.urls = options.urls ?? (process.env.WEBHOOK_URLS || '')
+            .split(',')
+            .map(url => url.trim())
+            .filter(url => url && !checkUrlFormat(url));
+        this.maxAttempts = options.maxAttempts
+            ?? (parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5);
+        this.retryBaseDelay = options.retryBaseDelay
+            ?? (parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 5000);
+        this.timeout = 10 * 1000;
+        this.deliveries = new Map(); // Task ID -> delivery log
+
+        taskManager.on('created', task => this.notify(task));
+        taskManager.on('updated', (task, previousStatus) => {
+            if (task.status !== previousStatus) {
+                this.notify(task);
+            }
+        });
+        taskManager.on('deleted', taskId => this.deliveries.delete(taskId));
+    }
+
+    /**
+     * Send the event for a task that reached a notified status
+     * @param {object} task - Task
+     */
+    notify(task) {
+        const event = WEBHOOK_EVENTS[task.status];
+        if (!event || task.parentId) {
+            return;
+        }
+
+        const urls = [...new Set([task.callbackUrl, ...this.urls].filter(Boolean))];
+        if (urls.length === 0) {
+            return;
+        }
+
+        const payload = {
+            id: crypto.randomUUID(),
+            event,
+            createdAt: new Date().toISOString(),
+            task: this.present(task)
+        };
+        urls.forEach(url => this.deliver(url, payload, task.taskId));
+    }
+
+    /**
+     * Post a sample event, once and without retries
+     * @param {string} url - Receiver
+     * @returns {Promise<object>} - Delivery log entry
+     */
+    sendTest(url) {
+        const payload = {
+            id: crypto.randomUUID(),
+            event: 'test',
+            createdAt: new Date().toISOString(),
+            task: {
+                taskId: '00000000-0000-0000-0000-000000000000',
+                status: 'completed',
+                type: 'audio',
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+                title: 'Sample task',
+                filename: 'Sample task [dQw4w9WgXcQ].mp3'
+            }
+        };
+        return this.attempt(url, payload, 1);
+    }
+
+    /**
+     * Deliver a payload, retrying until it is accepted or the attempts run out
+     * @param {string} url - Receiver
+     * @param {object} payload - Event payload
+     * @param {string} taskId - Task whose log records the attempts
+     */
+    async deliver(url, payload, taskId) {
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            const entry = await this.attempt(url, payload, attempt);
+            const retry = !entry.delivered && entry.retryable && attempt < this.maxAttempts;
+            this.log(taskId, { ...entry, status: entry.delivered ? 'delivered' : retry ? 'retrying' : 'failed' });
+
+            if (!retry) {
+                if (!entry.delivered) {
+                    console.error(`Webhook ${payload.event} for task ${taskId} to ${url} failed: ${entry.error}`);
+                }
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, this.retryBaseDelay * 2 ** (attempt - 1)));
+        }
+    }
+
+    /**
+     * Post a payload once
+     * @param {string} url - Receiver
+     * @param {object} payload - Event payload
+     * @param {number} attempt - Attempt number, for the log
+     * @returns {Promise<object>} - { deliveryId, event, url, attempt, at, delivered, retryable, statusCode, error }
+     */
+    async attempt(url, payload, attempt) {
+        const body = JSON.stringify(payload);
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const entry = { deliveryId: payload.id, event: payload.event, url, attempt, at: new Date().toISOString() };
+
+        // Server-wide URLs are configured by the operator, anything else must still point to a public host
+        const addressError = this.urls.includes(url) ? null : await checkCallbackAddress(url);
+        if (addressError) {
+            return { ...entry, delivered: false, retryable: false, statusCode: null, error: addressError };
+        }
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'yt-video-backend-webhooks',
+                    'X-Webhook-Event': payload.event,
+                    'X-Webhook-Delivery': payload.id,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': signPayload(timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+
+            const delivered = response.status >= 200 && response.status < 300;
+            return {
+                ...entry,
+                delivered,
+                // Other client errors won't change by sending the same payload again
+                retryable: response.status === 429 || response.status >= 500,
+                statusCode: response.status,
+                error: delivered ? null : `Receiver answered HTTP ${response.status}`
+            };
+        } catch (error) {
+            return {
+                ...entry,
+                delivered: false,
+                retryable: true,
+                statusCode: null,
+                error: error.name === 'TimeoutError' ? `No response within ${this.timeout / 1000}s` : error.cause?.message || error.message
+            };
+        }
+    }
+
+    /**
+     * Record a delivery attempt
+     * @param {string} taskId - Task ID
+     * @param {object} entry - Attempt result
+     */
+    log(taskId, entry) {
+        const { retryable, ...logged } = entry;
+        const log = this.deliveries.get(taskId) || [];
+        log.push(logged);
+        this.deliveries.set(taskId, log.slice(-MAX_LOG_ENTRIES));
+    }
+
+    /**
+     * Delivery attempts for a task, oldest first
+     * @param {string} taskId - Task ID
+     * @returns {Array} - Log entries
+     */
+    getDeliveries(taskId) {
+        return this.deliveries.get(taskId) || [];
+    }
+}
+
+export default WebhookNotifier;
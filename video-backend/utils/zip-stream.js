@@ -0,0 +1,255 @@
+import fs from 'fs-extra';
+import { once } from 'events';
+
+// Entries are stored uncompressed: audio and video are compressed already, deflating them only costs CPU
+const METHOD_STORE = 0;
+// Sizes and CRC follow each entry's data (bit 3), names are UTF-8 (bit 11)
+const FLAGS = 0x0808;
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+// Unix, spec version 4.5 (ZIP64)
+const VERSION_MADE_BY = (3 << 8) | 45;
+const FILE_MODE = 0o100644;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Continue a CRC-32 over another chunk
+ * @param {number} crc - CRC of the data so far, 0 to start
+ * @param {Buffer} chunk - Next chunk
+ * @returns {number} - Updated CRC
+ */
+function updateCrc(crc, chunk) {
+    let c = crc ^ MAX_32;
+    for (let i = 0; i < chunk.length; i++) {
+        c = CRC_TABLE[(c ^ chunk[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ MAX_32) >>> 0;
+}
+
+/**
+ * Modification time in the MS-DOS format ZIP headers use
+ * @param {Date} date - Modification time
+ * @returns {object} - { time, date }
+ */
+function dosDateTime(date) {
+    if (date.getFullYear() < 1980) {
+        return { time: 0, date: (1 << 5) | 1 };
+    }
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Local file header written before an entry's data, with a ZIP64 extra field for files of 4 GB and more
+ * @param {object} entry - { name, size, mtime }
+ * @returns {Buffer} - Header including the name and extra field
+ */
+function localHeader(entry) {
+    const name = Buffer.from(entry.name);
+    const { time, date } = dosDateTime(entry.mtime);
+    const zip64 = entry.size >= MAX_32;
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(zip64 ? 45 : 20, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(METHOD_STORE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    // The CRC stays 0 here, the data descriptor carries it. Sizes are known up front but
+    // readers only look for the 64-bit ones in the extra field when these say 0xffffffff.
+    header.writeUInt32LE(zip64 ? MAX_32 : 0, 18);
+    header.writeUInt32LE(zip64 ? MAX_32 : 0, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(zip64 ? 20 : 0, 28);
+
+    if (!zip64) {
+        return Buffer.concat([header, name]);
+    }
+
+    const extra = Buffer.alloc(20);
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(16, 2);
+    extra.writeBigUInt64LE(BigInt(entry.size), 4);
+    extra.writeBigUInt64LE(BigInt(entry.size), 12);
+    return Buffer.concat([header, name, extra]);
+}
+
+/**
+ * Data descriptor written after an entry's data, with 64-bit sizes for files of 4 GB and more
+ * @param {object} entry - { name, size, mtime }
+ * @param {number} crc - CRC-32 of the data
+ * @returns {Buffer} - Descriptor
+ */
+function dataDescriptor(entry, crc) {
+    if (entry.size >= MAX_32) {
+        const descriptor = Buffer.alloc(24);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(crc, 4);
+        descriptor.writeBigUInt64LE(BigInt(entry.size), 8);
+        descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+        return descriptor;
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(entry.size, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    return descriptor;
+}
+
+/**
+ * Central directory header of an entry, with a ZIP64 extra field when its size or offset needs one
+ * @param {object} entry - { name, size, mtime }
+ * @param {number} crc - CRC-32 of the data
+ * @param {number} offset - Where the entry's local header starts
+ * @returns {Buffer} - Header including the name and extra field
+ */
+function centralHeader(entry, crc, offset) {
+    const name = Buffer.from(entry.name);
+    const { time, date } = dosDateTime(entry.mtime);
+    const zip64 = entry.size >= MAX_32 || offset >= MAX_32;
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(VERSION_MADE_BY, 4);
+    header.writeUInt16LE(zip64 ? 45 : 20, 6);
+    header.writeUInt16LE(FLAGS, 8);
+    header.writeUInt16LE(METHOD_STORE, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(zip64 ? MAX_32 : entry.size, 20);
+    header.writeUInt32LE(zip64 ? MAX_32 : entry.size, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt16LE(zip64 ? 28 : 0, 30);
+    header.writeUInt32LE((FILE_MODE << 16) >>> 0, 38);
+    header.writeUInt32LE(zip64 ? MAX_32 : offset, 42);
+
+    if (!zip64) {
+        return Buffer.concat([header, name]);
+    }
+
+    const extra = Buffer.alloc(28);
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(24, 2);
+    extra.writeBigUInt64LE(BigInt(entry.size), 4);
+    extra.writeBigUInt64LE(BigInt(entry.size), 12);
+    extra.writeBigUInt64LE(BigInt(offset), 20);
+    return Buffer.concat([header, name, extra]);
+}
+
+/**
+ * End of central directory record, preceded by the ZIP64 records for large archives
+ * @param {number} count - Number of entries
+ * @param {number} size - Size of the central directory
+ * @param {number} offset - Where the central directory starts
+ * @returns {Buffer} - Records ending the archive
+ */
+function endOfCentralDirectory(count, size, offset) {
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(count, MAX_16), 8);
+    end.writeUInt16LE(Math.min(count, MAX_16), 10);
+    end.writeUInt32LE(Math.min(size, MAX_32), 12);
+    end.writeUInt32LE(Math.min(offset, MAX_32), 16);
+
+    if (count < MAX_16 && size < MAX_32 && offset < MAX_32) {
+        return end;
+    }
+
+    // ZIP64 end record and its locator come first when a field doesn't fit
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeUInt16LE(VERSION_MADE_BY, 12);
+    record.writeUInt16LE(45, 14);
+    record.writeBigUInt64LE(BigInt(count), 24);
+    record.writeBigUInt64LE(BigInt(count), 32);
+    record.writeBigUInt64LE(BigInt(size), 40);
+    record.writeBigUInt64LE(BigInt(offset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(offset + size), 8);
+    locator.writeUInt32LE(1, 16);
+
+    return Buffer.concat([record, locator, end]);
+}
+
+/**
+ * Exact size of the archive writeZip produces, known before any file is read
+ * @param {Array} entries - { name, size, mtime } of each file
+ * @returns {number} - Archive size in bytes
+ */
+export function zipSize(entries) {
+    let offset = 0;
+    let centralSize = 0;
+
+    for (const entry of entries) {
+        centralSize += centralHeader(entry, 0, offset).length;
+        offset += localHeader(entry).length + entry.size + dataDescriptor(entry, 0).length;
+    }
+
+    return offset + centralSize + endOfCentralDirectory(entries.length, centralSize, offset).length;
+}
+
+/**
+ * Stream files into a ZIP archive, one at a time and with backpressure
+ * @param {Writable} output - Where the archive goes, such as an HTTP response
+ * @param {Array} entries - { name, path, size, mtime } of each file; name is the path inside the archive
+ * @param {object} options - Extra options
+ * @param {AbortSignal} options.signal - Stops writing, for example when the client disconnects
+ * @returns {Promise<number>} - Bytes written
+ */
+export async function writeZip(output, entries, options = {}) {
+    const { signal } = options;
+    const central = [];
+    let offset = 0;
+
+    const write = async (chunk) => {
+        offset += chunk.length;
+        if (!output.write(chunk)) {
+            await once(output, 'drain', { signal });
+        }
+    };
+
+    for (const entry of entries) {
+        signal?.throwIfAborted();
+        const entryOffset = offset;
+        await write(localHeader(entry));
+
+        let crc = 0;
+        let read = 0;
+        for await (const chunk of fs.createReadStream(entry.path, { signal })) {
+            crc = updateCrc(crc, chunk);
+            read += chunk.length;
+            await write(chunk);
+        }
+        // The headers promised this size, a file that changed since can't be fixed up anymore
+        if (read !== entry.size) {
+            throw new Error(`${entry.name} changed while it was being archived`);
+        }
+
+        await write(dataDescriptor(entry, crc));
+        central.push(centralHeader(entry, crc, entryOffset));
+    }
+
+    const centralOffset = offset;
+    for (const header of central) {
+        await write(header);
+    }
+    await write(endOfCentralDirectory(entries.length, offset - centralOffset, centralOffset));
+
+    return offset;
+}